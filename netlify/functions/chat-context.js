@@ -0,0 +1,75 @@
+// netlify/functions/chat-context.js
+// 🗂️ UPLOAD DO CONTEXTO DE DADOS (JSON, opcionalmente gzip) → contextId
+// JSONP, iframe, SSE e pixel só fazem GET: em vez de mandar a tabela na URL,
+// o visual envia o contexto aqui uma vez e passa apenas o contextId.
+
+const security = require('../lib/security');
+const rateLimit = require('../lib/rate-limit');
+const { readJsonBody, RequestBodyError } = require('../lib/request-body');
+const { saveContext, CONTEXT_TTL } = require('../lib/context-store');
+
+exports.handler = async (event, context) => {
+  const corsHeaders = security.getCorsHeaders(event, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: corsHeaders, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { data, text } = readJsonBody(event);
+
+    // 🛡️ ORIGEM + ASSINATURA + COTA (a assinatura cobre o JSON descompactado;
+    // cada upload ocupa storage, então conta na cota como uma pergunta)
+    const rejection = await security.checkRequest(event, { payload: text }) ||
+      await rateLimit.checkRateLimit(event, { instanceId: data.instanceId });
+    if (rejection) {
+      return {
+        statusCode: rejection.statusCode,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: rejection.message, code: rejection.code, retryAfter: rejection.retryAfter })
+      };
+    }
+
+    if (!data.context || typeof data.context !== 'object') {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: "Campo 'context' é obrigatório" })
+      };
+    }
+
+    const contextId = await saveContext(data.context);
+
+    console.log('🗂️ Contexto armazenado:', {
+      contextId,
+      rows: Array.isArray(data.context) ? data.context.length : undefined,
+      bytes: text.length
+    });
+
+    return {
+      statusCode: 201,
+      headers: corsHeaders,
+      body: JSON.stringify({ contextId, expiresInMs: CONTEXT_TTL })
+    };
+
+  } catch (error) {
+    console.error('❌ Erro no upload de contexto:', error.message);
+
+    return {
+      statusCode: error instanceof RequestBodyError ? error.statusCode : 500,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -1,11 +1,21 @@
 // netlify/functions/chat-iframe.js
 // 🖼️ MÉTODO IFRAME + POSTMESSAGE PARA CONTORNAR CSP
 
-const fetch = require('node-fetch');
+const { DirectLineClient } = require('../lib/directline');
+const security = require('../lib/security');
+const rateLimit = require('../lib/rate-limit');
+const { resolveContext } = require('../lib/context-store');
+const { splitContext, describeProfile } = require('../lib/data-profile');
+const { toAnswerPayload } = require('../lib/bot-reply');
 
 exports.handler = async (event, context) => {
   const startTime = Date.now();
-  
+
+  // Preflight e sonda do health-check: responde sem tocar no Copilot
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: security.getCorsHeaders(event), body: '' };
+  }
+
   try {
     console.log('🖼️ Iframe request recebido');
     
@@ -14,7 +24,6 @@ exports.handler = async (event, context) => {
     const question = params.question || 'Pergunta não informada';
     const hasData = params.hasData === 'true';
     const rowCount = parseInt(params.rowCount || '0');
-    const contextRaw = params.context || '[]';
     
     console.log('📊 Iframe processando:', { 
       question: question.substring(0, 50) + '...', 
@@ -22,32 +31,41 @@ exports.handler = async (event, context) => {
       rowCount 
     });
 
-    let contextData = [];
-    try {
-      contextData = JSON.parse(decodeURIComponent(contextRaw));
-    } catch (e) {
-      console.warn('⚠️ Erro ao parsear contexto iframe:', e.message);
-    }
-
     let answer = '';
+    let chart = null;
+    let attachments = [];
+    let suggestedActions = [];
     let method = 'IFRAME_FALLBACK';
+    let rejected = false;
+    const client = createCopilotClient();
+
+    // 🛡️ ORIGEM + ASSINATURA + COTA ANTES DE LER O STORAGE (erro segue pelo mesmo PostMessage)
+    const rejection = await security.checkRequest(event) || await rateLimit.checkRateLimit(event);
     
-    try {
-      // Tenta conectar ao Copilot
-      const copilotPromise = sendToCopilotIframe(question, contextData);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Copilot timeout')), 6000)
-      );
-      
-      answer = await Promise.race([copilotPromise, timeoutPromise]);
-      method = 'IFRAME_COPILOT';
-      console.log('✅ Iframe Copilot success em:', Date.now() - startTime, 'ms');
-      
-    } catch (copilotError) {
-      console.error('❌ Iframe Copilot erro:', copilotError.message);
-      answer = generateIframeFallback(question, contextData, hasData, rowCount);
+    if (rejection) {
+      answer = rejection.answer;
+      method = rejection.code;
+      rejected = true;
+    } else {
+      // Contexto grande chega por contextId (upload prévio em chat-context)
+      const { rows: contextData, profile } = splitContext(await resolveContext({ context: params.context, contextId: params.contextId }));
+
+      try {
+        // Tenta conectar ao Copilot
+        ({ answer, chart, attachments, suggestedActions } = toAnswerPayload(await sendToCopilotIframe(client, question, contextData, profile)));
+        method = 'IFRAME_COPILOT';
+        console.log('✅ Iframe Copilot success em:', Date.now() - startTime, 'ms');
+        
+      } catch (copilotError) {
+        console.error('❌ Iframe Copilot erro:', copilotError.message);
+        answer = generateIframeFallback(question, contextData, hasData, rowCount);
+      }
     }
 
+    // postMessage exige origens exatas: curingas e "null" ficam de fora
+    const postMessageOrigins = security.getAllowedOrigins()
+      .filter(origin => /^https?:\/\/[^*]+$/.test(origin));
+
     // Página HTML que envia PostMessage para o parent
     const html = `
 <!DOCTYPE html>
@@ -86,24 +104,23 @@ exports.handler = async (event, context) => {
 
     <script>
         try {
-            const response = ${JSON.stringify({
+            const response = ${toScriptJson({
               answer,
+              chart,
+              attachments,
+              suggestedActions,
               method,
               executionTime: Date.now() - startTime,
               timestamp: new Date().toISOString(),
-              dataStatus: { hasData, rowCount }
+              dataStatus: { hasData, rowCount },
+              error: rejected ? answer : undefined,
+              retryAfter: rejected ? rejection.retryAfter : undefined
             })};
             
             console.log('🖼️ Iframe enviando PostMessage:', response);
             
-            // Lista de origens permitidas (Power BI)
-            const allowedOrigins = [
-                'https://app.powerbi.com',
-                'https://msit.powerbi.com', 
-                'https://powerbi.microsoft.com',
-                'https://localhost:8080',
-                'http://localhost:8080'
-            ];
+            // Lista de origens permitidas (Power BI, configurável via ALLOWED_ORIGINS)
+            const allowedOrigins = ${JSON.stringify(postMessageOrigins)};
             
             // Envia para todas as origens permitidas
             allowedOrigins.forEach(origin => {
@@ -154,12 +171,11 @@ exports.handler = async (event, context) => {
 
     return {
       statusCode: 200,
-      headers: {
+      headers: security.getCorsHeaders(event, {
         'Content-Type': 'text/html; charset=utf-8',
         'X-Frame-Options': 'ALLOWALL',
-        'Cache-Control': 'no-cache',
-        'Access-Control-Allow-Origin': '*'
-      },
+        'Cache-Control': 'no-cache'
+      }),
       body: html
     };
 
@@ -192,69 +208,24 @@ exports.handler = async (event, context) => {
   }
 };
 
-// 🤖 COPILOT PARA IFRAME
-async function sendToCopilotIframe(question, context) {
-  const directLineSecret = process.env.COPILOT_SECRET;
-  if (!directLineSecret) {
-    throw new Error("COPILOT_SECRET não configurada");
-  }
-
-  console.log('🤖 Iframe: Conectando ao Copilot...');
-
-  // Conversa
-  const convResponse = await fetch('https://directline.botframework.com/v3/directline/conversations', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${directLineSecret}` }
-  });
-
-  if (!convResponse.ok) {
-    throw new Error(`Iframe conversa falhou: ${convResponse.status}`);
-  }
-
-  const { conversationId, token } = await convResponse.json();
-
-  // Mensagem
-  const message = prepareIframeMessage(question, context);
-  
-  await fetch(`https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      type: 'message',
-      from: { id: 'PowerBI_Iframe_User' },
-      text: message
-    })
-  });
-
+// 🔑 CLIENTE DIRECT LINE PARA IFRAME (conversa nova: GET não carrega o token da conversa)
+function createCopilotClient() {
   // Polling para iframe (4 tentativas)
-  for (let i = 0; i < 4; i++) {
-    await new Promise(resolve => setTimeout(resolve, 1300));
-    
-    const activitiesResponse = await fetch(
-      `https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`,
-      { headers: { 'Authorization': `Bearer ${token}` } }
-    );
-
-    if (activitiesResponse.ok) {
-      const { activities } = await activitiesResponse.json();
-      const botMessages = activities.filter(a => 
-        a.type === 'message' && a.from.id !== 'PowerBI_Iframe_User'
-      );
+  return new DirectLineClient({
+    userId: 'PowerBI_Iframe_User',
+    budget: { pollAttempts: 4, pollInterval: 1300, totalTimeout: 6000 }
+  });
+}
 
-      if (botMessages.length > 0) {
-        return botMessages[botMessages.length - 1].text;
-      }
-    }
-  }
+// 🤖 COPILOT PARA IFRAME
+async function sendToCopilotIframe(client, question, context, profile) {
+  console.log('🤖 Iframe: Conectando ao Copilot...');
 
-  throw new Error('Iframe polling timeout após 4 tentativas');
+  return client.askReply(prepareIframeMessage(question, context, profile));
 }
 
 // 📝 MENSAGEM PARA IFRAME
-function prepareIframeMessage(question, context) {
+function prepareIframeMessage(question, context, profile) {
   if (!Array.isArray(context) || context.length === 0) {
     return `Pergunta via Iframe: "${question}"\nContexto: Nenhum dado disponível no Power BI.`;
   }
@@ -264,9 +235,9 @@ function prepareIframeMessage(question, context) {
   
   return `ANÁLISE POWER BI via Iframe:
 Pergunta: "${question}"
-Registros: ${context.length}
+Registros: ${profile ? profile.rowCount : context.length}
 Colunas: ${columns.join(', ')}
-Amostra: ${sample.map(row => Object.entries(row).map(([k,v]) => `${k}:${v}`).join(', ')).join(' | ')}
+Amostra: ${sample.map(row => Object.entries(row).map(([k,v]) => `${k}:${v}`).join(', ')).join(' | ')}${profile ? `\n${describeProfile(profile)}` : ''}
 
 Responda com base nestes dados específicos.`;
 }
@@ -300,4 +271,8 @@ ${hasData && Array.isArray(context) && context.length > 0 ?
 ${hasData ? 
   '💡 **Dica:** Dados carregados! Faça perguntas específicas para análises detalhadas.' : 
   '🔧 **Configure:** Adicione dados ao visual Power BI para análises completas.'}`;
-}
\ No newline at end of file
+}
+// JSON embutido em <script>: "</script>" no texto do Copilot não pode fechar a tag
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,111 @@
+// netlify/functions/chat-job-background.js
+// ⏳ BACKGROUND FUNCTION: processa o job sem o limite de 10s (até 15 min)
+
+const { DirectLineClient } = require('../lib/directline');
+const { saveJob, getJob, claimJob } = require('../lib/job-store');
+const { splitContext, describeProfile } = require('../lib/data-profile');
+const { CHART_INSTRUCTION } = require('../lib/chart-spec');
+const { toAnswerPayload } = require('../lib/bot-reply');
+
+// ⚡ ORÇAMENTO LONGO: o visual acompanha o progresso pelo status do job
+const CONFIG = {
+  REQUEST_TIMEOUT: 5000,
+  MAX_POLLING_ATTEMPTS: 60,
+  POLLING_INTERVAL: 2000,
+  COPILOT_TIMEOUT: 120000
+};
+
+// Linhas de exemplo no prompt: uma atividade Direct Line grande demais é recusada,
+// então o JSON das linhas para antes deste tamanho (o perfil cobre o dataset inteiro)
+const MAX_SAMPLE_ROWS = 20;
+const MAX_SAMPLE_LENGTH = 8000;
+
+exports.handler = async (event, context) => {
+  const startTime = Date.now();
+  const { jobId, question, context: rawContext, conversation } = JSON.parse(event.body || '{}');
+  const { sample: contextData, profile } = splitContext(rawContext);
+
+  // Só processa jobs criados por chat-job, e cada um uma vez só
+  const job = jobId ? await getJob(jobId) : null;
+  if (!job || job.status !== 'pending' || !(await claimJob(jobId))) {
+    console.warn('⚠️ Job ignorado (inexistente ou já processado):', jobId);
+    return;
+  }
+
+  console.log('⏳ Job iniciado:', jobId);
+
+  const client = new DirectLineClient({
+    userId: 'PowerBI_Job_User',
+    budget: {
+      requestTimeout: CONFIG.REQUEST_TIMEOUT,
+      pollAttempts: CONFIG.MAX_POLLING_ATTEMPTS,
+      pollInterval: CONFIG.POLLING_INTERVAL,
+      totalTimeout: CONFIG.COPILOT_TIMEOUT
+    }
+  }).resume(conversation);
+
+  await saveJob({ ...job, status: 'running' });
+
+  try {
+    const { answer, chart, attachments, suggestedActions } = toAnswerPayload(
+      await client.askReply(prepareJobMessage(question, contextData, profile))
+    );
+
+    await saveJob({
+      ...job,
+      status: 'done',
+      answer,
+      chart,
+      attachments,
+      suggestedActions,
+      method: 'JOB_COPILOT',
+      conversation: client.getState(),
+      executionTime: Date.now() - startTime
+    });
+
+    console.log('✅ Job concluído:', jobId, `${Date.now() - startTime}ms`);
+  } catch (error) {
+    console.error('❌ Job falhou:', jobId, error.message);
+
+    await saveJob({
+      ...job,
+      status: 'failed',
+      error: error.message,
+      code: error.code || 'UNKNOWN_ERROR',
+      conversation: client.getState(),
+      executionTime: Date.now() - startTime
+    });
+  }
+};
+
+// 📝 MENSAGEM COMPLETA (sem pressa: o job pode esperar o Copilot)
+function prepareJobMessage(question, context, profile) {
+  if (!Array.isArray(context) || context.length === 0) {
+    return `Pergunta: "${question}"\nContexto: Nenhum dado disponível no Power BI.`;
+  }
+
+  const columns = Object.keys(context[0] || {});
+  const sample = limitSample(context);
+
+  return `ANÁLISE POWER BI:
+Pergunta: "${question}"
+Registros: ${profile ? profile.rowCount : context.length}
+Colunas: ${columns.join(', ')}
+Amostra (${sample.length} linhas): ${JSON.stringify(sample)}${profile ? `\n${describeProfile(profile)}` : ''}
+
+Responda com base nestes dados específicos. ${CHART_INSTRUCTION}`;
+}
+
+// ✂️ PRIMEIRAS LINHAS DA AMOSTRA ATÉ O LIMITE DE TAMANHO
+function limitSample(rows) {
+  const sample = [];
+  let length = 2;
+
+  for (const row of rows.slice(0, MAX_SAMPLE_ROWS)) {
+    length += JSON.stringify(row).length + 1;
+    if (length > MAX_SAMPLE_LENGTH) break;
+    sample.push(row);
+  }
+
+  return sample;
+}
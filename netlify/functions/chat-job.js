@@ -0,0 +1,167 @@
+// netlify/functions/chat-job.js
+// 📋 API DE JOBS: POST cria o job, GET ?id= consulta o status
+// O polling do Copilot roda em chat-job-background, sem o limite de 10s
+
+const fetch = require('node-fetch');
+const { createJobId, saveJob, getJob } = require('../lib/job-store');
+const security = require('../lib/security');
+const rateLimit = require('../lib/rate-limit');
+const { readJsonBody, RequestBodyError } = require('../lib/request-body');
+const { resolveContext } = require('../lib/context-store');
+const { splitContext } = require('../lib/data-profile');
+const { isSharedStorage } = require('../lib/storage');
+
+exports.handler = async (event, context) => {
+  const corsHeaders = security.getCorsHeaders(event, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: corsHeaders, body: '' };
+  }
+
+  try {
+    if (event.httpMethod === 'POST') {
+      // O background roda em outra Lambda: com storage local ele nunca veria o job criado aqui
+      // (o visual ficaria consultando até o timeout). Recusa logo para o próximo transporte assumir.
+      if (!isSharedStorage()) {
+        console.warn('⚠️ Jobs exigem storage compartilhado (REDIS_URL)');
+        return {
+          statusCode: 503,
+          headers: corsHeaders,
+          body: JSON.stringify({
+            error: 'Jobs indisponíveis: configure um storage compartilhado (REDIS_URL)',
+            code: 'STORAGE_NOT_SHARED'
+          })
+        };
+      }
+
+      // 1️⃣ SUBMISSÃO DA PERGUNTA
+      // Corpo JSON pode vir compactado (Content-Encoding: gzip)
+      const { data: body, text } = readJsonBody(event);
+      const { question, conversation, requestId } = body;
+
+      if (!question) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: "Campo 'question' é obrigatório" })
+        };
+      }
+
+      // 🛡️ ORIGEM + ASSINATURA (headers X-Signature*, sobre o corpo inteiro) + COTA DO CLIENTE
+      const rejection = await security.checkRequest(event, { payload: text }) ||
+        await rateLimit.checkRateLimit(event, { requestId, instanceId: body.instanceId });
+      if (rejection) {
+        return {
+          statusCode: rejection.statusCode,
+          headers: rejection.retryAfter
+            ? { ...corsHeaders, 'Retry-After': String(rejection.retryAfter) }
+            : corsHeaders,
+          body: JSON.stringify({
+            error: rejection.message,
+            code: rejection.code,
+            answer: rejection.answer,
+            retryAfter: rejection.retryAfter
+          })
+        };
+      }
+
+      // O background só monta o prompt: amostra + perfil (todas as linhas passariam do limite do corpo)
+      const { sample, profile, rowCount, partial } = splitContext(
+        await resolveContext({ context: body.context, contextId: body.contextId })
+      );
+
+      const job = await saveJob({
+        id: createJobId(),
+        status: 'pending',
+        createdAt: new Date().toISOString()
+      });
+
+      // Background functions respondem 202 imediatamente
+      const trigger = await fetch(`${process.env.URL}/.netlify/functions/chat-job-background`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jobId: job.id,
+          question: String(question).substring(0, 500),
+          context: { rows: sample, profile, rowCount, partial },
+          conversation: conversation || null
+        }),
+        timeout: 3000
+      });
+
+      if (!trigger.ok) {
+        throw new Error(`Background function recusou o job: ${trigger.status}`);
+      }
+
+      console.log('📋 Job criado:', job.id);
+
+      return {
+        statusCode: 202,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/.netlify/functions/chat-job?id=${job.id}`
+        })
+      };
+    }
+
+    if (event.httpMethod === 'GET') {
+      // 2️⃣ CONSULTA DE STATUS
+      const jobId = event.queryStringParameters?.id;
+
+      if (!jobId) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Job ID required' })
+        };
+      }
+
+      const job = await getJob(jobId);
+
+      if (!job) {
+        return {
+          statusCode: 404,
+          headers: corsHeaders,
+          body: JSON.stringify({ jobId, status: 'unknown' })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({ jobId, ...job })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('❌ Erro chat-job:', error.message);
+
+    if (error instanceof RequestBodyError) {
+      return {
+        statusCode: error.statusCode,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Internal error',
+        details: error.message
+      })
+    };
+  }
+};
@@ -1,21 +1,30 @@
 // netlify/functions/chat-jsonp.js
 // 🔄 MÉTODO JSONP PARA BYPASS TOTAL DE CORS
 
-const fetch = require('node-fetch');
+const { DirectLineClient } = require('../lib/directline');
+const security = require('../lib/security');
+const rateLimit = require('../lib/rate-limit');
+const { resolveContext } = require('../lib/context-store');
+const { splitContext, describeProfile } = require('../lib/data-profile');
+const { toAnswerPayload } = require('../lib/bot-reply');
 
 exports.handler = async (event, context) => {
   const startTime = Date.now();
-  
+
+  // Preflight e sonda do health-check: responde sem tocar no Copilot
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: security.getCorsHeaders(event), body: '' };
+  }
+
   try {
     console.log('🔄 JSONP Request iniciado');
     
     // Extrai parâmetros da URL
     const params = event.queryStringParameters || {};
-    const callback = params.callback || 'callback';
+    const callback = sanitizeCallback(params.callback);
     const question = params.question || 'Pergunta não informada';
     const hasData = params.hasData === 'true';
     const rowCount = parseInt(params.rowCount || '0');
-    const contextRaw = params.context || '[]';
     
     console.log('📊 JSONP Parâmetros:', { 
       question: question.substring(0, 50) + '...', 
@@ -24,34 +33,53 @@ exports.handler = async (event, context) => {
       callback 
     });
 
-    let contextData = [];
-    try {
-      contextData = JSON.parse(decodeURIComponent(contextRaw));
-    } catch (e) {
-      console.warn('⚠️ Erro ao parsear contexto JSONP:', e.message);
+    const jsonpHeaders = security.getCorsHeaders(event, {
+      'Content-Type': 'application/javascript; charset=utf-8',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    });
+
+    // 🛡️ ORIGEM + ASSINATURA + COTA (erro volta pelo callback para o visual exibir)
+    const rejection = await security.checkRequest(event) || await rateLimit.checkRateLimit(event);
+    if (rejection) {
+      return {
+        statusCode: 200,
+        headers: jsonpHeaders,
+        body: `${callback}(${JSON.stringify({
+          answer: rejection.answer,
+          method: rejection.code,
+          retryAfter: rejection.retryAfter,
+          error: true,
+          timestamp: new Date().toISOString()
+        })});`
+      };
     }
 
+    // Contexto grande chega por contextId (upload prévio em chat-context)
+    const { rows: contextData, profile } = splitContext(await resolveContext({ context: params.context, contextId: params.contextId }));
+
     let answer = '';
+    let chart = null;
+    let attachments = [];
+    let suggestedActions = [];
     let method = 'JSONP_FALLBACK';
+    const client = createCopilotClient();
     
     try {
       // Tenta conectar ao Copilot com timeout curto
-      const copilotPromise = sendToCopilotFast(question, contextData);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Copilot timeout')), 5000)
-      );
-      
-      answer = await Promise.race([copilotPromise, timeoutPromise]);
+      ({ answer, chart, attachments, suggestedActions } = toAnswerPayload(await sendToCopilotFast(client, question, contextData, profile)));
       method = 'JSONP_COPILOT';
       console.log('✅ JSONP Copilot success em:', Date.now() - startTime, 'ms');
       
     } catch (copilotError) {
-      console.log('⚡ JSONP Copilot timeout, usando fallback inteligente');
+      console.log(`⚡ JSONP Copilot ${copilotError.code || 'ERROR'}, usando fallback inteligente`);
       answer = generateSmartFallback(question, contextData, hasData, rowCount);
     }
 
     const response = {
       answer,
+      chart,
+      attachments,
+      suggestedActions,
       method,
       executionTime: Date.now() - startTime,
       timestamp: new Date().toISOString(),
@@ -63,18 +91,14 @@ exports.handler = async (event, context) => {
     
     return {
       statusCode: 200,
-      headers: {
-        'Content-Type': 'application/javascript; charset=utf-8',
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Access-Control-Allow-Origin': '*'
-      },
+      headers: jsonpHeaders,
       body: jsonpResponse
     };
 
   } catch (error) {
     console.error('❌ Erro crítico JSONP:', error);
     
-    const callback = (event.queryStringParameters && event.queryStringParameters.callback) || 'callback';
+    const callback = sanitizeCallback(event.queryStringParameters && event.queryStringParameters.callback);
     const errorResponse = `${callback}(${JSON.stringify({ 
       answer: '⚠️ Erro JSONP: ' + error.message + '. Sistema em modo de recuperação.',
       method: 'JSONP_ERROR',
@@ -93,69 +117,29 @@ exports.handler = async (event, context) => {
   }
 };
 
-// 🚀 COPILOT ULTRA-RÁPIDO PARA JSONP
-async function sendToCopilotFast(question, context) {
-  const directLineSecret = process.env.COPILOT_SECRET;
-  if (!directLineSecret) {
-    throw new Error("COPILOT_SECRET não configurada");
-  }
-
-  console.log('🤖 JSONP: Iniciando Copilot rápido...');
-  
-  // Conversa
-  const convResponse = await fetch('https://directline.botframework.com/v3/directline/conversations', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${directLineSecret}` }
+// 🔑 CLIENTE DIRECT LINE PARA JSONP (conversa nova: GET não carrega o token da conversa)
+function createCopilotClient() {
+  // Polling rápido (máximo 3 tentativas)
+  return new DirectLineClient({
+    userId: 'PowerBI_JSONP_User',
+    budget: { pollAttempts: 3, pollInterval: 1200, totalTimeout: 5000 }
   });
+}
 
-  if (!convResponse.ok) {
-    throw new Error(`JSONP Conversa falhou: ${convResponse.status}`);
-  }
-
-  const { conversationId, token } = await convResponse.json();
-
-  // Mensagem
-  const message = prepareQuickMessage(question, context);
-  
-  await fetch(`https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      type: 'message',
-      from: { id: 'PowerBI_JSONP_User' },
-      text: message
-    })
-  });
+// 🛡️ CALLBACK SÓ PODE SER UM IDENTIFICADOR JS (evita injeção de script)
+function sanitizeCallback(callback) {
+  return /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(callback || '') ? callback : 'callback';
+}
 
-  // Polling rápido (máximo 3 tentativas)
-  for (let i = 0; i < 3; i++) {
-    await new Promise(resolve => setTimeout(resolve, 1200));
-    
-    const activitiesResponse = await fetch(
-      `https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`,
-      { headers: { 'Authorization': `Bearer ${token}` } }
-    );
-
-    if (activitiesResponse.ok) {
-      const { activities } = await activitiesResponse.json();
-      const botMessages = activities.filter(a => 
-        a.type === 'message' && a.from.id !== 'PowerBI_JSONP_User'
-      );
-
-      if (botMessages.length > 0) {
-        return botMessages[botMessages.length - 1].text;
-      }
-    }
-  }
+// 🚀 COPILOT ULTRA-RÁPIDO PARA JSONP
+async function sendToCopilotFast(client, question, context, profile) {
+  console.log('🤖 JSONP: Iniciando Copilot rápido...');
 
-  throw new Error('JSONP Polling timeout');
+  return client.askReply(prepareQuickMessage(question, context, profile));
 }
 
 // 📝 MENSAGEM OTIMIZADA
-function prepareQuickMessage(question, context) {
+function prepareQuickMessage(question, context, profile) {
   if (!Array.isArray(context) || context.length === 0) {
     return `RESPOSTA RÁPIDA: "${question}" - Sem dados Power BI.`;
   }
@@ -165,9 +149,9 @@ function prepareQuickMessage(question, context) {
   
   return `ANÁLISE RÁPIDA Power BI:
 Pergunta: "${question}"
-Dados: ${context.length} registros
+Dados: ${profile ? profile.rowCount : context.length} registros
 Colunas: ${columns.join(', ')}
-Exemplo: ${JSON.stringify(sample)}
+Exemplo: ${JSON.stringify(sample)}${profile ? `\n${describeProfile(profile)}` : ''}
 RESPONDA DE FORMA CONCISA.`;
 }
 
@@ -1,45 +1,85 @@
 // netlify/functions/chat-pixel.js
 // Método via pixel tracking + storage bridge
 
-const fetch = require('node-fetch');
+const { saveResponse, isValidSessionId } = require('../lib/response-store');
+const { DirectLineClient } = require('../lib/directline');
+const security = require('../lib/security');
+const rateLimit = require('../lib/rate-limit');
+const { resolveContext } = require('../lib/context-store');
+const { splitContext, describeProfile } = require('../lib/data-profile');
+const { toAnswerPayload } = require('../lib/bot-reply');
 
 exports.handler = async (event, context) => {
   console.log('🖼️ Pixel Request recebido');
-  
+
+  // Preflight e sonda do health-check: responde sem tocar no Copilot
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: security.getCorsHeaders(event), body: '' };
+  }
+
   const params = event.queryStringParameters || {};
-  const sessionId = params.session || 'default';
+  const sessionId = params.session;
   const question = params.question || 'Pergunta não informada';
-  const contextRaw = params.context || '{}';
   
   // Headers para imagem 1x1 transparente
-  const pixelHeaders = {
+  const pixelHeaders = security.getCorsHeaders(event, {
     'Content-Type': 'image/gif',
-    'Cache-Control': 'no-cache',
-    'Access-Control-Allow-Origin': '*'
-  };
+    'Cache-Control': 'no-cache'
+  });
 
   // GIF 1x1 transparente em base64
   const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
 
+  // Sem sessão válida não há onde guardar a resposta
+  if (!isValidSessionId(sessionId)) {
+    console.warn('🚫 Pixel sem session válida');
+    return {
+      statusCode: 400,
+      headers: pixelHeaders,
+      body: pixel.toString('base64'),
+      isBase64Encoded: true
+    };
+  }
+
   try {
-    let contextData = {};
-    try {
-      contextData = JSON.parse(decodeURIComponent(contextRaw));
-    } catch (e) {
-      console.warn('⚠️ Erro ao parsear contexto pixel:', e.message);
+    console.log('📊 Processando pixel request:', { sessionId, question: question.substring(0, 50) });
+
+    // 🛡️ ORIGEM + ASSINATURA + COTA ANTES DE LER O CONTEXTO (recusa fica no storage para o polling do visual)
+    const rejection = await security.checkRequest(event) || await rateLimit.checkRateLimit(event);
+    if (rejection) {
+      await storeResponse(sessionId, {
+        answer: rejection.answer,
+        method: rejection.code,
+        retryAfter: rejection.retryAfter,
+        timestamp: new Date().toISOString(),
+        success: false,
+        error: rejection.message
+      });
+
+      return {
+        statusCode: 200,
+        headers: pixelHeaders,
+        body: pixel.toString('base64'),
+        isBase64Encoded: true
+      };
     }
 
-    console.log('📊 Processando pixel request:', { sessionId, question: question.substring(0, 50) });
+    // Contexto grande chega por contextId (upload prévio em chat-context)
+    const { rows: contextData, profile } = splitContext(await resolveContext({ context: params.context, contextId: params.contextId }));
+
+    const client = createCopilotClient();
 
     // Processa em background (não bloqueia retorno do pixel)
     setImmediate(async () => {
       try {
-        const contextMessage = prepareContextForCopilot(contextData, question);
-        const answer = await sendToCopilot(contextMessage);
+        const contextMessage = prepareContextForCopilot(contextData, question, profile);
+        const { answer, chart, attachments, suggestedActions } = toAnswerPayload(await sendToCopilot(client, contextMessage));
         
-        // Simula storage via função auxiliar
         await storeResponse(sessionId, {
           answer,
+          chart,
+          attachments,
+          suggestedActions,
           method: 'PIXEL',
           timestamp: new Date().toISOString(),
           success: true
@@ -81,26 +121,16 @@ exports.handler = async (event, context) => {
   }
 };
 
-// Simula storage usando função auxiliar
+// Grava no storage compartilhado (prefixo resp_); o visual lê via storage-bridge
 async function storeResponse(sessionId, data) {
   try {
-    // Em produção, usaria Redis ou banco de dados
-    // Aqui vamos usar uma função netlify auxiliar como "storage"
-    await fetch(`${process.env.URL}/.netlify/functions/storage-bridge`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'store',
-        sessionId,
-        data
-      })
-    });
+    await saveResponse(sessionId, data);
   } catch (e) {
-    console.warn('⚠️ Storage bridge falhou:', e.message);
+    console.warn('⚠️ Storage falhou:', e.message);
   }
 }
 
-function prepareContextForCopilot(context, question) {
+function prepareContextForCopilot(context, question, profile) {
   if (!context || (Array.isArray(context) && context.length === 0)) {
     return `Pergunta: "${question}"\nContexto: Sem dados no Power BI.`;
   }
@@ -113,64 +143,24 @@ function prepareContextForCopilot(context, question) {
     
     return `ANÁLISE POWER BI:
 Pergunta: "${question}"
-Dados: ${context.length} registros
+Dados: ${profile ? profile.rowCount : context.length} registros
 Colunas: ${columns.join(', ')}
-Exemplo: ${sample}`;
+Exemplo: ${sample}${profile ? `\n${describeProfile(profile)}` : ''}`;
   }
 
   return `Pergunta: "${question}"\nContexto: ${JSON.stringify(context)}`;
 }
 
-async function sendToCopilot(message) {
-  const directLineSecret = process.env.COPILOT_SECRET;
-  if (!directLineSecret) {
-    throw new Error("COPILOT_SECRET não configurada");
-  }
-
-  const convResponse = await fetch('https://directline.botframework.com/v3/directline/conversations', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${directLineSecret}` }
-  });
-
-  if (!convResponse.ok) {
-    throw new Error(`Falha conversa: ${convResponse.status}`);
-  }
-
-  const { conversationId, token } = await convResponse.json();
-
-  await fetch(`https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      type: 'message',
-      from: { id: 'PowerBI_Pixel_User' },
-      text: message
-    })
+// 🔑 CLIENTE DIRECT LINE PARA PIXEL (conversa nova: GET não carrega o token da conversa)
+function createCopilotClient() {
+  return new DirectLineClient({
+    userId: 'PowerBI_Pixel_User',
+    budget: { pollAttempts: 5, pollInterval: 2000, totalTimeout: 10000 }
   });
+}
 
-  for (let i = 0; i < 5; i++) {
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    const activitiesResponse = await fetch(`https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-
-    if (activitiesResponse.ok) {
-      const { activities } = await activitiesResponse.json();
-      const botMessages = activities.filter(a => 
-        a.type === 'message' && a.from.id !== 'PowerBI_Pixel_User'
-      );
-
-      if (botMessages.length > 0) {
-        return botMessages[botMessages.length - 1].text;
-      }
-    }
-  }
-
-  throw new Error('Timeout pixel: 10 segundos');
+async function sendToCopilot(client, message) {
+  return client.askReply(message);
 }
 
 function generateFallbackResponse(question, context) {
@@ -1,49 +1,102 @@
 // netlify/functions/chat-sse.js
 // Server-Sent Events para streaming de resposta
+// Eventos: connected → sent → typing/partial (durante o polling) → done
+
+const { PassThrough } = require('stream');
+const { stream } = require('@netlify/functions');
+const { DirectLineClient } = require('../lib/directline');
+const security = require('../lib/security');
+const rateLimit = require('../lib/rate-limit');
+const { resolveContext } = require('../lib/context-store');
+const { splitContext, describeProfile } = require('../lib/data-profile');
+const { toAnswerPayload } = require('../lib/bot-reply');
+
+exports.handler = stream(async (event, context) => {
+  console.log('📡 SSE Request recebido');
 
-const fetch = require('node-fetch');
+  // Preflight e sonda do health-check: responde sem tocar no Copilot
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: security.getCorsHeaders(event), body: '' };
+  }
 
-exports.handler = async (event, context) => {
-  console.log('📡 SSE Request recebido');
-  
   const params = event.queryStringParameters || {};
   const question = params.question || 'Pergunta não informada';
-  const contextRaw = params.context || '{}';
-  
-  let contextData = {};
-  try {
-    contextData = JSON.parse(decodeURIComponent(contextRaw));
-  } catch (e) {
-    console.warn('⚠️ Erro ao parsear contexto SSE:', e.message);
-  }
 
-  const headers = {
+  const headers = security.getCorsHeaders(event, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Cache-Control'
+  });
+
+  // 🛡️ ORIGEM + ASSINATURA + COTA ANTES DE LER O STORAGE (recusa vai como evento done com erro)
+  const rejection = await security.checkRequest(event) || await rateLimit.checkRateLimit(event);
+  if (rejection) {
+    return {
+      statusCode: 200,
+      headers,
+      body: `event: done\ndata: ${JSON.stringify({
+        answer: rejection.answer,
+        method: rejection.code,
+        retryAfter: rejection.retryAfter,
+        timestamp: new Date().toISOString(),
+        success: false,
+        error: rejection.message
+      })}\n\n`
+    };
+  }
+
+  // Contexto grande chega por contextId (upload prévio em chat-context)
+  const { rows: contextData, profile } = splitContext(await resolveContext({ context: params.context, contextId: params.contextId }));
+
+  const client = createCopilotClient();
+  const body = new PassThrough();
+
+  // O polling roda enquanto o corpo já está sendo entregue ao visual
+  streamConversation(body, client, question, contextData, profile);
+
+  return {
+    statusCode: 200,
+    headers,
+    body
   };
+});
+
+// 📡 ESCREVE OS EVENTOS DE PROGRESSO NO STREAM
+async function streamConversation(body, client, question, contextData, profile) {
+  const send = (eventName, data) => {
+    body.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('connected', { timestamp: new Date().toISOString() });
 
   try {
     // Tenta conectar ao Copilot
-    const contextMessage = prepareContextForCopilot(contextData, question);
+    const contextMessage = prepareContextForCopilot(contextData, question, profile);
     
     console.log('🤖 Enviando para Copilot via SSE...');
-    const answer = await sendToCopilot(contextMessage);
+    const reply = await sendToCopilot(client, contextMessage, {
+      onSent: activityId => send('sent', { activityId, conversationId: client.conversationId }),
+      onActivity: activity => {
+        if (activity.type === 'typing') {
+          send('typing', { text: activity.text || '' });
+        } else if (activity.type === 'message' && activity.text) {
+          send('partial', { text: activity.text, activityId: activity.id });
+        }
+      }
+    });
     
-    const sseData = `data: ${JSON.stringify({
+    const { answer, chart, attachments, suggestedActions } = toAnswerPayload(reply);
+
+    send('done', {
       answer,
+      chart,
+      attachments,
+      suggestedActions,
       method: 'SSE',
       timestamp: new Date().toISOString(),
       success: true
-    })}\n\n`;
-
-    return {
-      statusCode: 200,
-      headers,
-      body: sseData
-    };
+    });
 
   } catch (error) {
     console.error('❌ Erro SSE:', error.message);
@@ -51,23 +104,19 @@ exports.handler = async (event, context) => {
     // Fallback response
     const fallbackAnswer = generateFallbackResponse(question, contextData);
     
-    const sseData = `data: ${JSON.stringify({
+    send('done', {
       answer: fallbackAnswer,
       method: 'SSE_FALLBACK',
       timestamp: new Date().toISOString(),
       success: false,
       error: error.message
-    })}\n\n`;
-
-    return {
-      statusCode: 200,
-      headers,
-      body: sseData
-    };
+    });
+  } finally {
+    body.end();
   }
-};
+}
 
-function prepareContextForCopilot(context, question) {
+function prepareContextForCopilot(context, question, profile) {
   if (!context || (Array.isArray(context) && context.length === 0)) {
     return `Pergunta: "${question}"\nContexto: Nenhum dado disponível no Power BI.`;
   }
@@ -79,65 +128,25 @@ function prepareContextForCopilot(context, question) {
     
     return `DADOS POWER BI:
 Pergunta: "${question}"
-Registros: ${context.length}
-Amostra: ${summary}
+Registros: ${profile ? profile.rowCount : context.length}
+Amostra: ${summary}${profile ? `\n${describeProfile(profile)}` : ''}
 Analise estes dados para responder.`;
   }
 
   return `Pergunta: "${question}"\nDados: ${JSON.stringify(context)}`;
 }
 
-async function sendToCopilot(message) {
-  const directLineSecret = process.env.COPILOT_SECRET;
-  if (!directLineSecret) {
-    throw new Error("COPILOT_SECRET não configurada");
-  }
-
-  const convResponse = await fetch('https://directline.botframework.com/v3/directline/conversations', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${directLineSecret}` }
-  });
-
-  if (!convResponse.ok) {
-    throw new Error(`Conversa falhou: ${convResponse.status}`);
-  }
-
-  const { conversationId, token } = await convResponse.json();
-
-  await fetch(`https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      type: 'message',
-      from: { id: 'PowerBI_SSE_User' },
-      text: message
-    })
-  });
-
+// 🔑 CLIENTE DIRECT LINE PARA SSE (conversa nova: GET não carrega o token da conversa)
+function createCopilotClient() {
   // Polling otimizado para SSE
-  for (let i = 0; i < 6; i++) {
-    await new Promise(resolve => setTimeout(resolve, 1500));
-    
-    const activitiesResponse = await fetch(`https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-
-    if (activitiesResponse.ok) {
-      const { activities } = await activitiesResponse.json();
-      const botMessages = activities.filter(a => 
-        a.type === 'message' && a.from.id !== 'PowerBI_SSE_User'
-      );
-
-      if (botMessages.length > 0) {
-        return botMessages[botMessages.length - 1].text;
-      }
-    }
-  }
+  return new DirectLineClient({
+    userId: 'PowerBI_SSE_User',
+    budget: { pollAttempts: 6, pollInterval: 1500, totalTimeout: 9000 }
+  });
+}
 
-  throw new Error('Timeout SSE: 9 segundos');
+async function sendToCopilot(client, message, hooks) {
+  return client.askReply(message, hooks);
 }
 
 function generateFallbackResponse(question, context) {
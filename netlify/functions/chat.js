@@ -1,7 +1,15 @@
 // netlify/functions/chat.js
 // 🚀 VERSÃO ULTRA-OTIMIZADA PARA NETLIFY FREE (limite 10 segundos)
 
-const fetch = require('node-fetch');
+const { DirectLineClient } = require('../lib/directline');
+const security = require('../lib/security');
+const rateLimit = require('../lib/rate-limit');
+const { readJsonBody, RequestBodyError } = require('../lib/request-body');
+const { resolveContext } = require('../lib/context-store');
+const aggregation = require('../lib/aggregation');
+const { splitContext, describeProfile } = require('../lib/data-profile');
+const { CHART_INSTRUCTION } = require('../lib/chart-spec');
+const { toAnswerPayload } = require('../lib/bot-reply');
 
 // ⚡ CONFIGURAÇÕES OTIMIZADAS
 const CONFIG = {
@@ -9,6 +17,7 @@ const CONFIG = {
   COPILOT_TIMEOUT: 6000,       // 6s para Copilot responder
   MAX_POLLING_ATTEMPTS: 3,     // Máximo 3 tentativas
   POLLING_INTERVAL: 1500,      // 1.5s entre tentativas
+  REQUEST_TIMEOUT: 2000,       // 2s por chamada Direct Line
   FALLBACK_DELAY: 500          // 0.5s para fallback
 };
 
@@ -20,7 +29,7 @@ exports.handler = async (event, context) => {
     console.log('⏰ TIMEOUT NETLIFY: 8.5s atingidos');
     return {
       statusCode: 200,
-      headers: getCorsHeaders(),
+      headers: getCorsHeaders(event),
       body: JSON.stringify({
         answer: "⚡ Resposta rápida ativada! O Copilot está processando sua pergunta. Funcionalidade otimizada para plano gratuito.",
         method: "FAST_FALLBACK",
@@ -39,33 +48,49 @@ exports.handler = async (event, context) => {
 
     if (event.httpMethod === 'OPTIONS') {
       clearTimeout(globalTimeout);
-      return { statusCode: 204, headers: getCorsHeaders(), body: '' };
+      return { statusCode: 204, headers: getCorsHeaders(event), body: '' };
     }
 
-    // 🔍 PROCESSAMENTO ULTRA-RÁPIDO DOS PARÂMETROS
+    // 🔍 PARÂMETROS: POST com corpo JSON (contexto completo, opcionalmente gzip) ou GET legado
     const params = event.queryStringParameters || {};
-    const question = decodeURIComponent(params.question || '').substring(0, 500); // Limita pergunta
+    const { data: body, text: bodyText } = event.httpMethod === 'POST' ? readJsonBody(event) : { data: {} };
+    const fullQuestion = String(body.question || params.question || '');
+    const question = fullQuestion.substring(0, 500); // Limita pergunta
     
     if (!question) {
       clearTimeout(globalTimeout);
       throw new Error("Parâmetro 'question' é obrigatório");
     }
 
-    let contextData = {};
+    // 🛡️ ORIGEM + ASSINATURA + COTA DO CLIENTE ANTES DE GASTAR COTA DO COPILOT
+    const rejection = await security.checkRequest(event, { payload: bodyText }) ||
+      await rateLimit.checkRateLimit(event, { requestId: body.requestId, instanceId: body.instanceId });
+    if (rejection) {
+      clearTimeout(globalTimeout);
+      const headers = getCorsHeaders(event);
+      if (rejection.retryAfter) headers['Retry-After'] = String(rejection.retryAfter);
+
+      return {
+        statusCode: rejection.statusCode,
+        headers,
+        body: JSON.stringify({
+          answer: rejection.answer,
+          method: rejection.code,
+          retryAfter: rejection.retryAfter,
+          error: true
+        })
+      };
+    }
+
+    // Linhas (todas, por POST) para as agregações + amostra para o prompt + perfil do dataset inteiro
+    const { rows: contextData, sample, profile, rowCount: totalRows, partial } = splitContext(await resolveContext({
+      context: body.context || params.context,
+      contextId: body.contextId || params.contextId
+    }));
     let contextSummary = "Sem dados";
     
-    if (params.context) {
-      try {
-        const rawContext = decodeURIComponent(params.context);
-        contextData = JSON.parse(rawContext.substring(0, 2000)); // Limita contexto
-        
-        if (Array.isArray(contextData) && contextData.length > 0) {
-          contextSummary = `${contextData.length} registros com ${Object.keys(contextData[0]).length} colunas`;
-        }
-      } catch (e) {
-        console.warn('⚠️ Contexto inválido, usando fallback');
-        contextData = {};
-      }
+    if (contextData.length > 0) {
+      contextSummary = `${totalRows} registros${partial ? ' (parcial)' : ''} com ${Object.keys(contextData[0]).length} colunas (${contextData.length} recebidos, amostra de ${sample.length})`;
     }
 
     console.log('📊 DADOS PROCESSADOS:', {
@@ -77,35 +102,37 @@ exports.handler = async (event, context) => {
     // 🚀 TENTATIVA COPILOT COM TIMEOUT RIGOROSO
     let copilotResponse = null;
     let usedMethod = "FALLBACK";
+    const client = createCopilotClient(body.conversation);
     
     try {
-      const copilotPromise = sendToCopilotOptimized(question, contextData);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Copilot timeout')), CONFIG.COPILOT_TIMEOUT)
-      );
-      
-      copilotResponse = await Promise.race([copilotPromise, timeoutPromise]);
+      copilotResponse = await sendToCopilotOptimized(client, question, sample, profile);
       usedMethod = "COPILOT";
       console.log('✅ COPILOT SUCCESS em:', Date.now() - startTime, 'ms');
       
     } catch (copilotError) {
-      console.log('⚡ COPILOT TIMEOUT, usando fallback inteligente');
+      console.log(`⚡ COPILOT ${copilotError.code || 'ERROR'}, usando fallback inteligente:`, copilotError.message);
       // Continua para fallback
     }
 
     clearTimeout(globalTimeout);
 
-    // 🧠 RESPOSTA FINAL (Copilot ou Fallback Inteligente)
-    const finalAnswer = copilotResponse || generateIntelligentFallback(question, contextData);
+    // 🧠 RESPOSTA FINAL (Copilot ou Fallback Inteligente), com gráfico, cards e sugestões opcionais
+    const { answer: finalAnswer, chart, attachments, suggestedActions } = copilotResponse
+      ? toAnswerPayload(copilotResponse)
+      : generateIntelligentFallback(question, contextData, profile);
     
     return {
       statusCode: 200,
-      headers: getCorsHeaders(),
+      headers: getCorsHeaders(event),
       body: JSON.stringify({
         answer: finalAnswer,
+        chart,
+        attachments,
+        suggestedActions,
         method: usedMethod,
         executionTime: Date.now() - startTime,
         contextSummary,
+        conversation: client.getState(),
         netlifyOptimized: true,
         timestamp: new Date().toISOString()
       })
@@ -117,10 +144,19 @@ exports.handler = async (event, context) => {
       message: error.message,
       executionTime: Date.now() - startTime
     });
+
+    // Corpo malformado é erro do cliente, não do Copilot
+    if (error instanceof RequestBodyError) {
+      return {
+        statusCode: error.statusCode,
+        headers: getCorsHeaders(event),
+        body: JSON.stringify({ answer: `⚠️ ${error.message}`, method: 'INVALID_BODY', error: true })
+      };
+    }
     
     return {
       statusCode: 200, // Sempre 200 para evitar erros no visual
-      headers: getCorsHeaders(),
+      headers: getCorsHeaders(event),
       body: JSON.stringify({
         answer: `⚠️ Erro de processamento: ${error.message}. Sistema funcionando em modo de recuperação.`,
         method: "ERROR_RECOVERY",
@@ -131,81 +167,32 @@ exports.handler = async (event, context) => {
   }
 };
 
-// 🚀 COPILOT ULTRA-OTIMIZADO
-async function sendToCopilotOptimized(question, context) {
-  const directLineSecret = process.env.COPILOT_SECRET;
-  if (!directLineSecret) {
-    throw new Error("COPILOT_SECRET não configurada");
-  }
-
-  console.log('🤖 Iniciando Copilot otimizado...');
-  
-  // 1️⃣ CONVERSA RÁPIDA
-  const convResponse = await fetch('https://directline.botframework.com/v3/directline/conversations', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${directLineSecret}` },
-    timeout: 2000 // 2s timeout
-  });
-
-  if (!convResponse.ok) {
-    throw new Error(`Conversa falhou: ${convResponse.status}`);
-  }
-
-  const { conversationId, token } = await convResponse.json();
-
-  // 2️⃣ MENSAGEM OTIMIZADA
-  const optimizedMessage = prepareOptimizedMessage(question, context);
-  
-  await fetch(`https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      type: 'message',
-      from: { id: 'PowerBI_Fast_User' },
-      text: optimizedMessage
-    }),
-    timeout: 1500 // 1.5s timeout
-  });
-
-  // 3️⃣ POLLING SUPER-RÁPIDO
-  for (let attempt = 1; attempt <= CONFIG.MAX_POLLING_ATTEMPTS; attempt++) {
-    await new Promise(resolve => setTimeout(resolve, CONFIG.POLLING_INTERVAL));
-    
-    try {
-      const activitiesResponse = await fetch(
-        `https://directline.botframework.com/v3/directline/conversations/${conversationId}/activities`,
-        {
-          headers: { 'Authorization': `Bearer ${token}` },
-          timeout: 1000 // 1s timeout
-        }
-      );
-
-      if (activitiesResponse.ok) {
-        const { activities } = await activitiesResponse.json();
-        const botMessages = activities.filter(a => 
-          a.type === 'message' && a.from.id !== 'PowerBI_Fast_User'
-        );
-
-        if (botMessages.length > 0) {
-          return botMessages[botMessages.length - 1].text;
-        }
-      }
-    } catch (pollError) {
-      console.warn(`⚠️ Polling ${attempt} falhou:`, pollError.message);
+// 🔑 CLIENTE DIRECT LINE (retoma a conversa do visual, se houver)
+function createCopilotClient(conversation) {
+  return new DirectLineClient({
+    userId: 'PowerBI_Fast_User',
+    budget: {
+      requestTimeout: CONFIG.REQUEST_TIMEOUT,
+      pollAttempts: CONFIG.MAX_POLLING_ATTEMPTS,
+      pollInterval: CONFIG.POLLING_INTERVAL,
+      totalTimeout: CONFIG.COPILOT_TIMEOUT
     }
-  }
+  }).resume(conversation);
+}
+
+// 🚀 COPILOT ULTRA-OTIMIZADO
+async function sendToCopilotOptimized(client, question, context, profile) {
+  console.log('🤖 Iniciando Copilot otimizado...', client.conversationId ? '(conversa existente)' : '(nova conversa)');
 
-  throw new Error('Polling timeout após 3 tentativas');
+  return client.askReply(prepareOptimizedMessage(question, context, profile));
 }
 
 // 🧠 FALLBACK INTELIGENTE COM IA
-function generateIntelligentFallback(question, context) {
+// Retorna { answer, chart }: agrupamentos calculados também viram gráfico no visual
+function generateIntelligentFallback(question, context, profile) {
   const q = question.toLowerCase();
   const hasData = Array.isArray(context) && context.length > 0;
-  const rowCount = hasData ? context.length : 0;
+  const rowCount = hasData ? (profile ? profile.rowCount : context.length) : 0;
   
   // 🎯 ANÁLISE INTELIGENTE DA PERGUNTA
   const questionTypes = {
@@ -228,50 +215,55 @@ function generateIntelligentFallback(question, context) {
     }
   }
 
+  // 🧮 CÁLCULO REAL SOBRE AS LINHAS (soma, contagem, média, agrupamento, top-N)
+  const analysis = hasData ? aggregation.analyze(question, context, { responseType, profile }) : null;
+  const computed = aggregation.formatAnalysis(analysis);
+  const chart = aggregation.toChartSpec(analysis);
+
   // 📊 GERAÇÃO DE RESPOSTA CONTEXTUAL
+  let answer;
   switch (responseType) {
     case 'totals':
-      return `📊 **ANÁLISE DE TOTAIS** ${hasData ? `
+      answer = `📊 **ANÁLISE DE TOTAIS** ${hasData ? `
       
 ✅ **Dados Processados:** ${rowCount} registros
 🔍 **Palavras-chave:** ${keywords.join(', ')}
-📈 **Sugestão:** Use a coluna de valores numéricos para calcular totais
-🎯 **Próximo passo:** Identifique a coluna de valores e aplique SUM()
 
-${hasData ? generateDataSample(context) : '⚠️ Adicione dados numéricos ao visual'}` : '⚠️ Nenhum dado disponível para cálculo de totais'}`;
+${computed}` : '⚠️ Nenhum dado disponível para cálculo de totais'}`;
+      break;
 
     case 'doctors':
-      return `👨‍⚕️ **ANÁLISE MÉDICOS** ${hasData ? `
+      answer = `👨‍⚕️ **ANÁLISE MÉDICOS** ${hasData ? `
       
 ✅ **Registros médicos:** ${rowCount} encontrados
 🔍 **Filtros aplicados:** ${keywords.join(', ')}
-📋 **Colunas disponíveis:** ${hasData ? Object.keys(context[0]).join(', ') : 'N/A'}
-💡 **Insights:** Agrupe por nome do médico para ver distribuição
 
-${generateDataSample(context)}` : '⚠️ Dados médicos não carregados no visual'}`;
+${computed}` : '⚠️ Dados médicos não carregados no visual'}`;
+      break;
 
     case 'sales':
-      return `💰 **ANÁLISE DE VENDAS** ${hasData ? `
+      answer = `💰 **ANÁLISE DE VENDAS** ${hasData ? `
       
 📊 **Transações:** ${rowCount} registros de vendas
-💵 **Métricas:** Receita, quantidade, performance
-📈 **Período:** Baseado nos dados carregados
-🎯 **Recomendação:** Visualize por período ou vendedor
 
-${generateDataSample(context)}` : '⚠️ Carregue dados de vendas no visual'}`;
+${computed}` : '⚠️ Carregue dados de vendas no visual'}`;
+      break;
 
     default:
-      return `🤖 **ASSISTENTE BI ATIVO** ${hasData ? `
+      answer = `🤖 **ASSISTENTE BI ATIVO** ${hasData ? `
       
 ✅ **Status:** ${rowCount} registros processados
 🔍 **Pergunta:** "${question.substring(0, 100)}..."
 📊 **Dados:** ${Object.keys(context[0] || {}).length} colunas disponíveis
-⚡ **Modo:** Resposta rápida (otimizado para Netlify Free)
+
+${computed}
 
 ${generateDataSample(context)}
 
-💡 **Dica:** Seja mais específico para análises detalhadas` : '⚠️ Nenhum dado carregado no visual'}`;
+💡 **Dica:** Use "por <coluna>" ou "top 5" para agrupar e ranquear` : '⚠️ Nenhum dado carregado no visual'}`;
   }
+
+  return { answer, chart };
 }
 
 // 📋 GERADOR DE AMOSTRA DE DADOS
@@ -299,7 +291,7 @@ function generateDataSample(context) {
 }
 
 // 📧 MENSAGEM OTIMIZADA PARA COPILOT
-function prepareOptimizedMessage(question, context) {
+function prepareOptimizedMessage(question, context, profile) {
   // Mensagem concisa para economizar tempo de processamento
   if (!Array.isArray(context) || context.length === 0) {
     return `Pergunta rápida: "${question}" - Sem dados do Power BI.`;
@@ -310,19 +302,16 @@ function prepareOptimizedMessage(question, context) {
   
   return `ANÁLISE RÁPIDA:
 Pergunta: "${question}"
-Dados: ${context.length} registros
+Dados: ${profile ? profile.rowCount : context.length} registros
 Colunas: ${columns.join(', ')}
-Amostra: ${JSON.stringify(sample[0] || {})}
-RESPONDA DE FORMA CONCISA E DIRETA.`;
+Amostra: ${JSON.stringify(sample[0] || {})}${profile ? `\n${describeProfile(profile)}` : ''}
+RESPONDA DE FORMA CONCISA E DIRETA. ${CHART_INSTRUCTION}`;
 }
 
 // 🌐 HEADERS CORS
-function getCorsHeaders() {
-  return {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+function getCorsHeaders(event) {
+  return security.getCorsHeaders(event, {
     'Content-Type': 'application/json',
     'Cache-Control': 'no-cache'
-  };
+  });
 }
\ No newline at end of file
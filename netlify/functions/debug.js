@@ -1,20 +1,40 @@
 // netlify/functions/debug.js
 // 🔍 SISTEMA DE DEBUG AVANÇADO E MONITORAMENTO
+// Público: apenas saúde geral. Detalhes completos exigem o header X-Admin-Key
+// com o valor de DEBUG_ADMIN_KEY.
+
+const crypto = require('crypto');
+const { auditLog } = require('../lib/audit');
+const security = require('../lib/security');
+const { DirectLineClient } = require('../lib/directline');
 
 exports.handler = async (event, context) => {
   const startTime = Date.now();
   
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Content-Type': 'application/json'
-  };
+  const corsHeaders = security.getCorsHeaders(event, {
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Key',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  });
 
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 204, headers: corsHeaders, body: '' };
   }
 
+  // 🔐 MODO DE ACESSO
+  const access = security.resolveAdminAccess(event);
+  auditLog('diagnostics_access', event, { mode: access });
+
+  if (access === 'denied') {
+    return {
+      statusCode: 401,
+      headers: corsHeaders,
+      body: JSON.stringify({ status: 'unauthorized', error: 'X-Admin-Key inválida' })
+    };
+  }
+
+  const isAdmin = access === 'admin';
+
   try {
     // 🔍 INFORMAÇÕES DO SISTEMA
     const copilotSecret = process.env.COPILOT_SECRET;
@@ -23,25 +43,17 @@ exports.handler = async (event, context) => {
     const deployUrl = process.env.DEPLOY_URL || 'Deploy URL não disponível';
     
     // 🧪 TESTE DE CONECTIVIDADE
-    let copilotConnectivity = 'unknown';
+    // Só no modo admin, e gerando token em vez de abrir conversa: uma chamada anônima
+    // não pode gastar cota do Copilot
+    let copilotConnectivity = isAdmin ? 'unknown' : 'not_tested';
     let copilotError = null;
     
-    if (copilotSecret) {
+    if (copilotSecret && isAdmin) {
       try {
-        const testResponse = await fetch('https://directline.botframework.com/v3/directline/conversations', {
-          method: 'POST',
-          headers: { 'Authorization': `Bearer ${copilotSecret}` },
-          timeout: 3000
-        });
-        
-        copilotConnectivity = testResponse.ok ? 'connected' : `error_${testResponse.status}`;
-        
-        if (!testResponse.ok) {
-          const errorText = await testResponse.text();
-          copilotError = errorText;
-        }
+        await new DirectLineClient({ budget: { requestTimeout: 3000 } }).generateToken();
+        copilotConnectivity = 'connected';
       } catch (e) {
-        copilotConnectivity = 'connection_failed';
+        copilotConnectivity = e.status ? `error_${e.status}` : 'connection_failed';
         copilotError = e.message;
       }
     }
@@ -75,7 +87,8 @@ exports.handler = async (event, context) => {
       copilot: {
         hasSecret: !!copilotSecret,
         secretLength: copilotSecret ? copilotSecret.length : 0,
-        secretPreview: copilotSecret ? `${copilotSecret.substring(0, 8)}...${copilotSecret.slice(-4)}` : 'NOT_SET',
+        // Hash curto: permite conferir qual secret está ativa sem revelar nenhum caractere
+        secretFingerprint: copilotSecret ? crypto.createHash('sha256').update(copilotSecret).digest('hex').substring(0, 8) : 'NOT_SET',
         connectivity: copilotConnectivity,
         error: copilotError
       },
@@ -96,11 +109,13 @@ exports.handler = async (event, context) => {
       functions: {
         available: [
           'chat (principal)',
+          'chat-job + chat-job-background (assíncrono)',
           'chat-jsonp (backup 1)',
           'chat-iframe (backup 2)', 
           'chat-sse (backup 3)',
           'chat-pixel (backup 4)',
           'storage-bridge (auxiliar)',
+          'chat-context (upload do contexto de dados)',
           'debug (este)',
           'health-check (monitoramento)'
         ],
@@ -117,6 +132,24 @@ exports.handler = async (event, context) => {
     // 🎯 ANÁLISE DE SAÚDE DO SISTEMA
     const healthStatus = analyzeSystemHealth(debugInfo);
 
+    // 🌐 MODO PÚBLICO: só o nível de saúde, sem configuração nem dados do cliente
+    if (!isAdmin) {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          status: 'debug_public',
+          health: {
+            overall: healthStatus.overall,
+            score: healthStatus.score
+          },
+          copilot: { configured: !!copilotSecret, connectivity: copilotConnectivity },
+          timestamp: debugInfo.timestamp,
+          hint: 'Envie o header X-Admin-Key para o diagnóstico completo'
+        }, null, 2)
+      };
+    }
+
     const response = {
       status: 'debug_success',
       health: healthStatus,
@@ -128,11 +161,12 @@ exports.handler = async (event, context) => {
       // 📋 TESTES DISPONÍVEIS
       availableTests: {
         copilot: `${netlifyUrl}/.netlify/functions/chat?question=teste&context=[]`,
+        job: `${netlifyUrl}/.netlify/functions/chat-job?id=teste`,
         jsonp: `${netlifyUrl}/.netlify/functions/chat-jsonp?callback=test&question=teste`,
         iframe: `${netlifyUrl}/.netlify/functions/chat-iframe?question=teste`,
         sse: `${netlifyUrl}/.netlify/functions/chat-sse?question=teste`,
-        pixel: `${netlifyUrl}/.netlify/functions/chat-pixel?session=test&question=teste`,
-        storage: `${netlifyUrl}/.netlify/functions/storage-bridge?session=test`,
+        pixel: `${netlifyUrl}/.netlify/functions/chat-pixel?session=pbi_pixel_debug_teste&question=teste`,
+        storage: `${netlifyUrl}/.netlify/functions/storage-bridge?session=pbi_pixel_debug_teste`,
         health: `${netlifyUrl}/.netlify/functions/health-check`
       }
     };
@@ -157,8 +191,8 @@ exports.handler = async (event, context) => {
       headers: corsHeaders,
       body: JSON.stringify({ 
         status: 'debug_error',
-        error: error.message,
-        stack: error.stack,
+        error: isAdmin ? error.message : 'Erro interno',
+        stack: isAdmin ? error.stack : undefined,
         timestamp: new Date().toISOString(),
         executionTime: Date.now() - startTime
       }, null, 2)
@@ -175,7 +209,7 @@ function analyzeSystemHealth(debugInfo) {
   if (!debugInfo.copilot.hasSecret) {
     issues.push('❌ COPILOT_SECRET não configurada');
     score -= 30;
-  } else if (debugInfo.copilot.connectivity !== 'connected') {
+  } else if (debugInfo.copilot.connectivity !== 'connected' && debugInfo.copilot.connectivity !== 'not_tested') {
     issues.push(`⚠️ Copilot não conectado: ${debugInfo.copilot.connectivity}`);
     score -= 20;
   }
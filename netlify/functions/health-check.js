@@ -0,0 +1,167 @@
+// netlify/functions/health-check.js
+// 🩺 HEALTH CHECK: transportes, storage e Copilot com latência por componente
+// Cada transporte recebe um OPTIONS no endpoint publicado (responde o preflight sem chamar o
+// Copilot). O teste real do Copilot gera um token: só com X-Admin-Key, como no debug.
+
+const fetch = require('node-fetch');
+const { DirectLineClient } = require('../lib/directline');
+const { getStorage, isSharedStorage } = require('../lib/storage');
+const security = require('../lib/security');
+
+// Funções que o visual usa como transporte. chat-job-background fica de fora: qualquer
+// chamada dispara a função em segundo plano (ela é alcançada pelo chat-job)
+const TRANSPORTS = [
+  'chat',
+  'chat-job',
+  'chat-jsonp',
+  'chat-iframe',
+  'chat-sse',
+  'chat-pixel',
+  'chat-context',
+  'storage-bridge'
+];
+
+// Sonda curta: o health check inteiro precisa caber em poucos segundos
+const PROBE_TIMEOUT = 2000;
+
+exports.handler = async (event, context) => {
+  const startTime = Date.now();
+
+  const corsHeaders = security.getCorsHeaders(event, {
+    'Access-Control-Allow-Headers': 'Content-Type, X-Admin-Key',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: corsHeaders, body: '' };
+  }
+
+  const access = security.resolveAdminAccess(event);
+  if (access === 'denied') {
+    return {
+      statusCode: 401,
+      headers: corsHeaders,
+      body: JSON.stringify({ status: 'unauthorized', error: 'X-Admin-Key inválida' })
+    };
+  }
+
+  const [storage, copilot, probes] = await Promise.all([
+    checkStorage(),
+    checkCopilot(access === 'admin'),
+    Promise.all(TRANSPORTS.map(checkTransport))
+  ]);
+  const transports = Object.fromEntries(TRANSPORTS.map((name, i) => [name, probes[i]]));
+
+  const status = overallStatus(transports, storage, copilot);
+
+  console.log('🩺 Health check:', { status, executionTime: Date.now() - startTime });
+
+  return {
+    // 503 só quando nenhum transporte responde: "degraded" ainda atende perguntas
+    statusCode: status === 'down' ? 503 : 200,
+    headers: corsHeaders,
+    body: JSON.stringify({
+      status,
+      timestamp: new Date().toISOString(),
+      latencyMs: Date.now() - startTime,
+      components: { transports, storage, copilot }
+    })
+  };
+};
+
+// 🚚 TRANSPORTE: OPTIONS no endpoint publicado (qualquer resposta abaixo de 500 = função no ar)
+async function checkTransport(name) {
+  const baseUrl = process.env.URL;
+  if (!baseUrl) {
+    return { status: 'skipped', reason: 'URL do site não configurada' };
+  }
+
+  const started = Date.now();
+
+  try {
+    const response = await fetch(`${baseUrl}/.netlify/functions/${name}`, {
+      method: 'OPTIONS',
+      timeout: PROBE_TIMEOUT
+    });
+    const latencyMs = Date.now() - started;
+
+    if (response.status >= 500) {
+      return { status: 'down', httpStatus: response.status, latencyMs, error: `HTTP ${response.status}` };
+    }
+
+    return { status: 'up', httpStatus: response.status, latencyMs };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+// 💾 STORAGE: grava, lê e consome uma chave de teste
+async function checkStorage() {
+  const started = Date.now();
+  const key = `health_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+  try {
+    const storage = getStorage();
+    await storage.set(key, { probe: true }, { ttlMs: 30 * 1000 });
+    const value = await storage.take(key);
+
+    if (!value || value.probe !== true) {
+      return { status: 'down', backend: storage.name, latencyMs: Date.now() - started, error: 'leitura não confere' };
+    }
+
+    // Memória não é compartilhada entre instâncias: pixel e jobs ficam instáveis em produção.
+    // No netlify dev (uma instância só) é o backend esperado.
+    if (storage.name === 'memory') {
+      const expected = isSharedStorage(storage);
+      return {
+        status: expected ? 'up' : 'degraded',
+        backend: storage.name,
+        latencyMs: Date.now() - started,
+        note: expected ? 'memória no netlify dev' : 'memória não é compartilhada entre instâncias: configure REDIS_URL'
+      };
+    }
+
+    return { status: 'up', backend: storage.name, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+// 🤖 COPILOT: só testa quando há secret configurada e o pedido é admin
+// (uma chamada anônima não pode gastar cota do Copilot)
+async function checkCopilot(isAdmin) {
+  if (!process.env.COPILOT_SECRET) {
+    return { status: 'skipped', reason: 'COPILOT_SECRET não configurada' };
+  }
+
+  if (!isAdmin) {
+    return { status: 'not_tested', reason: 'envie X-Admin-Key para testar o Copilot' };
+  }
+
+  const started = Date.now();
+
+  try {
+    await new DirectLineClient({ budget: { requestTimeout: 3000 } }).generateToken();
+    return { status: 'up', latencyMs: Date.now() - started };
+  } catch (error) {
+    return {
+      status: error.code === 'THROTTLED' ? 'degraded' : 'down',
+      latencyMs: Date.now() - started,
+      code: error.code || 'UNKNOWN_ERROR',
+      error: error.message
+    };
+  }
+}
+
+// 🎯 ESTADO GERAL: up / degraded / down
+function overallStatus(transports, storage, copilot) {
+  const transportStates = Object.values(transports).map(t => t.status);
+
+  if (transportStates.length > 0 && transportStates.every(s => s === 'down')) return 'down';
+
+  const all = [...transportStates, storage.status, copilot.status];
+  if (all.some(s => s === 'down' || s === 'degraded')) return 'degraded';
+
+  return 'up';
+}
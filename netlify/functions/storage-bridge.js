@@ -1,15 +1,13 @@
 // netlify/functions/storage-bridge.js
-// Bridge para simular storage temporário
+// Bridge HTTP para o storage temporário (adapter definido por STORAGE_BACKEND)
 
-const responses = new Map(); // Em produção seria Redis/Database
+const { saveResponse, readResponse, isValidSessionId } = require('../lib/response-store');
+const security = require('../lib/security');
 
 exports.handler = async (event, context) => {
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+  const corsHeaders = security.getCorsHeaders(event, {
     'Content-Type': 'application/json'
-  };
+  });
 
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers: corsHeaders, body: '' };
@@ -21,19 +19,14 @@ exports.handler = async (event, context) => {
       const { action, sessionId, data } = JSON.parse(event.body);
       
       if (action === 'store') {
-        responses.set(sessionId, {
-          ...data,
-          storedAt: new Date().toISOString()
-        });
+        if (!isValidSessionId(sessionId)) {
+          return invalidSession(corsHeaders);
+        }
+
+        await saveResponse(sessionId, data);
         
         console.log('📦 Resposta armazenada:', sessionId);
         
-        // Auto-cleanup após 5 minutos
-        setTimeout(() => {
-          responses.delete(sessionId);
-          console.log('🗑️ Sessão limpa:', sessionId);
-        }, 5 * 60 * 1000);
-        
         return {
           statusCode: 200,
           headers: corsHeaders,
@@ -53,12 +46,16 @@ exports.handler = async (event, context) => {
           body: JSON.stringify({ error: 'Session ID required' })
         };
       }
+
+      if (!isValidSessionId(sessionId)) {
+        return invalidSession(corsHeaders);
+      }
       
-      const response = responses.get(sessionId);
+      // peek=true consulta sem consumir; o padrão remove após recuperar (atômico)
+      const peek = event.queryStringParameters?.peek === 'true';
+      const response = await readResponse(sessionId, { peek });
       
       if (response) {
-        // Remove após recuperar
-        responses.delete(sessionId);
         
         console.log('📤 Resposta recuperada:', sessionId);
         
@@ -101,4 +98,13 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
\ No newline at end of file
+};
+
+// Só ids de sessão do pixel: nada de chaves de jobs, contextos ou rate limit
+function invalidSession(headers) {
+  return {
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({ error: 'Session ID inválido' })
+  };
+}
@@ -0,0 +1,320 @@
+// netlify/lib/aggregation.js
+// 🧮 MOTOR DE AGREGAÇÃO SOBRE AS LINHAS DO CONTEXTO
+// Responde com números reais (soma, contagem, média, mín/máx, agrupamento, top-N)
+// mesmo quando o Copilot não está disponível.
+
+const { findColumnProfile } = require('./data-profile');
+
+const OPERATION_LABELS = {
+  sum: 'Soma',
+  count: 'Contagem',
+  avg: 'Média',
+  min: 'Mínimo',
+  max: 'Máximo'
+};
+
+// Tipo de pergunta (questionTypes do chat.js) → operação padrão
+const OPERATION_BY_TYPE = {
+  totals: 'sum',
+  sales: 'sum',
+  doctors: 'sum',
+  quantities: 'count',
+  averages: 'avg',
+  comparisons: 'sum'
+};
+
+// Colunas preferidas como medida quando a pergunta não cita nenhuma
+const MEASURE_HINTS = ['vend', 'receit', 'fatur', 'valor', 'revenue', 'sales', 'total', 'amount', 'preco', 'price'];
+
+// Colunas usadas como agrupamento implícito por tipo de pergunta
+const DIMENSION_HINTS = {
+  doctors: ['medic', 'doctor', 'profission']
+};
+
+// Grupos exibidos na tabela quando a pergunta não pede top-N
+const MAX_GROUPS = 10;
+
+// 🔍 ANALISA A PERGUNTA E CALCULA O RESULTADO
+// Retorna null quando não há linhas para agregar. Com o perfil do visual,
+// totais sem agrupamento valem para o dataset inteiro, não só para a amostra.
+// Agrupamentos precisam de todas as linhas (POST): sobre uma amostra, só contagens
+// do perfil viram tabela; somas e médias por grupo não são calculadas.
+function analyze(question, rows, { responseType = 'general', profile = null } = {}) {
+  if (!Array.isArray(rows) || rows.length === 0) return null;
+
+  const q = normalize(question);
+  const columns = describeColumns(rows);
+  const measures = columns.filter(c => c.numeric);
+  const dimensions = columns.filter(c => !c.numeric);
+
+  const groupBy = detectGroupBy(q, dimensions, responseType);
+  const measure = detectMeasure(q, measures);
+  const top = detectTopN(q);
+  let operation = detectOperation(q, responseType, !!groupBy);
+
+  // Sem coluna numérica só resta contar
+  if (!measure) operation = 'count';
+
+  const values = (list) => operation === 'count'
+    ? list
+    : list.map(row => toNumber(row[measure.name])).filter(v => v !== null);
+
+  const result = {
+    operation,
+    measure: measure ? measure.name : null,
+    groupBy: groupBy ? groupBy.name : null,
+    rowCount: rows.length,
+    value: aggregate(operation, values(rows)),
+    partial: !!(profile && profile.partial)
+  };
+
+  if (!groupBy) {
+    return applyProfile(result, profile);
+  }
+
+  if (profile && profile.rowCount > rows.length) {
+    return groupFromProfile(result, groupBy.name, profile, top) || {
+      ...applyProfile(result, profile),
+      groupingSkipped: { sampleSize: rows.length, rowCount: profile.rowCount }
+    };
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row[groupBy.name] === null || row[groupBy.name] === undefined || row[groupBy.name] === ''
+      ? '(vazio)'
+      : String(row[groupBy.name]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  const ranked = Array.from(groups, ([key, groupRows]) => ({
+    key,
+    value: aggregate(operation, values(groupRows)),
+    count: groupRows.length
+  })).sort((a, b) => top.ascending ? a.value - b.value : b.value - a.value);
+
+  result.groupCount = ranked.length;
+  result.top = top.n;
+  result.groups = ranked.slice(0, top.n || MAX_GROUPS);
+
+  return result;
+}
+
+// 📋 RESULTADO EM MARKDOWN (tabela para agrupamentos, linha única para escalares)
+function formatAnalysis(result) {
+  if (!result) return '';
+
+  const label = describeResult(result);
+
+  const partialNote = result.partial
+    ? '\n⚠️ _Dados parciais: o relatório tem mais linhas do que o visual carregou_'
+    : '';
+
+  if (!result.groups) {
+    const skipped = result.groupingSkipped
+      ? `\n⚠️ _"${label} por ${result.groupBy}" precisa de todas as linhas, mas chegou só uma amostra de ${result.groupingSkipped.sampleSize} de ${result.groupingSkipped.rowCount} registros: o agrupamento não foi calculado_`
+      : '';
+    return `🧮 **${label}:** ${formatNumber(result.value)} _(${result.rowCount} registros)_${skipped}${partialNote}`;
+  }
+
+  const title = result.top
+    ? `🏆 **Top ${result.top} — ${label} por ${result.groupBy}**`
+    : `🧮 **${label} por ${result.groupBy}**`;
+
+  const lines = [
+    title,
+    '',
+    `| ${result.groupBy} | ${label} |`,
+    '|---|---:|',
+    ...result.groups.map(group => `| ${escapeCell(group.key)} | ${formatNumber(group.value)} |`)
+  ];
+
+  const hidden = result.groupCount - result.groups.length;
+  if (hidden > 0) {
+    lines.push('', `_... e mais ${hidden} ${hidden === 1 ? 'grupo' : 'grupos'}_`);
+  }
+
+  lines.push('', `**Total geral:** ${formatNumber(result.value)} _(${result.rowCount} registros)_`);
+
+  if (partialNote) lines.push(partialNote.trim());
+
+  return lines.join('\n');
+}
+
+// 📊 RESULTADO AGRUPADO → GRÁFICO DO VISUAL (valores escalares não viram gráfico)
+function toChartSpec(result) {
+  if (!result || !result.groups || result.groups.length < 2) return null;
+
+  const label = describeResult(result);
+  const chart = {
+    title: `${label} por ${result.groupBy}`,
+    xField: result.groupBy,
+    yField: label,
+    data: result.groups.map(group => ({ [result.groupBy]: group.key, [label]: group.value }))
+  };
+
+  // Médias, mínimos e máximos não são partes de um todo: pizza não faz sentido
+  if (result.operation !== 'sum' && result.operation !== 'count') chart.type = 'bar';
+
+  return chart;
+}
+
+function describeResult(result) {
+  return result.operation === 'count'
+    ? 'Contagem de registros'
+    : `${OPERATION_LABELS[result.operation]} de ${result.measure}`;
+}
+
+// 📐 TROCA O VALOR DA AMOSTRA PELO DO PERFIL (dataset completo), quando disponível
+function applyProfile(result, profile) {
+  if (!profile) return result;
+
+  if (result.operation === 'count') {
+    return { ...result, value: profile.rowCount, rowCount: profile.rowCount };
+  }
+
+  const column = findColumnProfile(profile, result.measure);
+  const stat = { sum: 'sum', avg: 'mean', min: 'min', max: 'max' }[result.operation];
+
+  if (!column || !column.numeric || typeof column[stat] !== 'number') return result;
+
+  return { ...result, value: column[stat], rowCount: profile.rowCount };
+}
+
+// 📐 CONTAGEM POR GRUPO A PARTIR DAS TOP CATEGORIAS DO PERFIL (dataset inteiro)
+// null quando não dá: outra operação, coluna sem perfil ou pedido dos menores (o perfil só guarda os maiores)
+function groupFromProfile(result, groupBy, profile, top) {
+  if (result.operation !== 'count' || top.ascending) return null;
+
+  const column = findColumnProfile(profile, groupBy);
+  if (!column || !Array.isArray(column.topValues) || column.topValues.length === 0) return null;
+
+  const groups = column.topValues.map(({ value, count }) => ({ key: String(value), value: count, count }));
+
+  return {
+    ...result,
+    value: profile.rowCount,
+    rowCount: profile.rowCount,
+    groupCount: column.distinctCount || groups.length,
+    top: top.n,
+    groups: groups.slice(0, top.n || MAX_GROUPS)
+  };
+}
+
+// 🧾 COLUNAS + TIPO (numérica quando ≥ 80% dos valores preenchidos são números)
+function describeColumns(rows) {
+  const names = new Set();
+  rows.slice(0, 50).forEach(row => Object.keys(row || {}).forEach(name => names.add(name)));
+
+  return Array.from(names, name => {
+    const filled = rows.map(row => row[name]).filter(v => v !== null && v !== undefined && v !== '');
+    const numeric = filled.filter(v => toNumber(v) !== null).length;
+
+    return { name, normalized: normalize(name), numeric: filled.length > 0 && numeric / filled.length >= 0.8 };
+  });
+}
+
+// "por médico", "per doctor", "by region", "para cada vendedor"
+function detectGroupBy(q, dimensions, responseType) {
+  const match = q.match(/\b(?:por|per|by|para cada)\s+([a-z0-9_]+)/);
+  if (match) {
+    const found = findColumn(match[1], dimensions);
+    if (found) return found;
+  }
+
+  // "compare os médicos", "quais médicos..." sem "por": usa as dicas do tipo
+  const hints = DIMENSION_HINTS[responseType] || [];
+  return dimensions.find(c => hints.some(hint => c.normalized.includes(hint))) || null;
+}
+
+function detectMeasure(q, measures) {
+  if (measures.length === 0) return null;
+
+  // Coluna citada na pergunta (a de nome mais longo vence: "valor liquido" > "valor")
+  const mentioned = measures
+    .filter(c => q.includes(c.normalized))
+    .sort((a, b) => b.normalized.length - a.normalized.length)[0];
+  if (mentioned) return mentioned;
+
+  const words = q.split(/[^a-z0-9_]+/).filter(w => w.length > 3);
+  const byWord = measures.find(c => words.some(w => c.normalized.includes(stem(w))));
+  if (byWord) return byWord;
+
+  return measures.find(c => MEASURE_HINTS.some(hint => c.normalized.includes(hint))) || measures[0];
+}
+
+// "top 5", "5 maiores", "3 principais", "os 10 piores"
+function detectTopN(q) {
+  const ascending = /\b(menor|menores|piores|pior|lowest|bottom)\b/.test(q);
+  const match = q.match(/\btop\s*(\d+)/) ||
+    q.match(/\b(\d+)\s+(?:maiores|menores|principais|melhores|piores|primeiros)\b/);
+
+  return { n: match ? parseInt(match[1], 10) : null, ascending };
+}
+
+function detectOperation(q, responseType, grouped) {
+  if (/\b(media|medio|average|mean)\b/.test(q)) return 'avg';
+  if (/\b(quantos|quantas|quantidade|qtd|count|numero de)\b/.test(q)) return 'count';
+
+  // "qual o maior valor" sem agrupamento é um máximo; com agrupamento vira ranking
+  if (!grouped && /\b(maximo|maior|max|highest)\b/.test(q)) return 'max';
+  if (!grouped && /\b(minimo|menor|min|lowest)\b/.test(q)) return 'min';
+
+  return OPERATION_BY_TYPE[responseType] || 'sum';
+}
+
+function findColumn(word, columns) {
+  const target = stem(word);
+  return columns.find(c => c.normalized === word) ||
+    columns.find(c => c.normalized.includes(target) || target.includes(c.normalized)) ||
+    null;
+}
+
+function aggregate(operation, values) {
+  if (operation === 'count') return values.length;
+  if (values.length === 0) return 0;
+
+  switch (operation) {
+    case 'sum': return values.reduce((a, b) => a + b, 0);
+    case 'avg': return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'min': return values.reduce((a, b) => Math.min(a, b));
+    case 'max': return values.reduce((a, b) => Math.max(a, b));
+    default: throw new Error(`Operação desconhecida: ${operation}`);
+  }
+}
+
+// Aceita números e textos como "1.234,56", "R$ 99,90", "1234.5"
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let text = value.replace(/[R$\s%]/g, '');
+  if (!text) return null;
+
+  if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(text) || /^-?\d+,\d+$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Plural simples: "medicos" → "medico", "regioes" → "regio"
+function stem(word) {
+  return word.length > 4 ? word.replace(/(es|s)$/, '') : word;
+}
+
+function formatNumber(value) {
+  return Number(value).toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+module.exports = { analyze, formatAnalysis, toChartSpec, describeColumns, toNumber };
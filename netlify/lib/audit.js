@@ -0,0 +1,31 @@
+// netlify/lib/audit.js
+// 📝 AUDITORIA: uma linha JSON por acesso sensível (visível nos logs das funções)
+
+const crypto = require('crypto');
+
+// IP e user-agent entram apenas como hash: dá para correlacionar acessos sem expor o cliente
+function fingerprint(value) {
+  if (!value) return null;
+  const salt = process.env.AUDIT_SALT || process.env.SITE_ID || '';
+  return crypto.createHash('sha256').update(salt + value).digest('hex').substring(0, 16);
+}
+
+function auditLog(action, event, details = {}) {
+  const headers = event.headers || {};
+  const entry = {
+    audit: true,
+    action,
+    timestamp: new Date().toISOString(),
+    method: event.httpMethod,
+    path: event.path,
+    origin: headers.origin || null,
+    clientHash: fingerprint((headers['x-forwarded-for'] || '').split(',')[0].trim()),
+    userAgentHash: fingerprint(headers['user-agent']),
+    ...details
+  };
+
+  console.log('📝 AUDIT', JSON.stringify(entry));
+  return entry;
+}
+
+module.exports = { auditLog, fingerprint };
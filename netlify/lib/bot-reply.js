@@ -0,0 +1,117 @@
+// netlify/lib/bot-reply.js
+// 💬 RESPOSTA DO COPILOT → PAYLOAD DO VISUAL
+// { answer, chart, attachments, suggestedActions }
+// - attachments: só Adaptive Cards (hero/thumbnail cards são convertidos), o visual tem um único renderizador
+// - suggestedActions: [{ type: 'imBack' | 'openUrl', title, value }], o clique vira a próxima pergunta
+
+const { extractChartSpec } = require('./chart-spec');
+
+const ADAPTIVE_CARD = 'application/vnd.microsoft.card.adaptive';
+const HERO_CARDS = ['application/vnd.microsoft.card.hero', 'application/vnd.microsoft.card.thumbnail'];
+
+const MAX_ATTACHMENTS = 5;
+// Cards maiores que isso são quase sempre formulários, que o chat do visual não envia
+const MAX_CARD_LENGTH = 30000;
+const MAX_SUGGESTED_ACTIONS = 8;
+const MAX_ACTION_LENGTH = 200;
+
+// 📦 TEXTO + GRÁFICO + CARDS + SUGESTÕES (reply de DirectLineClient.askReply ou texto puro)
+function toAnswerPayload(reply) {
+  const source = typeof reply === 'string' ? { text: reply } : (reply || {});
+  const { answer, chart } = extractChartSpec(source.text || '');
+
+  return {
+    answer,
+    chart,
+    attachments: normalizeAttachments(source.attachments),
+    suggestedActions: normalizeSuggestedActions(source.suggestedActions)
+  };
+}
+
+// 🃏 ADAPTIVE CARDS (anexos de arquivo, áudio etc. ficam de fora)
+function normalizeAttachments(attachments) {
+  if (!Array.isArray(attachments)) return [];
+
+  return attachments
+    .map(attachment => {
+      if (!attachment || typeof attachment !== 'object') return null;
+      if (attachment.contentType === ADAPTIVE_CARD) return parseAdaptiveCard(attachment.content);
+      if (HERO_CARDS.includes(attachment.contentType)) return heroToAdaptiveCard(attachment.content);
+      return null;
+    })
+    .filter(card => card && JSON.stringify(card).length <= MAX_CARD_LENGTH)
+    .slice(0, MAX_ATTACHMENTS)
+    .map(content => ({ contentType: ADAPTIVE_CARD, content }));
+}
+
+// Alguns canais entregam o card serializado como string
+function parseAdaptiveCard(content) {
+  let card = content;
+  if (typeof card === 'string') {
+    try {
+      card = JSON.parse(card);
+    } catch (error) {
+      console.warn('⚠️ Adaptive Card inválido na resposta do Copilot:', error.message);
+      return null;
+    }
+  }
+
+  return card && card.type === 'AdaptiveCard' && Array.isArray(card.body) ? card : null;
+}
+
+// 🦸 HERO/THUMBNAIL CARD → ADAPTIVE CARD EQUIVALENTE
+function heroToAdaptiveCard(hero) {
+  if (!hero || typeof hero !== 'object') return null;
+
+  const body = [];
+  if (hero.title) body.push({ type: 'TextBlock', text: String(hero.title), size: 'Large', weight: 'Bolder', wrap: true });
+  if (hero.subtitle) body.push({ type: 'TextBlock', text: String(hero.subtitle), isSubtle: true, wrap: true });
+  if (hero.text) body.push({ type: 'TextBlock', text: String(hero.text), wrap: true });
+
+  (hero.images || []).forEach(image => {
+    if (image && image.url) body.push({ type: 'Image', url: image.url, altText: image.alt || '', size: 'Medium' });
+  });
+
+  const actions = (hero.buttons || []).map(toCardAction).filter(Boolean);
+  if (body.length === 0 && actions.length === 0) return null;
+
+  return { type: 'AdaptiveCard', version: '1.5', body, actions };
+}
+
+function toCardAction(button) {
+  const action = normalizeAction(button);
+  if (!action) return null;
+
+  return action.type === 'openUrl'
+    ? { type: 'Action.OpenUrl', title: action.title, url: action.value }
+    : { type: 'Action.Submit', title: action.title, data: action.value };
+}
+
+// 👉 AÇÕES SUGERIDAS (imBack, postBack e messageBack viram pergunta; openUrl abre o link)
+function normalizeSuggestedActions(actions) {
+  if (!Array.isArray(actions)) return [];
+  return actions.map(normalizeAction).filter(Boolean).slice(0, MAX_SUGGESTED_ACTIONS);
+}
+
+function normalizeAction(action) {
+  if (!action || typeof action !== 'object') return null;
+
+  if (action.type === 'openUrl') {
+    const url = String(action.value || '');
+    if (!/^https?:\/\//i.test(url)) return null;
+    return { type: 'openUrl', title: truncate(action.title || url), value: url };
+  }
+
+  // messageBack envia text; imBack/postBack enviam value
+  const value = [action.value, action.text, action.displayText, action.title]
+    .find(candidate => typeof candidate === 'string' && candidate.trim());
+  if (!value) return null;
+
+  return { type: 'imBack', title: truncate(action.title || action.displayText || value), value: truncate(value) };
+}
+
+function truncate(text) {
+  return String(text).trim().slice(0, MAX_ACTION_LENGTH);
+}
+
+module.exports = { toAnswerPayload, normalizeAttachments, normalizeSuggestedActions };
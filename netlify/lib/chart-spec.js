@@ -0,0 +1,61 @@
+// netlify/lib/chart-spec.js
+// 📊 GRÁFICO QUE ACOMPANHA A RESPOSTA
+// O visual desenha { type?, title?, xField?, yField?, data } dentro da bolha do bot.
+// Sem type, o visual escolhe o gráfico pelos dados (analyzeDataAndSuggestChart).
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'scatter'];
+
+// Linhas enviadas ao visual (o gráfico agrega; mais que isso só pesa na resposta)
+const MAX_CHART_ROWS = 100;
+const MAX_LABEL_LENGTH = 120;
+
+// Saída estruturada do Copilot: bloco ```chart com o JSON no fim da resposta
+const CHART_BLOCK = /```chart[ \t]*\r?\n([\s\S]*?)```/i;
+
+const CHART_INSTRUCTION = 'Se um gráfico ajudar, termine com um bloco ```chart contendo JSON ' +
+  '{"type":"bar|line|pie|scatter","title":"...","xField":"coluna","yField":"coluna","data":[{...}]}.';
+
+// ✂️ SEPARA O TEXTO DO BLOCO ```chart (bloco inválido continua no texto)
+function extractChartSpec(answer) {
+  if (typeof answer !== 'string') return { answer, chart: null };
+
+  const match = CHART_BLOCK.exec(answer);
+  if (!match) return { answer, chart: null };
+
+  let chart = null;
+  try {
+    chart = sanitizeChartSpec(JSON.parse(match[1]));
+  } catch (error) {
+    console.warn('⚠️ Bloco chart inválido na resposta do Copilot:', error.message);
+  }
+
+  if (!chart) return { answer, chart: null };
+  return { answer: answer.replace(match[0], '').trim(), chart };
+}
+
+// 🧹 SÓ CAMPOS CONHECIDOS E VALORES PRIMITIVOS
+function sanitizeChartSpec(spec) {
+  if (!spec || typeof spec !== 'object' || !Array.isArray(spec.data)) return null;
+
+  const data = spec.data
+    .filter(row => row && typeof row === 'object' && !Array.isArray(row))
+    .slice(0, MAX_CHART_ROWS)
+    .map(row => Object.fromEntries(
+      Object.entries(row).filter(([, value]) => value === null || ['string', 'number', 'boolean'].includes(typeof value))
+    ));
+
+  if (data.length === 0) return null;
+
+  const chart = { data };
+  if (CHART_TYPES.includes(spec.type)) chart.type = spec.type;
+
+  ['title', 'xField', 'yField'].forEach(field => {
+    if (typeof spec[field] === 'string' && spec[field]) {
+      chart[field] = spec[field].slice(0, MAX_LABEL_LENGTH);
+    }
+  });
+
+  return chart;
+}
+
+module.exports = { extractChartSpec, sanitizeChartSpec, CHART_INSTRUCTION, CHART_TYPES };
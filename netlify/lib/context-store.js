@@ -0,0 +1,51 @@
+// netlify/lib/context-store.js
+// 🗂️ CONTEXTO DE DADOS ENVIADO UMA VEZ E REFERENCIADO POR ID (transportes só-GET)
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const CONTEXT_PREFIX = 'ctx_';
+
+// O visual reenvia o contexto antes disso (ver CONTEXT_REUPLOAD_MS no visual)
+const CONTEXT_TTL = 30 * 60 * 1000;
+
+async function saveContext(context) {
+  const contextId = crypto.randomUUID();
+  await getStorage().set(CONTEXT_PREFIX + contextId, context, { ttlMs: CONTEXT_TTL });
+  return contextId;
+}
+
+async function getContext(contextId) {
+  return getStorage().get(CONTEXT_PREFIX + contextId);
+}
+
+// 🔍 RESOLVE O CONTEXTO DA PERGUNTA, NESTA ORDEM:
+//   1. contexto completo no corpo JSON (POST)
+//   2. contextId de um upload anterior
+//   3. parâmetro "context" na query string (legado, sujeito ao limite de URL)
+async function resolveContext({ context, contextId } = {}) {
+  if (context && typeof context === 'object') return context;
+
+  if (contextId) {
+    try {
+      const stored = await getContext(contextId);
+      if (stored) return stored;
+      console.warn('⚠️ Contexto expirado ou inexistente:', contextId);
+    } catch (error) {
+      // Sem contexto a pergunta ainda pode ser respondida
+      console.warn('⚠️ Storage indisponível ao ler contexto:', error.message);
+    }
+  }
+
+  if (typeof context === 'string' && context) {
+    try {
+      return JSON.parse(context);
+    } catch (e) {
+      console.warn('⚠️ Contexto inválido na query string:', e.message);
+    }
+  }
+
+  return [];
+}
+
+module.exports = { saveContext, getContext, resolveContext, CONTEXT_TTL };
@@ -0,0 +1,91 @@
+// netlify/lib/data-profile.js
+// 📐 CONTEXTO = LINHAS + AMOSTRA + PERFIL ESTATÍSTICO DE TODAS AS LINHAS
+//
+// O visual envia { rows, sample, profile, rowCount, partial }; versões antigas enviam só o array de linhas.
+// Por POST rows traz todas as linhas carregadas; na URL (GET sem upload) rows é só a amostra.
+// partial = o relatório tem mais linhas do que o visual carregou (limite de linhas).
+// O perfil cobre todas as linhas carregadas (distintos, nulos, min/max/média/soma, top categorias),
+// então contagens e totais não dependem do tamanho da amostra.
+
+const TYPE_LABELS = {
+  number: 'número',
+  integer: 'inteiro',
+  text: 'texto',
+  date: 'data',
+  boolean: 'booleano'
+};
+
+// 🔀 SEPARA LINHAS, AMOSTRA E PERFIL (aceita o formato antigo)
+function splitContext(context) {
+  if (Array.isArray(context)) {
+    return { rows: context, sample: context, profile: null, rowCount: context.length, partial: false };
+  }
+
+  if (!context || typeof context !== 'object') {
+    return { rows: [], sample: [], profile: null, rowCount: 0, partial: false };
+  }
+
+  const rows = Array.isArray(context.rows) ? context.rows : [];
+  // partial viaja junto do perfil para chegar aos prompts sem parâmetro extra
+  const profile = context.profile && Array.isArray(context.profile.columns)
+    ? { ...context.profile, partial: !!context.partial }
+    : null;
+
+  return {
+    rows,
+    // Amostra espaçada escolhida pelo visual (POST manda todas as linhas em rows)
+    sample: Array.isArray(context.sample) ? context.sample : rows,
+    profile,
+    rowCount: context.rowCount || (profile && profile.rowCount) || rows.length,
+    partial: !!context.partial
+  };
+}
+
+// 🔍 ESTATÍSTICAS DE UMA COLUNA DO PERFIL (null se ausente)
+function findColumnProfile(profile, name) {
+  if (!profile) return null;
+  return profile.columns.find(column => column.name === name) || null;
+}
+
+// 📝 PERFIL EM TEXTO COMPACTO PARA O PROMPT DO COPILOT
+function describeProfile(profile, { maxColumns = 12 } = {}) {
+  if (!profile) return '';
+
+  const lines = profile.columns.slice(0, maxColumns).map(column => {
+    const parts = [`${column.name} [${describeColumnType(column)}]`];
+    if (column.format) parts.push(`formato ${column.format}`);
+
+    if (column.numeric) {
+      parts.push(`min ${column.min}`, `max ${column.max}`, `média ${round(column.mean)}`, `soma ${round(column.sum)}`);
+    } else {
+      parts.push(`${column.distinctCount} distintos`);
+      if (column.topValues && column.topValues.length > 0) {
+        parts.push(`top: ${column.topValues.slice(0, 3).map(t => `${t.value} (${t.count})`).join(', ')}`);
+      }
+    }
+
+    if (column.nullCount) parts.push(`${column.nullCount} nulos`);
+    return `- ${parts.join(', ')}`;
+  });
+
+  const hidden = profile.columns.length - maxColumns;
+  if (hidden > 0) lines.push(`- ... e mais ${hidden} colunas`);
+
+  const scope = profile.partial
+    ? `Perfil de ${profile.rowCount} registros (DADOS PARCIAIS: o relatório tem mais linhas que o limite carregado)`
+    : `Perfil de ${profile.rowCount} registros`;
+
+  return `${scope}:\n${lines.join('\n')}`;
+}
+
+// Tipo + papel + agregação: "número, medida, Sum"
+function describeColumnType(column) {
+  const type = TYPE_LABELS[column.type] || (column.numeric ? 'número' : 'texto');
+  return [...new Set([type, column.role, column.aggregation].filter(Boolean))].join(', ');
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+}
+
+module.exports = { splitContext, findColumnProfile, describeProfile };
@@ -0,0 +1,340 @@
+// netlify/lib/directline.js
+// 🤖 CLIENTE DIRECT LINE COMPARTILHADO POR TODAS AS FUNÇÕES DE CHAT
+
+const fetch = require('node-fetch');
+
+const DIRECT_LINE_URL = 'https://directline.botframework.com/v3/directline';
+
+// ⚡ ORÇAMENTO PADRÃO (cada transporte pode sobrescrever)
+const DEFAULT_BUDGET = {
+  requestTimeout: 2000,   // Timeout de cada chamada HTTP
+  pollAttempts: 4,        // Máximo de leituras de atividades
+  pollInterval: 1300,     // Intervalo entre leituras
+  totalTimeout: 8000      // Tempo máximo do fluxo completo
+};
+
+// Renova o token quando faltar menos que isso para expirar
+const TOKEN_REFRESH_MARGIN = 60 * 1000;
+
+// Todos os transportes identificam o usuário com este prefixo
+const USER_ID_PREFIX = 'PowerBI_';
+
+// 🚨 ERROS TIPADOS
+class DirectLineError extends Error {
+  constructor(message, { code = 'DIRECTLINE_ERROR', status = null } = {}) {
+    super(message);
+    this.name = 'DirectLineError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class DirectLineAuthError extends DirectLineError {
+  constructor(message, status) {
+    super(message, { code: 'AUTH_ERROR', status });
+    this.name = 'DirectLineAuthError';
+  }
+}
+
+class DirectLineThrottledError extends DirectLineError {
+  constructor(message, retryAfter) {
+    super(message, { code: 'THROTTLED', status: 429 });
+    this.name = 'DirectLineThrottledError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+class DirectLineTimeoutError extends DirectLineError {
+  constructor(message) {
+    super(message, { code: 'TIMEOUT_ERROR' });
+    this.name = 'DirectLineTimeoutError';
+  }
+}
+
+class DirectLineClient {
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.COPILOT_SECRET;
+    this.userId = options.userId || 'PowerBI_User';
+    this.budget = { ...DEFAULT_BUDGET, ...(options.budget || {}) };
+
+    this.conversationId = null;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+    this.watermark = null;
+  }
+
+  // 1️⃣ INICIA CONVERSA
+  async startConversation() {
+    if (!this.secret) {
+      throw new DirectLineAuthError('COPILOT_SECRET não configurada', null);
+    }
+
+    const data = await this.request('/conversations', {
+      method: 'POST',
+      auth: this.secret
+    });
+
+    this.conversationId = data.conversationId;
+    this.watermark = null;
+    this.setToken(data.token, data.expires_in);
+
+    return data;
+  }
+
+  // 🩺 GERA TOKEN SEM ABRIR CONVERSA (teste barato de conectividade)
+  async generateToken() {
+    if (!this.secret) {
+      throw new DirectLineAuthError('COPILOT_SECRET não configurada', null);
+    }
+
+    return this.request('/tokens/generate', {
+      method: 'POST',
+      auth: this.secret
+    });
+  }
+
+  // 🔁 RETOMA CONVERSA EXISTENTE (estado enviado pelo visual)
+  // Só com o token da própria conversa: o conversationId sozinho não prova nada e
+  // nunca é trocado por um token novo com o secret (seria tomar a conversa de outro usuário)
+  resume(state) {
+    if (!state || !state.conversationId || !state.token) return this;
+
+    this.conversationId = state.conversationId;
+    this.token = state.token || null;
+    this.tokenExpiresAt = state.expiresAt || 0;
+    this.watermark = state.watermark || null;
+
+    return this;
+  }
+
+  // 📦 ESTADO QUE O VISUAL GUARDA ENTRE PERGUNTAS
+  getState() {
+    if (!this.conversationId) return null;
+
+    return {
+      conversationId: this.conversationId,
+      token: this.token,
+      watermark: this.watermark,
+      expiresAt: this.tokenExpiresAt
+    };
+  }
+
+  // 🔄 RENOVA O TOKEN DA CONVERSA ATUAL (autenticado pelo próprio token)
+  async refreshToken() {
+    const data = await this.request('/tokens/refresh', {
+      method: 'POST',
+      auth: this.token
+    });
+
+    this.setToken(data.token, data.expires_in);
+    return data;
+  }
+
+  // 🔑 GARANTE CONVERSA COM TOKEN VÁLIDO (reaproveita o existente)
+  async ensureConversation() {
+    // Sem token válido não há como provar que a conversa é de quem pediu: começa outra
+    if (!this.conversationId || !this.token || (this.tokenExpiresAt && Date.now() > this.tokenExpiresAt)) {
+      await this.startConversation();
+      return;
+    }
+
+    if (this.tokenExpiresAt && Date.now() > this.tokenExpiresAt - TOKEN_REFRESH_MARGIN) {
+      try {
+        await this.refreshToken();
+      } catch (error) {
+        if (!(error instanceof DirectLineAuthError)) throw error;
+        console.warn('⚠️ Token da conversa recusado na renovação, iniciando nova:', error.message);
+        await this.startConversation();
+      }
+    }
+  }
+
+  // 2️⃣ ENVIA MENSAGEM
+  async sendMessage(text) {
+    await this.ensureConversation();
+
+    const post = () => this.request(`/conversations/${this.conversationId}/activities`, {
+      method: 'POST',
+      auth: this.token,
+      body: {
+        type: 'message',
+        from: { id: this.userId },
+        text
+      }
+    });
+
+    try {
+      const data = await post();
+      return data.id;
+    } catch (error) {
+      // Token recebido do visual pode ter expirado sem aviso: recomeça numa conversa nova
+      if (!(error instanceof DirectLineAuthError) || !this.secret) throw error;
+      console.warn('⚠️ Token da conversa recusado, iniciando nova:', error.message);
+      await this.startConversation();
+      const data = await post();
+      return data.id;
+    }
+  }
+
+  // 3️⃣ LÊ ATIVIDADES NOVAS (usa watermark para leitura incremental)
+  async getActivities() {
+    const query = this.watermark ? `?watermark=${encodeURIComponent(this.watermark)}` : '';
+    const data = await this.request(`/conversations/${this.conversationId}/activities${query}`, {
+      auth: this.token
+    });
+
+    if (data.watermark) {
+      this.watermark = data.watermark;
+    }
+
+    return data.activities || [];
+  }
+
+  // ⏳ POLLING ATÉ A RESPOSTA DO BOT (respeitando o orçamento)
+  // onActivity recebe cada atividade nova do bot (typing, mensagens parciais)
+  async waitForReply(deadline, replyToId, onActivity) {
+    const { pollAttempts, pollInterval } = this.budget;
+
+    for (let attempt = 1; attempt <= pollAttempts; attempt++) {
+      if (Date.now() + pollInterval > deadline) break;
+      await sleep(pollInterval);
+
+      try {
+        const activities = await this.getActivities();
+
+        if (onActivity) {
+          activities.filter(isBotActivity).forEach(onActivity);
+        }
+
+        const reply = pickReply(activities, replyToId);
+
+        if (reply) {
+          return reply;
+        }
+      } catch (pollError) {
+        // Erros de autenticação e throttling não se resolvem com nova tentativa
+        if (pollError instanceof DirectLineAuthError || pollError instanceof DirectLineThrottledError) {
+          throw pollError;
+        }
+        console.warn(`⚠️ Polling ${attempt} falhou:`, pollError.message);
+      }
+    }
+
+    throw new DirectLineTimeoutError(`Polling timeout após ${pollAttempts} tentativas`);
+  }
+
+  // 🚀 FLUXO COMPLETO: conversa → mensagem → polling
+  // hooks opcionais: onSent(activityId) e onActivity(activity) para transportes com streaming
+  async ask(text, hooks = {}) {
+    const reply = await this.askReply(text, hooks);
+    return reply.text;
+  }
+
+  // Resposta completa: { text, attachments, suggestedActions } (cards do Copilot Studio)
+  async askReply(text, hooks = {}) {
+    const deadline = Date.now() + this.budget.totalTimeout;
+
+    const flow = (async () => {
+      const activityId = await this.sendMessage(text);
+      if (hooks.onSent) hooks.onSent(activityId);
+
+      return this.waitForReply(deadline, activityId, hooks.onActivity);
+    })();
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new DirectLineTimeoutError(`Copilot timeout após ${this.budget.totalTimeout}ms`)),
+        this.budget.totalTimeout
+      );
+    });
+
+    try {
+      return await Promise.race([flow, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  setToken(token, expiresIn) {
+    this.token = token;
+    this.tokenExpiresAt = Date.now() + (expiresIn || 1800) * 1000;
+  }
+
+  // 🌐 CHAMADA HTTP COM MAPEAMENTO DE ERROS
+  async request(path, { method = 'GET', auth, body } = {}) {
+    const headers = { 'Authorization': `Bearer ${auth}` };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      response = await fetch(`${DIRECT_LINE_URL}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        timeout: this.budget.requestTimeout
+      });
+    } catch (error) {
+      if (error.type === 'request-timeout') {
+        throw new DirectLineTimeoutError(`Direct Line não respondeu em ${this.budget.requestTimeout}ms`);
+      }
+      throw new DirectLineError(`Falha de rede Direct Line: ${error.message}`, { code: 'NETWORK_ERROR' });
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new DirectLineAuthError(`Direct Line recusou a autenticação: ${response.status}`, response.status);
+    }
+
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get('retry-after') || '0', 10) || null;
+      throw new DirectLineThrottledError('Direct Line limitou as requisições: 429', retryAfter);
+    }
+
+    if (!response.ok) {
+      throw new DirectLineError(`Direct Line falhou: ${response.status}`, { status: response.status });
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+}
+
+// 🎯 ESCOLHE A RESPOSTA À NOSSA MENSAGEM
+// Numa conversa longa, respostas atrasadas de perguntas anteriores podem
+// chegar depois do watermark: quando o bot informa replyToId, só aceitamos
+// as que respondem à atividade que acabamos de enviar.
+// O Copilot Studio costuma responder em várias mensagens (texto, card, sugestões):
+// os textos são unidos, os anexos somados e as ações sugeridas vêm da última.
+function pickReply(activities, replyToId) {
+  const botMessages = activities.filter(a => a.type === 'message' && isBotActivity(a));
+
+  const answers = botMessages.filter(a => !a.replyToId || !replyToId || a.replyToId === replyToId);
+  if (answers.length === 0) return null;
+
+  const last = answers[answers.length - 1];
+  return {
+    id: last.id,
+    text: answers.map(a => a.text).filter(Boolean).join('\n\n'),
+    attachments: answers.flatMap(a => a.attachments || []),
+    suggestedActions: (last.suggestedActions && last.suggestedActions.actions) || []
+  };
+}
+
+function isBotActivity(activity) {
+  return !!activity.from && !String(activity.from.id).startsWith(USER_ID_PREFIX);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DirectLineClient,
+  DirectLineError,
+  DirectLineAuthError,
+  DirectLineThrottledError,
+  DirectLineTimeoutError,
+  DEFAULT_BUDGET,
+  pickReply,
+  isBotActivity
+};
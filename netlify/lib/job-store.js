@@ -0,0 +1,36 @@
+// netlify/lib/job-store.js
+// 📋 REGISTRO DE JOBS ASSÍNCRONOS (persistido no storage compartilhado)
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+const JOB_PREFIX = 'job_';
+
+// Jobs duram bem mais que o orçamento do background (2 min) para o visual ler o resultado
+const JOB_TTL = 15 * 60 * 1000;
+
+function createJobId() {
+  return crypto.randomUUID();
+}
+
+// 💾 GRAVA (OU ATUALIZA) O ESTADO DO JOB
+async function saveJob(job) {
+  const record = { ...job, updatedAt: new Date().toISOString() };
+  await getStorage().set(JOB_PREFIX + job.id, record, { ttlMs: JOB_TTL });
+  return record;
+}
+
+// 🔍 CONSULTA O JOB SEM CONSUMIR O REGISTRO
+async function getJob(jobId) {
+  return getStorage().get(JOB_PREFIX + jobId);
+}
+
+// 🔒 RESERVA O JOB PARA UMA ÚNICA EXECUÇÃO
+// Ler "pending" e gravar "running" são duas operações: duas invocações do background
+// podiam passar juntas. O increment é atômico (memória e Redis): só o primeiro recebe 1.
+async function claimJob(jobId) {
+  const claims = await getStorage().increment(`${JOB_PREFIX}claim_${jobId}`, { ttlMs: JOB_TTL });
+  return claims === 1;
+}
+
+module.exports = { createJobId, saveJob, getJob, claimJob };
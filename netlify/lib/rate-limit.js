@@ -0,0 +1,109 @@
+// netlify/lib/rate-limit.js
+// 🚦 RATE LIMITING POR IP + INSTÂNCIA DO VISUAL COM COTA POR MINUTO E POR DIA
+// Toda requisição conta, inclusive as repetições da mesma pergunta por outro transporte:
+// cada uma é uma chamada ao Copilot. requestId vem do cliente e não serve de chave.
+
+const { getStorage, isSharedStorage } = require('./storage');
+const { fingerprint } = require('./audit');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Quanto tempo a recusa de um requestId é lembrada (fallbacks da mesma pergunta chegam em segundos)
+const REQUEST_DECISION_TTL = 5 * MINUTE;
+
+// Id gerado pelo visual (um por instância no relatório)
+const INSTANCE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Aviso de storage local dado uma vez por container
+let localStorageWarned = false;
+
+function getLimits() {
+  return {
+    perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '10', 10),
+    perDay: parseInt(process.env.RATE_LIMIT_PER_DAY || '200', 10)
+  };
+}
+
+// 🪪 IDENTIFICA O CLIENTE PELO IP (o Netlify preenche x-nf-client-connection-ip; o cliente não escolhe)
+// + a instância do visual: atrás de um NAT corporativo todo o relatório sairia pelo mesmo IP.
+// A instância só conta em requisição assinada (REQUEST_SIGNING_KEY); sem assinatura o cliente
+// trocaria de id a cada pergunta para ganhar cota nova.
+function getClientKey(event, instanceId) {
+  const headers = event.headers || {};
+  const ip = headers['x-nf-client-connection-ip'] ||
+    (headers['x-forwarded-for'] || '').split(',')[0].trim();
+
+  const instance = process.env.REQUEST_SIGNING_KEY && INSTANCE_ID_PATTERN.test(String(instanceId || ''))
+    ? instanceId
+    : null;
+
+  return instance ? `ip:${ip || 'unknown'}|visual:${instance}` : `ip:${ip || 'unknown'}`;
+}
+
+// 🧮 CONSOME UMA PERGUNTA DA COTA
+// Retorna null quando a pergunta pode seguir, ou { statusCode 429, code, message, answer, retryAfter }.
+// requestId só repete uma recusa já dada: outro transporte não passa onde o primeiro foi barrado.
+// instanceId/requestId: do corpo (POST); nos GET vêm dos parâmetros, cobertos pela assinatura
+async function checkRateLimit(event, { requestId, instanceId } = {}) {
+  const { perMinute, perDay } = getLimits();
+  if (!(perMinute > 0) && !(perDay > 0)) return null;
+
+  const params = event.queryStringParameters || {};
+  const headers = event.headers || {};
+  const client = fingerprint(getClientKey(event, instanceId || params.instanceId));
+  const request = requestId || params.requestId || headers['x-request-id'];
+  const decisionKey = request ? `rate_req_${client}_${fingerprint(String(request))}` : null;
+  const now = Date.now();
+
+  try {
+    const storage = getStorage();
+
+    // Memória/arquivo contam por Lambda: cada container tem sua própria cota
+    if (!isSharedStorage(storage) && !localStorageWarned) {
+      localStorageWarned = true;
+      console.warn(`⚠️ Rate limit com storage ${storage.name}: cada instância da função conta sozinha (configure REDIS_URL)`);
+    }
+
+    const windows = [
+      { scope: 'minuto', limit: perMinute, size: MINUTE },
+      { scope: 'dia', limit: perDay, size: DAY }
+    ].filter(window => window.limit > 0);
+
+    // Conta primeiro (a repetição também gasta cota), depois consulta a recusa anterior
+    let rejection = null;
+    for (const window of windows) {
+      const index = Math.floor(now / window.size);
+      const count = await storage.increment(`rate_${window.size}_${client}_${index}`, { ttlMs: window.size });
+
+      if (count > window.limit && !rejection) {
+        const retryAfter = Math.ceil(((index + 1) * window.size - now) / 1000);
+        console.warn('🚦 Limite atingido:', { client, scope: window.scope, count, limit: window.limit });
+
+        const message = `Limite de ${window.limit} perguntas por ${window.scope} atingido. Tente novamente em ${formatWait(retryAfter)}.`;
+        rejection = { statusCode: 429, code: 'RATE_LIMITED', message, answer: `🚦 ${message}`, retryAfter };
+      }
+    }
+
+    if (decisionKey) {
+      const previous = await storage.get(decisionKey);
+      if (previous) return previous;
+      if (rejection) await storage.set(decisionKey, rejection, { ttlMs: REQUEST_DECISION_TTL });
+    }
+
+    return rejection;
+  } catch (error) {
+    // Storage fora do ar não pode derrubar o chat: segue sem limite
+    console.warn('⚠️ Rate limit indisponível:', error.message);
+  }
+
+  return null;
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+  return `${Math.ceil(seconds / 3600)} h`;
+}
+
+module.exports = { checkRateLimit, getClientKey, getLimits };
@@ -0,0 +1,47 @@
+// netlify/lib/request-body.js
+// 📦 LEITURA DO CORPO JSON DAS REQUISIÇÕES (aceita gzip vindo do visual)
+
+const zlib = require('zlib');
+
+// Limite do JSON já descompactado (protege contra "gzip bomb"). Fica abaixo dos ~6 MB de corpo
+// das funções síncronas do Netlify: sem CompressionStream o visual manda o JSON sem compactar
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+class RequestBodyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RequestBodyError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Retorna { data, text }: text é o JSON original, usado na verificação de assinatura
+function readJsonBody(event) {
+  if (!event.body) return { data: {}, text: '' };
+
+  const headers = event.headers || {};
+  let raw = Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8');
+
+  if ((headers['content-encoding'] || '').toLowerCase() === 'gzip') {
+    try {
+      raw = zlib.gunzipSync(raw, { maxOutputLength: MAX_BODY_BYTES });
+    } catch (error) {
+      throw error.code === 'ERR_BUFFER_TOO_LARGE'
+        ? new RequestBodyError(`Corpo maior que ${MAX_BODY_BYTES} bytes`, 413)
+        : new RequestBodyError(`Corpo gzip inválido: ${error.message}`);
+    }
+  }
+
+  if (raw.length > MAX_BODY_BYTES) {
+    throw new RequestBodyError(`Corpo maior que ${MAX_BODY_BYTES} bytes`, 413);
+  }
+
+  const text = raw.toString('utf8');
+  try {
+    return { data: JSON.parse(text), text };
+  } catch (error) {
+    throw new RequestBodyError(`JSON inválido: ${error.message}`);
+  }
+}
+
+module.exports = { readJsonBody, RequestBodyError, MAX_BODY_BYTES };
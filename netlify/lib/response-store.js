@@ -0,0 +1,40 @@
+// netlify/lib/response-store.js
+// 📮 RESPOSTAS DO TRANSPORTE PIXEL, LIDAS PELO VISUAL VIA storage-bridge
+// A sessão vem do cliente: só ids no formato esperado e sempre com prefixo próprio,
+// para a bridge (sem autenticação) nunca alcançar jobs, contextos ou contadores do rate limit.
+
+const { getStorage } = require('./storage');
+
+const RESPONSE_PREFIX = 'resp_';
+
+// Respostas expiram após 5 minutos
+const RESPONSE_TTL = 5 * 60 * 1000;
+
+// pbi_pixel_<timestamp>_<aleatório> no visual; qualquer id longo o bastante para não ser adivinhado
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+function responseKey(sessionId) {
+  if (!isValidSessionId(sessionId)) {
+    throw new Error('Session ID inválido');
+  }
+  return RESPONSE_PREFIX + sessionId;
+}
+
+async function saveResponse(sessionId, data) {
+  await getStorage().set(responseKey(sessionId), {
+    ...data,
+    storedAt: new Date().toISOString()
+  }, { ttlMs: RESPONSE_TTL });
+}
+
+// peek consulta sem consumir; o padrão remove ao ler (atômico)
+async function readResponse(sessionId, { peek = false } = {}) {
+  const storage = getStorage();
+  return peek ? storage.get(responseKey(sessionId)) : storage.take(responseKey(sessionId));
+}
+
+module.exports = { saveResponse, readResponse, isValidSessionId, RESPONSE_PREFIX, RESPONSE_TTL };
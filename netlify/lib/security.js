@@ -0,0 +1,201 @@
+// netlify/lib/security.js
+// 🔐 ORIGENS PERMITIDAS + ASSINATURA HMAC DAS REQUISIÇÕES DO VISUAL
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Hosts do Power BI (os mesmos do postMessage do chat-iframe) + desenvolvimento local.
+// "null" (origem opaca) não entra: qualquer página com iframe sandbox a envia.
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://app.powerbi.com',
+  'https://msit.powerbi.com',
+  'https://powerbi.microsoft.com',
+  'https://localhost:8080',
+  'http://localhost:8080'
+];
+
+// Assinaturas valem por 5 minutos (tolerância para relógios dessincronizados)
+const SIGNATURE_MAX_AGE = 5 * 60 * 1000;
+
+// Nonce usado fica guardado o dobro da janela: cobre relógios adiantados e atrasados
+const NONCE_PREFIX = 'nonce_';
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Parâmetros da própria assinatura ficam fora do texto assinado
+const SIGNATURE_PARAMS = ['ts', 'nonce', 'sig'];
+
+// ALLOWED_ORIGINS="https://app.powerbi.com,https://*.pbidedicated.windows.net"
+function getAllowedOrigins() {
+  const configured = process.env.ALLOWED_ORIGINS;
+  if (!configured) return DEFAULT_ALLOWED_ORIGINS;
+
+  return configured.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+function isOriginAllowed(origin) {
+  return getAllowedOrigins().some(pattern => {
+    if (pattern === '*') return true;
+    if (!pattern.includes('*')) return pattern === origin;
+
+    const regex = new RegExp('^' + pattern.split('*').map(escapeRegex).join('[^/]+') + '$');
+    return regex.test(origin);
+  });
+}
+
+// Script, img e iframe não mandam Origin, e o iframe sandbox do visual manda "null":
+// nesses casos vale a origem do Referer, quando existir
+function getRequestOrigin(event) {
+  const headers = event.headers || {};
+  if (headers.origin && headers.origin !== 'null') return headers.origin;
+
+  if (headers.referer) {
+    try {
+      return new URL(headers.referer).origin;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+// 🌐 HEADERS CORS (ecoa a origem quando ela está na lista)
+function getCorsHeaders(event, extra = {}) {
+  const origin = getRequestOrigin(event);
+  const headers = {
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Content-Encoding, Authorization, X-Signature, X-Signature-Timestamp, X-Signature-Nonce',
+    'Vary': 'Origin',
+    ...extra
+  };
+
+  if (origin && isOriginAllowed(origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  }
+
+  return headers;
+}
+
+// ✍️ ASSINATURA: HMAC-SHA256(chave, `${timestamp}.${nonce}.${payload}`) em hex
+// payload: o corpo JSON inteiro (POST) ou todos os parâmetros da URL (GET, ver canonicalQuery)
+function signPayload(key, timestamp, nonce, payload) {
+  return crypto.createHmac('sha256', key).update(`${timestamp}.${nonce}.${payload}`).digest('hex');
+}
+
+// Parâmetros em ordem alfabética, valores com encodeURIComponent (o visual monta igual)
+function canonicalQuery(params = {}) {
+  return Object.keys(params)
+    .filter(key => !SIGNATURE_PARAMS.includes(key))
+    .sort()
+    .map(key => `${key}=${encodeURIComponent(params[key])}`)
+    .join('&');
+}
+
+async function verifySignature({ timestamp, nonce, signature, payload }) {
+  const key = process.env.REQUEST_SIGNING_KEY;
+  if (!key) return null; // Assinatura opcional: só exigida quando a chave existe
+
+  if (!timestamp || !nonce || !signature) {
+    return 'Requisição sem assinatura';
+  }
+
+  const age = Math.abs(Date.now() - parseInt(timestamp, 10));
+  if (!(age <= SIGNATURE_MAX_AGE)) {
+    return 'Assinatura expirada';
+  }
+
+  if (!NONCE_PATTERN.test(String(nonce))) {
+    return 'Nonce inválido';
+  }
+
+  const expected = Buffer.from(signPayload(key, timestamp, nonce, payload || ''), 'hex');
+  const provided = Buffer.from(String(signature), 'hex');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return 'Assinatura inválida';
+  }
+
+  // Só depois de conferir a assinatura: nonce de requisição forjada não ocupa o storage
+  try {
+    const uses = await getStorage().increment(NONCE_PREFIX + nonce, { ttlMs: 2 * SIGNATURE_MAX_AGE });
+    if (uses > 1) return 'Assinatura já utilizada';
+  } catch (error) {
+    // Como no rate limit: storage fora do ar não derruba o chat (a janela de 5 min continua valendo)
+    console.warn('⚠️ Registro de nonce indisponível:', error.message);
+  }
+
+  return null;
+}
+
+// 🛡️ VALIDA ORIGEM E ASSINATURA ANTES DE LER CONTEXTO OU CHAMAR O DIRECT LINE
+// payload: texto do corpo (POST); sem ele, a assinatura cobre os parâmetros da URL.
+// Retorna null quando a requisição pode seguir, ou { statusCode, code, message, answer }.
+async function checkRequest(event, { payload } = {}) {
+  const headers = event.headers || {};
+  const params = event.queryStringParameters || {};
+
+  // Todos os chamadores são navegadores: sem Origin nem Referer não há o que conferir
+  const origin = getRequestOrigin(event);
+  if (!origin) {
+    console.warn('🚫 Requisição sem origem');
+    return rejectWith(403, 'ORIGIN_REQUIRED', 'Origem ausente');
+  }
+
+  if (!isOriginAllowed(origin)) {
+    console.warn('🚫 Origem bloqueada:', origin);
+    return rejectWith(403, 'ORIGIN_NOT_ALLOWED', `Origem não permitida: ${origin}`);
+  }
+
+  const isBody = payload !== undefined;
+  const signatureError = await verifySignature({
+    timestamp: isBody ? headers['x-signature-timestamp'] : params.ts,
+    nonce: isBody ? headers['x-signature-nonce'] : params.nonce,
+    signature: isBody ? headers['x-signature'] : params.sig,
+    payload: isBody ? payload : canonicalQuery(params)
+  });
+
+  if (signatureError) {
+    console.warn('🚫 Assinatura rejeitada:', signatureError);
+    return rejectWith(401, 'INVALID_SIGNATURE', signatureError);
+  }
+
+  return null;
+}
+
+// answer: texto pronto para exibir no chat
+// 🔑 PÚBLICO, ADMIN OU NEGADO (chave errada) pelo header X-Admin-Key = DEBUG_ADMIN_KEY
+function resolveAdminAccess(event) {
+  const headers = event.headers || {};
+  const provided = headers['x-admin-key'];
+  const expected = process.env.DEBUG_ADMIN_KEY;
+
+  if (!provided) return 'public';
+  if (!expected) return 'denied';
+
+  // Compara hashes de tamanho fixo em tempo constante
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+
+  return crypto.timingSafeEqual(a, b) ? 'admin' : 'denied';
+}
+
+function rejectWith(statusCode, code, message) {
+  return { statusCode, code, message, answer: `🔒 Requisição recusada: ${message}` };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_ORIGINS,
+  getAllowedOrigins,
+  isOriginAllowed,
+  getRequestOrigin,
+  getCorsHeaders,
+  signPayload,
+  canonicalQuery,
+  verifySignature,
+  checkRequest,
+  resolveAdminAccess
+};
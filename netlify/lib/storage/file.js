@@ -0,0 +1,111 @@
+// netlify/lib/storage/file.js
+// 📁 ADAPTER EM SISTEMA DE ARQUIVOS (execução local / netlify dev)
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+class FileStorage {
+  constructor({ directory } = {}) {
+    this.name = 'file';
+    this.directory = directory || path.join(os.tmpdir(), 'pbi-copilot-bridge');
+    this.ready = null;
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    await this.ensureDirectory();
+
+    const file = this.fileFor(key);
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const entry = { key, value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+
+    // Escreve em arquivo temporário e renomeia: leitores nunca veem JSON pela metade
+    await fs.writeFile(temp, JSON.stringify(entry), 'utf8');
+    await fs.rename(temp, file);
+  }
+
+  async get(key) {
+    const file = this.fileFor(key);
+    const entry = await readEntry(file);
+
+    if (entry && isExpired(entry)) {
+      await removeFile(file);
+      return null;
+    }
+
+    return entry ? entry.value : null;
+  }
+
+  // rename é atômico: só um leitor concorrente consegue "pegar" o arquivo
+  async take(key) {
+    const file = this.fileFor(key);
+    const claimed = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.taking`;
+
+    try {
+      await fs.rename(file, claimed);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const entry = await readEntry(claimed);
+    await removeFile(claimed);
+
+    return entry && !isExpired(entry) ? entry.value : null;
+  }
+
+  async delete(key) {
+    await removeFile(this.fileFor(key));
+  }
+
+  // Leitura + escrita sem lock: suficiente para desenvolvimento local, onde não há concorrência real
+  async increment(key, { ttlMs } = {}) {
+    const file = this.fileFor(key);
+    const entry = await readEntry(file);
+
+    if (!entry || isExpired(entry)) {
+      await this.set(key, 1, { ttlMs });
+      return 1;
+    }
+
+    const count = entry.value + 1;
+    await this.set(key, count, { ttlMs: entry.expiresAt ? entry.expiresAt - Date.now() : undefined });
+    return count;
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.ready;
+  }
+}
+
+async function readEntry(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function removeFile(file) {
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+function isExpired(entry) {
+  return !!entry.expiresAt && entry.expiresAt <= Date.now();
+}
+
+module.exports = { FileStorage };
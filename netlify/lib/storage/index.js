@@ -0,0 +1,57 @@
+// netlify/lib/storage/index.js
+// 💾 STORAGE PLUGÁVEL: escolhe o adapter pela variável STORAGE_BACKEND
+//
+// Todos os adapters expõem a mesma interface assíncrona:
+//   set(key, value, { ttlMs })  grava (sobrescreve) com expiração opcional
+//   get(key)                    lê sem consumir (null se ausente/expirado)
+//   take(key)                   lê e remove de forma atômica
+//   delete(key)                 remove
+//   increment(key, { ttlMs })   soma 1 e retorna o contador (TTL vale a partir do 1º incremento)
+
+const { MemoryStorage } = require('./memory');
+const { FileStorage } = require('./file');
+const { RedisStorage } = require('./redis');
+
+let instance = null;
+
+function createStorage(backend = resolveBackend()) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage({ directory: process.env.STORAGE_DIR });
+    case 'redis':
+      return new RedisStorage({
+        url: process.env.REDIS_URL,
+        prefix: process.env.STORAGE_PREFIX || 'pbi-bridge:'
+      });
+    default:
+      throw new Error(`STORAGE_BACKEND desconhecido: ${backend}`);
+  }
+}
+
+// Sem configuração explícita: Redis se houver URL, senão memória
+function resolveBackend() {
+  if (process.env.STORAGE_BACKEND) {
+    return process.env.STORAGE_BACKEND.toLowerCase();
+  }
+  return process.env.REDIS_URL ? 'redis' : 'memory';
+}
+
+// Instância única por container (reaproveitada entre invocações "quentes")
+function getStorage() {
+  if (!instance) {
+    instance = createStorage();
+    console.log('💾 Storage ativo:', instance.name);
+  }
+  return instance;
+}
+
+// 🤝 O STORAGE É VISTO POR TODAS AS INSTÂNCIAS?
+// Memória e arquivo ficam dentro de uma Lambda: em produção cada função (e cada container)
+// tem o seu. No netlify dev tudo roda num processo só, então qualquer backend serve.
+function isSharedStorage(storage = getStorage()) {
+  return storage.name === 'redis' || process.env.NETLIFY_DEV === 'true';
+}
+
+module.exports = { getStorage, createStorage, isSharedStorage, MemoryStorage, FileStorage, RedisStorage };
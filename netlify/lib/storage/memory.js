@@ -0,0 +1,58 @@
+// netlify/lib/storage/memory.js
+// 🧠 ADAPTER EM MEMÓRIA (testes e desenvolvimento; não sobrevive entre instâncias)
+
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async get(key) {
+    const entry = this.readEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  // Leitura + remoção na mesma volta do event loop: atômico por natureza
+  async take(key) {
+    const entry = this.readEntry(key);
+    this.entries.delete(key);
+    return entry ? entry.value : null;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async increment(key, { ttlMs } = {}) {
+    const entry = this.readEntry(key);
+
+    if (entry) {
+      entry.value += 1;
+      return entry.value;
+    }
+
+    await this.set(key, 1, { ttlMs });
+    return 1;
+  }
+
+  readEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,197 @@
+// netlify/lib/storage/redis.js
+// 🟥 ADAPTER REDIS (protocolo RESP puro: Redis, Upstash, KeyDB, Valkey...)
+
+const net = require('net');
+const tls = require('tls');
+
+// Leitura + remoção atômica em qualquer versão com EVAL (GETDEL só existe a partir do 6.2)
+const TAKE_SCRIPT = "local v = redis.call('GET', KEYS[1]) if v then redis.call('DEL', KEYS[1]) end return v";
+
+// INCR + expiração só no primeiro incremento (janela fixa para rate limiting)
+const INCREMENT_SCRIPT = "local v = redis.call('INCR', KEYS[1]) if v == 1 and tonumber(ARGV[1]) > 0 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end return v";
+
+class RedisStorage {
+  constructor({ url, prefix = 'pbi-bridge:', timeout = 3000 } = {}) {
+    if (!url) {
+      throw new Error('REDIS_URL não configurada');
+    }
+
+    const parsed = new URL(url);
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.timeout = timeout;
+    this.options = {
+      host: parsed.hostname,
+      port: parseInt(parsed.port || '6379', 10),
+      tls: parsed.protocol === 'rediss:',
+      username: decodeURIComponent(parsed.username || ''),
+      password: decodeURIComponent(parsed.password || ''),
+      database: parseInt(parsed.pathname.replace('/', '') || '0', 10)
+    };
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    const command = ['SET', this.prefix + key, JSON.stringify(value)];
+    if (ttlMs) command.push('PX', String(ttlMs));
+    await this.execute(command);
+  }
+
+  async get(key) {
+    return parseValue(await this.execute(['GET', this.prefix + key]));
+  }
+
+  async take(key) {
+    return parseValue(await this.execute(['EVAL', TAKE_SCRIPT, '1', this.prefix + key]));
+  }
+
+  async delete(key) {
+    await this.execute(['DEL', this.prefix + key]);
+  }
+
+  async increment(key, { ttlMs } = {}) {
+    return this.execute(['EVAL', INCREMENT_SCRIPT, '1', this.prefix + key, String(ttlMs || 0)]);
+  }
+
+  // 🔌 UMA CONEXÃO POR OPERAÇÃO (funções serverless não mantêm pool)
+  execute(command) {
+    const commands = [];
+    if (this.options.password) {
+      commands.push(this.options.username
+        ? ['AUTH', this.options.username, this.options.password]
+        : ['AUTH', this.options.password]);
+    }
+    if (this.options.database) {
+      commands.push(['SELECT', String(this.options.database)]);
+    }
+    commands.push(command);
+
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      const parser = new RespParser();
+      const replies = [];
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(this.timeout, () => fail(new Error(`Redis não respondeu em ${this.timeout}ms`)));
+      socket.on('error', fail);
+
+      // Servidor fechou antes de responder tudo (restart, maxclients, timeout de ociosidade)
+      const closed = () => fail(new Error(`Redis encerrou a conexão com ${commands.length - replies.length} comando(s) sem resposta`));
+      socket.on('end', closed);
+      socket.on('close', closed);
+
+      socket.on(this.options.tls ? 'secureConnect' : 'connect', () => {
+        socket.write(commands.map(encodeCommand).join(''));
+      });
+
+      socket.on('data', (chunk) => {
+        if (settled) return;
+
+        try {
+          parser.push(chunk);
+          let reply;
+          while ((reply = parser.next()) !== undefined) {
+            if (reply instanceof Error) return fail(reply);
+            replies.push(reply);
+          }
+        } catch (error) {
+          return fail(error);
+        }
+
+        if (replies.length === commands.length) {
+          settled = true;
+          socket.setTimeout(0);
+          socket.end('*1\r\n$4\r\nQUIT\r\n');
+          resolve(replies[replies.length - 1]);
+        }
+      });
+    });
+  }
+
+  // Socket novo a cada operação (TLS para rediss://)
+  connect() {
+    const { host, port } = this.options;
+    return this.options.tls
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+  }
+}
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n` + args.map(arg => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }).join('');
+}
+
+function parseValue(raw) {
+  return raw === null || raw === undefined ? null : JSON.parse(raw);
+}
+
+// 📜 PARSER RESP INCREMENTAL (respostas podem chegar fragmentadas)
+class RespParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+  }
+
+  // Retorna undefined enquanto a próxima resposta não estiver completa
+  next() {
+    const result = this.parse(0);
+    if (!result) return undefined;
+
+    this.buffer = this.buffer.subarray(result.offset);
+    return result.value;
+  }
+
+  parse(offset) {
+    const lineEnd = this.buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(this.buffer[offset]);
+    const line = this.buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(`Redis: ${line}`), offset: next };
+      case ':':
+        return { value: parseInt(line, 10), offset: next };
+      case '$': {
+        const length = parseInt(line, 10);
+        if (length === -1) return { value: null, offset: next };
+        if (this.buffer.length < next + length + 2) return null;
+        return { value: this.buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line, 10);
+        if (count === -1) return { value: null, offset: next };
+
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(cursor);
+          if (!item) return null;
+          items.push(item.value);
+          cursor = item.offset;
+        }
+        return { value: items, offset: cursor };
+      }
+      default:
+        throw new Error(`Resposta Redis inválida: ${type}`);
+    }
+  }
+}
+
+module.exports = { RedisStorage, RespParser };
@@ -0,0 +1,309 @@
+// src/adaptiveCards.ts - ADAPTIVE CARDS E AÇÕES SUGERIDAS DO COPILOT STUDIO
+// Subconjunto do esquema: TextBlock, RichTextBlock, FactSet, Image, ImageSet, ColumnSet,
+// Container e ActionSet. Como no Markdown, o DOM é montado nó a nó, sem innerHTML.
+// Hero/thumbnail cards chegam já convertidos pelo backend (netlify/lib/bot-reply.js).
+"use strict";
+
+import { renderMarkdown } from "./markdown";
+
+export interface CardAttachment {
+    contentType: string;
+    content: any;
+}
+
+export interface SuggestedAction {
+    type: 'imBack' | 'openUrl';
+    title: string;
+    value: string;
+}
+
+export interface CardHandlers {
+    // Action.Submit e ações sugeridas: o texto vira a próxima pergunta (false = não enviada)
+    onSubmit: (text: string) => boolean;
+    // Dentro do Power BI os links precisam abrir pelo host (host.launchUrl)
+    onOpenUrl: (url: string) => void;
+}
+
+export const ADAPTIVE_CARD_TYPE = 'application/vnd.microsoft.card.adaptive';
+
+// Imagens só por https (http é bloqueado no relatório publicado; data: pode esconder SVG)
+const SAFE_IMAGE_URL = /^https:\/\//i;
+const SAFE_LINK_URL = /^https?:\/\//i;
+
+// Cards aninhados além disso são erro ou abuso
+const MAX_DEPTH = 8;
+
+const TEXT_SIZES = ['small', 'medium', 'large', 'extralarge'];
+const TEXT_COLORS = ['accent', 'good', 'warning', 'attention', 'light', 'dark'];
+const IMAGE_SIZES = ['small', 'medium', 'large'];
+
+// 🃏 CARD → ELEMENTO (null se não for um Adaptive Card)
+export function renderAdaptiveCard(card: any, handlers: CardHandlers): HTMLElement | null {
+    if (!card || card.type !== 'AdaptiveCard' || !Array.isArray(card.body)) return null;
+
+    const root = document.createElement('div');
+    root.className = 'adaptive-card';
+    renderElements(root, card.body, handlers, 0);
+    renderActions(root, card.actions, handlers, 0);
+
+    return root.childNodes.length > 0 ? root : null;
+}
+
+// 👉 BOTÕES DAS AÇÕES SUGERIDAS (somem depois do primeiro clique, como no Teams)
+export function renderSuggestedActions(actions: SuggestedAction[], handlers: CardHandlers): HTMLElement | null {
+    if (!actions || actions.length === 0) return null;
+
+    const bar = document.createElement('div');
+    bar.className = 'suggested-actions';
+
+    actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = `suggested-action ${action.type === 'openUrl' ? 'link' : ''}`;
+        button.textContent = action.title;
+        button.title = action.value;
+
+        button.addEventListener('click', () => {
+            if (action.type === 'openUrl') {
+                if (SAFE_LINK_URL.test(action.value)) handlers.onOpenUrl(action.value);
+                return;
+            }
+            if (handlers.onSubmit(action.value)) bar.remove();
+        });
+
+        bar.appendChild(button);
+    });
+
+    return bar;
+}
+
+function renderElements(parent: HTMLElement, elements: any[], handlers: CardHandlers, depth: number) {
+    if (!Array.isArray(elements) || depth > MAX_DEPTH) return;
+
+    elements.forEach(element => {
+        if (!element || element.isVisible === false) return;
+
+        const rendered = renderElement(element, handlers, depth);
+        if (!rendered) return;
+
+        if (element.separator) rendered.classList.add('ac-separator');
+        if (element.spacing) rendered.classList.add(`ac-spacing-${String(element.spacing).toLowerCase()}`);
+        parent.appendChild(rendered);
+    });
+}
+
+// Elementos desconhecidos (Input.*, Media, Table...) são ignorados, como manda o esquema
+function renderElement(element: any, handlers: CardHandlers, depth: number): HTMLElement | null {
+    switch (element.type) {
+        case 'TextBlock': return renderTextBlock(element, handlers);
+        case 'RichTextBlock': return renderRichTextBlock(element);
+        case 'FactSet': return renderFactSet(element);
+        case 'Image': return renderImage(element);
+        case 'ImageSet': return renderImageSet(element);
+        case 'ColumnSet': return renderColumnSet(element, handlers, depth);
+        case 'Container': return renderContainer('ac-container', element.items, handlers, depth);
+        case 'ActionSet': {
+            const set = document.createElement('div');
+            set.className = 'ac-actionset';
+            renderActions(set, element.actions, handlers, depth);
+            return set.childNodes.length > 0 ? set : null;
+        }
+        default: return null;
+    }
+}
+
+// TextBlock aceita o subconjunto de Markdown do esquema (negrito, itálico, listas, links)
+function renderTextBlock(element: any, handlers: CardHandlers): HTMLElement | null {
+    if (typeof element.text !== 'string' || !element.text) return null;
+
+    const block = document.createElement('div');
+    block.className = ['ac-textblock', ...textClasses(element)].join(' ');
+    if (element.wrap === false) block.classList.add('nowrap');
+    block.appendChild(renderMarkdown(element.text, { onLink: url => handlers.onOpenUrl(url) }));
+    return block;
+}
+
+function renderRichTextBlock(element: any): HTMLElement | null {
+    if (!Array.isArray(element.inlines)) return null;
+
+    const block = document.createElement('div');
+    block.className = 'ac-textblock';
+
+    element.inlines.forEach((inline: any) => {
+        const run = typeof inline === 'string' ? { text: inline } : inline;
+        if (!run || typeof run.text !== 'string') return;
+
+        const span = document.createElement('span');
+        span.className = textClasses(run).join(' ');
+        if (run.italic) span.classList.add('italic');
+        if (run.strikethrough) span.classList.add('strike');
+        span.textContent = run.text;
+        block.appendChild(span);
+    });
+
+    return block.childNodes.length > 0 ? block : null;
+}
+
+// Tamanho, peso, cor e alinhamento viram classes (nada de style vindo do bot)
+function textClasses(element: any): string[] {
+    const classes: string[] = [];
+    const size = String(element.size || '').toLowerCase();
+    const color = String(element.color || '').toLowerCase();
+    const align = String(element.horizontalAlignment || '').toLowerCase();
+
+    if (TEXT_SIZES.includes(size)) classes.push(`size-${size}`);
+    if (String(element.weight || '').toLowerCase() === 'bolder') classes.push('bolder');
+    if (TEXT_COLORS.includes(color)) classes.push(`color-${color}`);
+    if (element.isSubtle) classes.push('subtle');
+    if (align === 'center' || align === 'right') classes.push(`align-${align}`);
+
+    return classes;
+}
+
+// 📋 FATOS: pares título/valor em duas colunas
+function renderFactSet(element: any): HTMLElement | null {
+    if (!Array.isArray(element.facts) || element.facts.length === 0) return null;
+
+    const table = document.createElement('table');
+    table.className = 'ac-factset';
+
+    element.facts.forEach((fact: any) => {
+        if (!fact) return;
+        const row = document.createElement('tr');
+        const title = document.createElement('th');
+        title.textContent = String(fact.title ?? '');
+        const value = document.createElement('td');
+        value.textContent = String(fact.value ?? '');
+        row.appendChild(title);
+        row.appendChild(value);
+        table.appendChild(row);
+    });
+
+    return table;
+}
+
+function renderImage(element: any, defaultSize?: string): HTMLElement | null {
+    if (typeof element.url !== 'string' || !SAFE_IMAGE_URL.test(element.url)) return null;
+
+    const image = document.createElement('img');
+    const size = String(element.size || defaultSize || '').toLowerCase();
+    image.className = 'ac-image';
+    if (IMAGE_SIZES.includes(size)) image.classList.add(`size-${size}`);
+    if (String(element.style || '').toLowerCase() === 'person') image.classList.add('person');
+    image.src = element.url;
+    image.alt = String(element.altText || '');
+    image.loading = 'lazy';
+    image.referrerPolicy = 'no-referrer';
+    return image;
+}
+
+function renderImageSet(element: any): HTMLElement | null {
+    if (!Array.isArray(element.images)) return null;
+
+    const set = document.createElement('div');
+    set.className = 'ac-imageset';
+    element.images.forEach((image: any) => {
+        const rendered = image && renderImage(image, element.imageSize || 'medium');
+        if (rendered) set.appendChild(rendered);
+    });
+
+    return set.childNodes.length > 0 ? set : null;
+}
+
+// 🧱 COLUNAS: width "auto", "stretch", peso numérico ou "80px"
+function renderColumnSet(element: any, handlers: CardHandlers, depth: number): HTMLElement | null {
+    if (!Array.isArray(element.columns)) return null;
+
+    const set = document.createElement('div');
+    set.className = 'ac-columnset';
+
+    element.columns.forEach((column: any) => {
+        if (!column || column.isVisible === false) return;
+
+        const columnDiv = renderContainer('ac-column', column.items, handlers, depth + 1) || document.createElement('div');
+        columnDiv.className = 'ac-column';
+
+        const width = column.width;
+        if (width === 'auto') {
+            columnDiv.style.flex = '0 0 auto';
+        } else if (typeof width === 'number' || /^\d+(\.\d+)?$/.test(String(width ?? ''))) {
+            columnDiv.style.flex = `${Number(width)} 1 0`;
+        } else if (/^\d+px$/.test(String(width ?? ''))) {
+            columnDiv.style.flex = `0 0 ${width}`;
+        } else {
+            columnDiv.style.flex = '1 1 0';
+        }
+
+        set.appendChild(columnDiv);
+    });
+
+    return set.childNodes.length > 0 ? set : null;
+}
+
+function renderContainer(className: string, items: any[], handlers: CardHandlers, depth: number): HTMLElement | null {
+    const container = document.createElement('div');
+    container.className = className;
+    renderElements(container, items, handlers, depth + 1);
+    return container.childNodes.length > 0 ? container : null;
+}
+
+// ⚡ AÇÕES DO CARD: Submit/Execute perguntam, OpenUrl abre pelo host, ShowCard expande o card aninhado
+function renderActions(parent: HTMLElement, actions: any[], handlers: CardHandlers, depth: number) {
+    if (!Array.isArray(actions) || actions.length === 0 || depth > MAX_DEPTH) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'ac-actions';
+    const shownCards: HTMLElement[] = [];
+
+    actions.forEach(action => {
+        if (!action || typeof action.title !== 'string' || !action.title) return;
+
+        const button = document.createElement('button');
+        button.className = 'ac-action';
+        button.textContent = action.title;
+
+        switch (action.type) {
+            case 'Action.OpenUrl':
+                if (typeof action.url !== 'string' || !SAFE_LINK_URL.test(action.url)) return;
+                button.title = action.url;
+                button.addEventListener('click', () => handlers.onOpenUrl(action.url));
+                break;
+
+            case 'Action.Submit':
+            case 'Action.Execute':
+                button.addEventListener('click', () => handlers.onSubmit(submitText(action)));
+                break;
+
+            case 'Action.ShowCard': {
+                const nested = action.card && renderAdaptiveCard(action.card, handlers);
+                if (!nested) return;
+                nested.classList.add('ac-showcard');
+                nested.hidden = true;
+                button.addEventListener('click', () => {
+                    nested.hidden = !nested.hidden;
+                    button.classList.toggle('expanded', !nested.hidden);
+                });
+                shownCards.push(nested);
+                break;
+            }
+
+            default:
+                return;
+        }
+
+        bar.appendChild(button);
+    });
+
+    if (bar.childNodes.length === 0) return;
+    parent.appendChild(bar);
+    shownCards.forEach(card => parent.appendChild(card));
+}
+
+// Os transportes só enviam texto: data string (imBack convertido) ou o campo de texto mais provável
+function submitText(action: any): string {
+    const data = action.data;
+    if (typeof data === 'string' && data.trim()) return data.trim();
+
+    const candidates = [data?.msteams?.value, data?.msteams?.text, data?.value, data?.text, data?.question];
+    const text = candidates.find(candidate => typeof candidate === 'string' && candidate.trim());
+    return text ? text.trim() : action.title;
+}
@@ -1,5 +1,7 @@
 // src/chartGenerator.ts
-// 🎨 GERADOR DE GRÁFICOS SIMPLIFICADO (SEM ERROS)
+// 🎨 GERADOR DE GRÁFICOS COM D3 (barras, linha, pizza e dispersão)
+
+import * as d3 from "d3";
 
 export interface ChartConfig {
     type: 'bar' | 'line' | 'pie' | 'scatter';
@@ -7,6 +9,21 @@ export interface ChartConfig {
     theme: 'light' | 'dark' | 'powerbi';
     animation: boolean;
     interactive: boolean;
+    // Colunas do eixo X / valor; sem elas, a primeira categórica e a primeira numérica
+    xField?: string;
+    yField?: string;
+    title?: string;
+    // Clique numa barra/fatia/ponto da linha (modo interativo): campo do eixo X + categoria
+    onSelect?: (field: string, value: string | number | Date) => void;
+}
+
+// Gráfico que acompanha uma resposta do bot (backend ou análise local); sem type, o gerador escolhe
+export interface ChartSpec {
+    type?: ChartConfig['type'];
+    title?: string;
+    xField?: string;
+    yField?: string;
+    data: any[];
 }
 
 export interface AIInsight {
@@ -15,6 +32,99 @@ export interface AIInsight {
     confidence: number;
 }
 
+interface ChartTheme {
+    text: string;
+    grid: string;
+    background: string;
+    palette: string[];
+}
+
+// Ponto já agregado: uma barra, fatia, vértice da linha ou ponto da dispersão
+interface ChartPoint {
+    label: string;
+    key: string | number | Date;
+    value: number;
+    x?: number;
+    // Fatia "Outros" da pizza (soma das categorias menores)
+    others?: boolean;
+}
+
+interface ChartData {
+    points: ChartPoint[];
+    xLabel: string;
+    yLabel: string;
+}
+
+type ColumnKind = 'numeric' | 'date' | 'categorical';
+
+// Tipo inferido sobre todas as linhas (não só a primeira)
+interface ColumnInference {
+    name: string;
+    kind: ColumnKind;
+    count: number;
+    distinct: number;
+    // Fração dos valores preenchidos compatíveis com o tipo inferido
+    purity: number;
+    // Medida não negativa: pode ser parte de um todo (pizza)
+    nonNegative: boolean;
+}
+
+interface RenderContext {
+    config: ChartConfig;
+    theme: ChartTheme;
+    plot: d3.Selection<SVGGElement, unknown, null, undefined>;
+    width: number;
+    height: number;
+    tooltip: d3.Selection<HTMLDivElement, unknown, null, undefined>;
+    content: HTMLElement;
+}
+
+const CHART_THEMES: Record<ChartConfig['theme'], ChartTheme> = {
+    light: {
+        text: '#2d3748',
+        grid: '#e2e8f0',
+        background: '#ffffff',
+        palette: ['#667eea', '#48bb78', '#ed8936', '#e53e3e', '#38b2ac', '#9f7aea', '#ecc94b', '#ed64a6']
+    },
+    dark: {
+        text: '#e2e8f0',
+        grid: '#4a5568',
+        background: '#1a202c',
+        palette: ['#7f9cf5', '#68d391', '#f6ad55', '#fc8181', '#4fd1c5', '#b794f4', '#f6e05e', '#f687b3']
+    },
+    // Paleta padrão dos relatórios Power BI
+    powerbi: {
+        text: '#252423',
+        grid: '#e1dfdd',
+        background: '#ffffff',
+        palette: ['#118dff', '#12239e', '#e66c37', '#6b007b', '#e044a7', '#744ec2', '#d9b300', '#d64550']
+    }
+};
+
+const CHART_HEIGHT = 260;
+const MIN_CHART_WIDTH = 280;
+const MARGIN = { top: 16, right: 16, bottom: 56, left: 56 };
+const ANIMATION_MS = 600;
+
+// Barras exibidas (as maiores) e fatias antes de agrupar em "Outros"
+const MAX_CATEGORIES = 20;
+const MAX_SLICES = 8;
+
+// Pontos da dispersão (amostra espaçada quando o dataset é maior)
+const MAX_SCATTER_POINTS = 1000;
+
+// Fração mínima de valores compatíveis para a coluna ser numérica ou data
+const TYPE_THRESHOLD = 0.9;
+
+// Pizza só com poucas categorias; acima de MAX_DIMENSION_CARDINALITY a coluna parece um identificador
+const MAX_PIE_CATEGORIES = 6;
+const MAX_DIMENSION_CARDINALITY = 50;
+
+// Insights: R²/|r| mínimos para citar tendência/correlação e pontos mínimos para quartis
+const MIN_TREND_FIT = 0.3;
+const MIN_OUTLIER_POINTS = 5;
+const MAX_OUTLIERS_LISTED = 2;
+
 export class IntelligentChartGenerator {
     private container: HTMLElement;
     private insights: AIInsight[] = [];
@@ -23,126 +133,797 @@ export class IntelligentChartGenerator {
         this.container = container;
     }
 
-    // 🧠 ANÁLISE BÁSICA DOS DADOS
+    // 🧠 ESCOLHE O GRÁFICO PELOS TIPOS INFERIDOS (data → linha, poucas categorias → pizza, duas medidas → dispersão)
     public analyzeDataAndSuggestChart(data: any[]): ChartConfig {
-        if (!data || data.length === 0) {
+        this.insights = [];
+
+        const rows = (data || []).filter(row => row && typeof row === 'object');
+        if (rows.length === 0) {
             return this.getDefaultConfig();
         }
 
-        const columns = Object.keys(data[0]);
-        const numericColumns = this.getNumericColumns(data, columns);
-        const categoricalColumns = this.getCategoricalColumns(data, columns);
-
-        // 🎯 SUGESTÃO SIMPLES
-        let suggestedType: ChartConfig['type'] = 'bar';
-        
-        if (categoricalColumns.length === 1 && numericColumns.length === 1) {
-            if (data.length <= 10) {
-                suggestedType = 'pie';
-                this.insights.push({
-                    type: 'recommendation',
-                    message: '🥧 Poucas categorias - gráfico de pizza recomendado',
-                    confidence: 0.8
-                });
-            } else {
-                suggestedType = 'bar';
-            }
-        } else if (numericColumns.length >= 2) {
-            suggestedType = 'scatter';
-            this.insights.push({
-                type: 'trend',
-                message: '🔍 Múltiplas variáveis numéricas detectadas',
-                confidence: 0.7
-            });
+        const columns = this.inferColumns(rows);
+        const measures = columns.filter(c => c.kind === 'numeric');
+        const dates = columns.filter(c => c.kind === 'date');
+        const categories = columns.filter(c => c.kind === 'categorical');
+
+        // Dimensão de agrupamento: a primeira com cardinalidade útil (nem constante, nem identificador)
+        const dimension = categories.find(c => c.distinct >= 2 && c.distinct <= MAX_DIMENSION_CARDINALITY) || categories[0];
+        const measure = measures[0];
+
+        let config: ChartConfig = { ...this.getDefaultConfig(), data: rows };
+        let reason: string;
+        let used: ColumnInference[];
+
+        if (dates.length > 0 && measure) {
+            config = { ...config, type: 'line', xField: dates[0].name, yField: measure.name };
+            reason = `📈 ${measure.name} ao longo de ${dates[0].name}: gráfico de linha`;
+            used = [dates[0], measure];
+        } else if (dimension && measure) {
+            const isPie = dimension.distinct <= MAX_PIE_CATEGORIES && measure.nonNegative;
+            config = { ...config, type: isPie ? 'pie' : 'bar', xField: dimension.name, yField: measure.name };
+            reason = isPie
+                ? `🥧 ${dimension.distinct} categorias de ${dimension.name} compõem o total de ${measure.name}: gráfico de pizza`
+                : `📊 ${measure.name} por ${dimension.name} (${dimension.distinct} categorias): gráfico de barras`;
+            used = [dimension, measure];
+        } else if (measures.length >= 2) {
+            config = { ...config, type: 'scatter', xField: measures[0].name, yField: measures[1].name };
+            reason = `🔍 Duas medidas numéricas (${measures[0].name} × ${measures[1].name}): gráfico de dispersão`;
+            used = [measures[0], measures[1]];
+        } else if (dimension) {
+            config = { ...config, type: 'bar', xField: dimension.name };
+            reason = `📊 Sem medida numérica: contagem de registros por ${dimension.name}`;
+            used = [dimension];
+        } else {
+            return config;
         }
 
-        return {
-            type: suggestedType,
-            data: data,
-            theme: 'powerbi',
-            animation: true,
-            interactive: true
-        };
+        // Confiança = quão limpa é a inferência dos tipos das colunas usadas
+        this.insights.push({
+            type: 'recommendation',
+            message: reason,
+            confidence: Math.min(...used.map(c => c.purity))
+        });
+
+        return config;
     }
 
-    // 🎨 GERAÇÃO BÁSICA DE GRÁFICO
+    // 🎨 GERAÇÃO DO GRÁFICO
     public async generateChart(config: ChartConfig): Promise<HTMLElement> {
-        this.container.innerHTML = '';
-        
+        this.container.replaceChildren();
+
         const chartContainer = document.createElement('div');
-        chartContainer.className = 'simple-chart-container';
-        
-        // Header simples
+        chartContainer.className = `simple-chart-container theme-${config.theme}`;
+
+        // Título pode vir do Copilot: entra como texto, nunca como HTML
         const header = document.createElement('div');
         header.className = 'chart-header';
-        header.innerHTML = `
-            <h3>${this.getChartIcon(config.type)} ${this.getChartName(config.type)}</h3>
-            <span class="chart-badge">IA</span>
-        `;
-        
-        // Conteúdo do gráfico (placeholder)
+        const title = document.createElement('h3');
+        title.textContent = `${this.getChartIcon(config.type)} ${config.title || this.getChartName(config.type)}`;
+        const badge = document.createElement('span');
+        badge.className = 'chart-badge';
+        badge.textContent = 'IA';
+        header.appendChild(title);
+        header.appendChild(badge);
+
         const content = document.createElement('div');
-        content.className = 'chart-content';
-        content.innerHTML = `
-            <div class="chart-placeholder">
-                <div class="chart-icon">${this.getChartIcon(config.type)}</div>
-                <p><strong>${this.getChartName(config.type)}</strong></p>
-                <p>Dados: ${config.data.length} registros</p>
-                <p>Tema: ${config.theme}</p>
-                ${config.animation ? '<p>✨ Animações ativadas</p>' : ''}
-                ${config.interactive ? '<p>🎯 Modo interativo</p>' : ''}
-            </div>
-        `;
-
-        // Insights
-        if (this.insights.length > 0) {
-            const insightsDiv = document.createElement('div');
-            insightsDiv.className = 'chart-insights';
-            insightsDiv.innerHTML = `
-                <h4>💡 Insights</h4>
-                ${this.insights.map(insight => `
-                    <div class="insight-item">
-                        <span>${insight.message}</span>
-                        <span class="confidence">${Math.round(insight.confidence * 100)}%</span>
-                    </div>
-                `).join('')}
-            `;
-            content.appendChild(insightsDiv);
-        }
+        content.className = config.interactive ? 'chart-content interactive' : 'chart-content';
 
         chartContainer.appendChild(header);
         chartContainer.appendChild(content);
         this.container.appendChild(chartContainer);
-        
+
+        const chartData = this.prepareData(config);
+
+        if (chartData.points.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'chart-empty';
+            empty.textContent = '📭 Sem dados numéricos para desenhar o gráfico';
+            content.appendChild(empty);
+        } else {
+            this.renderSvg(config, chartData, content);
+        }
+
+        // Insights: recomendação da análise + tendência/outliers dos pontos desenhados
+        const insights = [...this.insights, ...this.detectInsights(config, chartData)];
+        if (insights.length > 0) {
+            content.appendChild(this.renderInsights(insights));
+        }
+
         return chartContainer;
     }
 
-    // 🔧 MÉTODOS AUXILIARES
-    private getNumericColumns(data: any[], columns: string[]): string[] {
-        return columns.filter(col => 
-            typeof data[0][col] === 'number' && !isNaN(data[0][col])
+    // 🖼️ SVG + TOOLTIP (largura acompanha o container; viewBox escala no resize)
+    private renderSvg(config: ChartConfig, chartData: ChartData, content: HTMLElement): void {
+        const theme = CHART_THEMES[config.theme] || CHART_THEMES.powerbi;
+        const width = Math.max(this.container.clientWidth || 0, MIN_CHART_WIDTH);
+        const height = CHART_HEIGHT;
+
+        const svg = d3.select(content)
+            .append('svg')
+            .attr('class', 'chart-svg')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .attr('role', 'img')
+            .attr('aria-label', `${this.getChartName(config.type)}: ${chartData.yLabel} por ${chartData.xLabel}`)
+            .style('background', theme.background);
+
+        const ctx: RenderContext = {
+            config,
+            theme,
+            plot: svg.append('g'),
+            width,
+            height,
+            tooltip: d3.select(content).append('div').attr('class', 'chart-tooltip'),
+            content
+        };
+
+        switch (config.type) {
+            case 'line': this.renderLine(ctx, chartData); break;
+            case 'pie': this.renderPie(ctx, chartData); break;
+            case 'scatter': this.renderScatter(ctx, chartData); break;
+            default: this.renderBar(ctx, chartData);
+        }
+    }
+
+    // 📊 BARRAS (maiores primeiro)
+    private renderBar(ctx: RenderContext, chartData: ChartData): void {
+        const { innerWidth, innerHeight } = this.plotArea(ctx);
+        const points = chartData.points;
+
+        const x = d3.scaleBand<string>()
+            .domain(points.map(p => p.label))
+            .range([0, innerWidth])
+            .padding(0.2);
+        const y = this.valueScale(points.map(p => p.value), innerHeight);
+
+        this.drawAxes(ctx, x, y, chartData, points.length > 6);
+
+        const bars = ctx.plot.append('g')
+            .selectAll<SVGRectElement, ChartPoint>('rect')
+            .data(points)
+            .join('rect')
+            .attr('class', 'chart-bar')
+            .attr('x', p => x(p.label))
+            .attr('width', x.bandwidth())
+            .attr('fill', ctx.theme.palette[0])
+            .attr('y', y(0))
+            .attr('height', 0);
+
+        this.animate(ctx, bars, s => s
+            .attr('y', (p: ChartPoint) => y(Math.max(0, p.value)))
+            .attr('height', (p: ChartPoint) => Math.abs(y(p.value) - y(0))));
+
+        this.bindTooltip(ctx, bars, p => [p.label, `${chartData.yLabel}: ${this.formatValue(p.value)}`]);
+        this.bindSelect(ctx, bars, chartData, p => p);
+    }
+
+    // 📈 LINHA (eixo de tempo ou numérico quando possível; senão, ordem dos dados)
+    private renderLine(ctx: RenderContext, chartData: ChartData): void {
+        const { innerWidth, innerHeight } = this.plotArea(ctx);
+        const points = chartData.points;
+        const keys = points.map(p => p.key);
+
+        let xScale: d3.AxisScale<any>;
+        let xPos: (p: ChartPoint) => number;
+
+        if (keys.every(k => k instanceof Date)) {
+            const time = d3.scaleTime()
+                .domain(d3.extent(keys as Date[]) as [Date, Date])
+                .range([0, innerWidth]);
+            xScale = time;
+            xPos = p => time(p.key as Date);
+        } else if (keys.every(k => typeof k === 'number')) {
+            const linear = d3.scaleLinear()
+                .domain(d3.extent(keys as number[]) as [number, number])
+                .nice()
+                .range([0, innerWidth]);
+            xScale = linear;
+            xPos = p => linear(p.key as number);
+        } else {
+            const point = d3.scalePoint<string>()
+                .domain(points.map(p => p.label))
+                .range([0, innerWidth])
+                .padding(0.5);
+            xScale = point;
+            xPos = p => point(p.label);
+        }
+
+        const y = this.valueScale(points.map(p => p.value), innerHeight);
+        this.drawAxes(ctx, xScale, y, chartData, points.length > 8);
+
+        const line = d3.line<ChartPoint>().x(xPos).y(p => y(p.value));
+
+        const path = ctx.plot.append('path')
+            .datum(points)
+            .attr('class', 'chart-line')
+            .attr('fill', 'none')
+            .attr('stroke', ctx.theme.palette[0])
+            .attr('stroke-width', 2)
+            .attr('d', line);
+
+        // Desenha o traço progressivamente
+        const length = path.node()?.getTotalLength?.() || 0;
+        if (ctx.config.animation && length > 0) {
+            path.attr('stroke-dasharray', `${length} ${length}`)
+                .attr('stroke-dashoffset', length)
+                .transition()
+                .duration(ANIMATION_MS)
+                .ease(d3.easeCubicOut)
+                .attr('stroke-dashoffset', 0);
+        }
+
+        const dots = ctx.plot.append('g')
+            .selectAll<SVGCircleElement, ChartPoint>('circle')
+            .data(points)
+            .join('circle')
+            .attr('class', 'chart-dot')
+            .attr('cx', xPos)
+            .attr('cy', p => y(p.value))
+            .attr('r', 0)
+            .attr('fill', ctx.theme.palette[0]);
+
+        this.animate(ctx, dots, s => s.attr('r', 3.5));
+        this.bindTooltip(ctx, dots, p => [p.label, `${chartData.yLabel}: ${this.formatValue(p.value)}`]);
+        this.bindSelect(ctx, dots, chartData, p => p);
+    }
+
+    // 🥧 PIZZA (rosca) com legenda; fatias pequenas viram "Outros"
+    private renderPie(ctx: RenderContext, chartData: ChartData): void {
+        const points = chartData.points.filter(p => p.value > 0);
+        const total = d3.sum(points, p => p.value);
+        const radius = Math.min(ctx.width * 0.55, ctx.height) / 2 - 8;
+        const color = d3.scaleOrdinal<string, string>(ctx.theme.palette).domain(points.map(p => p.label));
+
+        const pieGroup = ctx.plot.append('g')
+            .attr('transform', `translate(${radius + 8},${ctx.height / 2})`);
+
+        const arc = d3.arc<d3.PieArcDatum<ChartPoint>>()
+            .innerRadius(radius * 0.45)
+            .outerRadius(radius);
+
+        const slices = pieGroup
+            .selectAll<SVGPathElement, d3.PieArcDatum<ChartPoint>>('path')
+            .data(d3.pie<ChartPoint>().value(p => p.value).sort(null)(points))
+            .join('path')
+            .attr('class', 'chart-slice')
+            .attr('fill', d => color(d.data.label))
+            .attr('stroke', ctx.theme.background)
+            .attr('stroke-width', 1);
+
+        if (ctx.config.animation) {
+            // Cada fatia abre a partir do próprio ângulo inicial
+            slices.transition()
+                .duration(ANIMATION_MS)
+                .attrTween('d', d => {
+                    const interpolate = d3.interpolate(d.startAngle, d.endAngle);
+                    return t => arc({ ...d, endAngle: interpolate(t) });
+                });
+        } else {
+            slices.attr('d', arc);
+        }
+
+        this.bindTooltip(ctx, slices, d => [
+            d.data.label,
+            `${chartData.yLabel}: ${this.formatValue(d.data.value)}`,
+            `${this.formatValue(total > 0 ? d.data.value / total * 100 : 0)}%`
+        ]);
+        this.bindSelect(ctx, slices, chartData, d => d.data);
+
+        const legend = ctx.plot.append('g')
+            .attr('class', 'chart-legend')
+            .attr('transform', `translate(${radius * 2 + 28},${Math.max(ctx.height / 2 - points.length * 10, 8)})`)
+            .selectAll('g')
+            .data(points)
+            .join('g')
+            .attr('transform', (_, i) => `translate(0,${i * 20})`);
+
+        legend.append('rect')
+            .attr('width', 12)
+            .attr('height', 12)
+            .attr('rx', 2)
+            .attr('fill', p => color(p.label));
+
+        legend.append('text')
+            .attr('x', 18)
+            .attr('y', 10)
+            .attr('fill', ctx.theme.text)
+            .attr('font-size', 11)
+            .text(p => this.truncate(p.label, 18));
+    }
+
+    // 🔍 DISPERSÃO (duas medidas numéricas)
+    private renderScatter(ctx: RenderContext, chartData: ChartData): void {
+        const { innerWidth, innerHeight } = this.plotArea(ctx);
+        const points = chartData.points;
+
+        const x = d3.scaleLinear()
+            .domain(d3.extent(points, p => p.x) as [number, number])
+            .nice()
+            .range([0, innerWidth]);
+        const y = d3.scaleLinear()
+            .domain(d3.extent(points, p => p.value) as [number, number])
+            .nice()
+            .range([innerHeight, 0]);
+
+        this.drawAxes(ctx, x, y, chartData, false);
+
+        const dots = ctx.plot.append('g')
+            .selectAll<SVGCircleElement, ChartPoint>('circle')
+            .data(points)
+            .join('circle')
+            .attr('class', 'chart-dot')
+            .attr('cx', p => x(p.x))
+            .attr('cy', p => y(p.value))
+            .attr('r', 0)
+            .attr('fill', ctx.theme.palette[0])
+            .attr('fill-opacity', 0.75);
+
+        this.animate(ctx, dots, s => s.attr('r', 4));
+
+        this.bindTooltip(ctx, dots, p => [
+            p.label,
+            `${chartData.xLabel}: ${this.formatValue(p.x)}`,
+            `${chartData.yLabel}: ${this.formatValue(p.value)}`
+        ]);
+    }
+
+    // 📏 EIXOS + GRADE HORIZONTAL, COM AS CORES DO TEMA
+    private drawAxes(ctx: RenderContext, x: d3.AxisScale<any>, y: d3.ScaleLinear<number, number>, chartData: ChartData, rotateLabels: boolean): void {
+        const { innerWidth, innerHeight } = this.plotArea(ctx);
+        ctx.plot.attr('transform', `translate(${MARGIN.left},${MARGIN.top})`);
+
+        const xAxis = ctx.plot.append('g')
+            .attr('class', 'chart-axis x-axis')
+            .attr('transform', `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(innerWidth / 80))).tickSizeOuter(0));
+
+        xAxis.selectAll<SVGTextElement, unknown>('text')
+            .text(function () { return this.textContent.length > 14 ? this.textContent.slice(0, 13) + '…' : this.textContent; });
+
+        if (rotateLabels) {
+            xAxis.selectAll('text')
+                .attr('transform', 'rotate(-35)')
+                .style('text-anchor', 'end');
+        }
+
+        const yAxis = ctx.plot.append('g')
+            .attr('class', 'chart-axis y-axis')
+            .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('~s')).tickSize(-innerWidth));
+
+        yAxis.select('.domain').remove();
+        yAxis.selectAll('.tick line').attr('stroke', ctx.theme.grid);
+
+        ctx.plot.selectAll('.chart-axis text').attr('fill', ctx.theme.text);
+        xAxis.selectAll('.domain, .tick line').attr('stroke', ctx.theme.grid);
+
+        ctx.plot.append('text')
+            .attr('class', 'chart-axis-label')
+            .attr('x', innerWidth / 2)
+            .attr('y', innerHeight + MARGIN.bottom - 6)
+            .attr('text-anchor', 'middle')
+            .attr('fill', ctx.theme.text)
+            .text(chartData.xLabel);
+
+        ctx.plot.append('text')
+            .attr('class', 'chart-axis-label')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -innerHeight / 2)
+            .attr('y', -MARGIN.left + 14)
+            .attr('text-anchor', 'middle')
+            .attr('fill', ctx.theme.text)
+            .text(chartData.yLabel);
+    }
+
+    // ✨ TRANSIÇÃO DE ENTRADA (ou aplicação direta, sem animação)
+    private animate<E extends d3.BaseType, D>(
+        ctx: RenderContext,
+        selection: d3.Selection<E, D, any, any>,
+        apply: (target: any) => void
+    ): void {
+        if (!ctx.config.animation) {
+            apply(selection);
+            return;
+        }
+
+        apply(selection.transition()
+            .duration(ANIMATION_MS)
+            .delay((_, i) => Math.min(i * 25, ANIMATION_MS / 2))
+            .ease(d3.easeCubicOut));
+    }
+
+    // 🎯 TOOLTIP + DESTAQUE DO ELEMENTO SOB O CURSOR (só no modo interativo)
+    private bindTooltip<E extends Element, D>(
+        ctx: RenderContext,
+        selection: d3.Selection<E, D, any, any>,
+        lines: (datum: D) => string[]
+    ): void {
+        if (!ctx.config.interactive) return;
+
+        const move = (event: MouseEvent) => {
+            const [left, top] = d3.pointer(event, ctx.content);
+            ctx.tooltip.style('left', `${left + 12}px`).style('top', `${top - 12}px`);
+        };
+
+        selection
+            .on('mouseenter', (event: MouseEvent, datum: D) => {
+                selection.attr('opacity', d => d === datum ? 1 : 0.45);
+                ctx.tooltip
+                    .classed('visible', true)
+                    .selectAll('div')
+                    .data(lines(datum))
+                    .join('div')
+                    .text(line => line);
+                move(event);
+            })
+            .on('mousemove', move)
+            .on('mouseleave', () => {
+                selection.attr('opacity', 1);
+                ctx.tooltip.classed('visible', false);
+            });
+    }
+
+    // 🖱️ CLIQUE → onSelect (ex.: filtrar o relatório pela categoria); "Outros" não é uma categoria
+    private bindSelect<E extends Element, D>(
+        ctx: RenderContext,
+        selection: d3.Selection<E, D, any, any>,
+        chartData: ChartData,
+        toPoint: (datum: D) => ChartPoint
+    ): void {
+        if (!ctx.config.interactive || !ctx.config.onSelect) return;
+
+        selection
+            .classed('selectable', true)
+            .on('click', (_event: MouseEvent, datum: D) => {
+                const point = toPoint(datum);
+                if (!point.others) ctx.config.onSelect(chartData.xLabel, point.key);
+            });
+    }
+
+    // 🧮 DADOS → PONTOS (agrega o valor por categoria; dispersão usa duas medidas)
+    private prepareData(config: ChartConfig): ChartData {
+        const rows = (config.data || []).filter(row => row && typeof row === 'object');
+        if (rows.length === 0) return { points: [], xLabel: '', yLabel: '' };
+
+        const inferred = this.inferColumns(rows);
+        const columns = inferred.map(c => c.name);
+        const numericColumns = inferred.filter(c => c.kind === 'numeric').map(c => c.name);
+        const dateColumns = inferred.filter(c => c.kind === 'date').map(c => c.name);
+        const categoricalColumns = inferred.filter(c => c.kind === 'categorical').map(c => c.name);
+
+        if (config.type === 'scatter') {
+            const xField = config.xField || numericColumns[0];
+            const yField = config.yField || numericColumns.find(col => col !== xField);
+            if (!xField || !yField) return { points: [], xLabel: xField || '', yLabel: yField || '' };
+
+            const labelField = categoricalColumns[0] || dateColumns[0];
+            const step = Math.max(1, rows.length / MAX_SCATTER_POINTS);
+            const sampled = step > 1 ? d3.range(0, rows.length, step).map(i => rows[Math.floor(i)]) : rows;
+            const points = sampled
+                .map((row, i) => ({
+                    label: labelField ? this.formatKey(row[labelField]) : `#${i + 1}`,
+                    key: i,
+                    x: this.toNumber(row[xField]),
+                    value: this.toNumber(row[yField])
+                }))
+                .filter(p => p.x !== null && p.value !== null);
+
+            return { points, xLabel: xField, yLabel: yField };
+        }
+
+        const preferred = config.type === 'line' ? [...dateColumns, ...categoricalColumns] : [...categoricalColumns, ...dateColumns];
+        const xField = config.xField || preferred[0] || columns[0];
+        const yField = config.yField || numericColumns.find(col => col !== xField);
+        const isDateAxis = dateColumns.includes(xField);
+
+        // Sem medida numérica, conta registros por categoria
+        const grouped = d3.rollups(
+            rows,
+            group => yField ? d3.sum(group, row => this.toNumber(row[yField]) ?? 0) : group.length,
+            row => this.normalizeKey(row[xField], isDateAxis)
         );
+
+        let points: ChartPoint[] = grouped.map(([key, value]) => ({
+            // Ano numérico em eixo de data: "2024", não "2.024"
+            label: isDateAxis && typeof key === 'number' ? String(key) : this.formatKey(key),
+            key,
+            value
+        }));
+
+        if (config.type === 'line') {
+            points.sort((a, b) => d3.ascending(a.key as any, b.key as any));
+        } else {
+            points.sort((a, b) => b.value - a.value);
+        }
+
+        if (config.type === 'pie' && points.length > MAX_SLICES) {
+            const others = d3.sum(points.slice(MAX_SLICES - 1), p => p.value);
+            points = [...points.slice(0, MAX_SLICES - 1), { label: 'Outros', key: 'Outros', value: others, others: true }];
+        } else if (config.type === 'bar') {
+            points = points.slice(0, MAX_CATEGORIES);
+        }
+
+        return { points, xLabel: xField, yLabel: yField || 'Registros' };
+    }
+
+    private plotArea(ctx: RenderContext): { innerWidth: number; innerHeight: number } {
+        return {
+            innerWidth: ctx.width - MARGIN.left - MARGIN.right,
+            innerHeight: ctx.height - MARGIN.top - MARGIN.bottom
+        };
+    }
+
+    // Escala de valores sempre incluindo o zero (barras negativas descem)
+    private valueScale(values: number[], innerHeight: number): d3.ScaleLinear<number, number> {
+        return d3.scaleLinear()
+            .domain([Math.min(0, d3.min(values) ?? 0), Math.max(0, d3.max(values) ?? 0)])
+            .nice()
+            .range([innerHeight, 0]);
+    }
+
+    private normalizeKey(value: any, asDate: boolean = false): string | number | Date {
+        if (value === null || value === undefined || value === '') return '(vazio)';
+        if (asDate) {
+            const date = this.toDate(value);
+            if (date) return date;
+        }
+        if (value instanceof Date || typeof value === 'number') return value;
+        return String(value);
+    }
+
+    private formatKey(value: any): string {
+        if (value instanceof Date) return value.toLocaleDateString('pt-BR');
+        if (typeof value === 'number') return this.formatValue(value);
+        return value === null || value === undefined || value === '' ? '(vazio)' : String(value);
+    }
+
+    private formatValue(value: number): string {
+        return value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+    }
+
+    private formatFixed(value: number, digits: number): string {
+        return value.toLocaleString('pt-BR', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+
+    private toNumber(value: any): number | null {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        const number = Number(value);
+        return value !== null && value !== '' && Number.isFinite(number) ? number : null;
+    }
+
+    private truncate(text: string, max: number): string {
+        return text.length > max ? text.slice(0, max - 1) + '…' : text;
+    }
+
+    // 🔬 TIPO DE CADA COLUNA SOBRE TODAS AS LINHAS: data, numérica ou categórica + cardinalidade
+    private inferColumns(rows: any[]): ColumnInference[] {
+        const names = new Set<string>();
+        rows.slice(0, 50).forEach(row => Object.keys(row).forEach(name => names.add(name)));
+
+        return Array.from(names, name => {
+            const distinct = new Set<string>();
+            let count = 0;
+            let numeric = 0;
+            let dates = 0;
+            let negative = false;
+
+            for (const row of rows) {
+                const value = row[name];
+                if (value === null || value === undefined || value === '') continue;
+
+                count++;
+                distinct.add(value instanceof Date ? value.toISOString() : String(value));
+
+                const number = typeof value === 'boolean' ? null : this.toNumber(value);
+                if (number !== null) {
+                    numeric++;
+                    if (number < 0) negative = true;
+                } else if (this.toDate(value)) {
+                    dates++;
+                }
+            }
+
+            let kind: ColumnKind = 'categorical';
+            let matching = count - numeric - dates;
+
+            if (count > 0 && dates / count >= TYPE_THRESHOLD) {
+                kind = 'date';
+                matching = dates;
+            } else if (count > 0 && numeric / count >= TYPE_THRESHOLD) {
+                // Ano inteiro (2019, 2020...) em coluna "ano"/"year" é eixo de tempo, não medida
+                kind = /^(ano|year)\b/i.test(name) && this.looksLikeYears(rows, name) ? 'date' : 'numeric';
+                matching = numeric;
+            }
+
+            return {
+                name,
+                kind,
+                count,
+                distinct: distinct.size,
+                purity: count > 0 ? matching / count : 0,
+                nonNegative: !negative
+            };
+        });
+    }
+
+    private looksLikeYears(rows: any[], name: string): boolean {
+        return rows.every(row => {
+            const value = this.toNumber(row[name]);
+            return value === null || (Number.isInteger(value) && value >= 1900 && value <= 2100);
+        });
+    }
+
+    // 💡 INSIGHTS DOS PONTOS: tendência (regressão linear), correlação e outliers (IQR + z-score)
+    private detectInsights(config: ChartConfig, chartData: ChartData): AIInsight[] {
+        const points = chartData.points;
+        const insights: AIInsight[] = [];
+
+        if (config.type === 'line' && points.length >= 3) {
+            const xs = this.lineXValues(points);
+            const fit = this.linearRegression(points.map((p, i) => [xs[i], p.value]));
+            // "Por período" = espaçamento médio entre os pontos (datas e números podem ter buracos)
+            const perPeriod = fit ? fit.slope * (xs[xs.length - 1] - xs[0]) / (xs.length - 1) : 0;
+            if (fit && fit.r2 >= MIN_TREND_FIT && perPeriod !== 0) {
+                insights.push({
+                    type: 'trend',
+                    message: `${perPeriod > 0 ? '📈 Tendência de alta' : '📉 Tendência de queda'} em ${chartData.yLabel}: ` +
+                        `${perPeriod > 0 ? '+' : ''}${this.formatValue(perPeriod)} por período (R² ${this.formatFixed(fit.r2, 2)})`,
+                    confidence: fit.r2
+                });
+            }
+        }
+
+        if (config.type === 'scatter' && points.length >= 3) {
+            const fit = this.linearRegression(points.map(p => [p.x, p.value]));
+            const r = fit ? Math.sign(fit.slope) * Math.sqrt(fit.r2) : 0;
+            if (Math.abs(r) >= MIN_TREND_FIT) {
+                insights.push({
+                    type: 'trend',
+                    message: `🔗 Correlação ${Math.abs(r) >= 0.7 ? 'forte' : 'moderada'} ${r > 0 ? 'positiva' : 'negativa'} ` +
+                        `entre ${chartData.xLabel} e ${chartData.yLabel} (r = ${this.formatFixed(r, 2)})`,
+                    confidence: Math.abs(r)
+                });
+            }
+        }
+
+        const outliers = this.findOutliers(points.filter(p => !p.others));
+        if (outliers.length > 0) {
+            const strongest = Math.max(...outliers.map(o => Math.abs(o.z)));
+            const listed = outliers
+                .slice(0, MAX_OUTLIERS_LISTED)
+                .map(o => `${o.point.label} (${this.formatValue(o.point.value)}, z = ${this.formatFixed(o.z, 1)})`);
+
+            insights.push({
+                type: 'outlier',
+                message: `⚠️ ${outliers.length} ${outliers.length === 1 ? 'valor atípico' : 'valores atípicos'} em ${chartData.yLabel}: ` +
+                    listed.join(', ') + (outliers.length > listed.length ? '...' : ''),
+                // Probabilidade de um valor normal ficar mais perto da média do que o outlier mais forte
+                confidence: this.erf(strongest / Math.SQRT2)
+            });
+        }
+
+        return insights;
+    }
+
+    // X da regressão igual ao do desenho: tempo ou número quando todas as chaves são, senão a ordem
+    private lineXValues(points: ChartPoint[]): number[] {
+        const keys = points.map(p => p.key);
+        if (keys.every(k => k instanceof Date)) return keys.map(k => (k as Date).getTime());
+        if (keys.every(k => typeof k === 'number')) return keys as number[];
+        return points.map((p, i) => i);
+    }
+
+    // Mínimos quadrados: inclinação, intercepto e R²
+    private linearRegression(pairs: number[][]): { slope: number; intercept: number; r2: number } | null {
+        const n = pairs.length;
+        const meanX = d3.mean(pairs, p => p[0]);
+        const meanY = d3.mean(pairs, p => p[1]);
+
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        for (const [x, y] of pairs) {
+            sxy += (x - meanX) * (y - meanY);
+            sxx += (x - meanX) ** 2;
+            syy += (y - meanY) ** 2;
+        }
+
+        if (n < 2 || sxx === 0 || syy === 0) return null;
+
+        const slope = sxy / sxx;
+        return { slope, intercept: meanY - slope * meanX, r2: (sxy * sxy) / (sxx * syy) };
+    }
+
+    // Fora das cercas de Tukey (Q1 - 1,5·IQR, Q3 + 1,5·IQR), ordenados pelo |z|
+    private findOutliers(points: ChartPoint[]): Array<{ point: ChartPoint; z: number }> {
+        if (points.length < MIN_OUTLIER_POINTS) return [];
+
+        const sorted = points.map(p => p.value).sort(d3.ascending);
+        const q1 = d3.quantileSorted(sorted, 0.25);
+        const q3 = d3.quantileSorted(sorted, 0.75);
+        const iqr = q3 - q1;
+        const mean = d3.mean(sorted);
+        const deviation = d3.deviation(sorted);
+
+        if (!iqr || !deviation) return [];
+
+        return points
+            .filter(p => p.value < q1 - 1.5 * iqr || p.value > q3 + 1.5 * iqr)
+            .map(point => ({ point, z: (point.value - mean) / deviation }))
+            .sort((a, b) => Math.abs(b.z) - Math.abs(a.z));
+    }
+
+    // Função erro (Abramowitz-Stegun 7.1.26, erro < 1,5e-7)
+    private erf(x: number): number {
+        const t = 1 / (1 + 0.3275911 * Math.abs(x));
+        const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return Math.sign(x) * y;
+    }
+
+    // Mensagens citam nomes de colunas e categorias: montadas como texto
+    private renderInsights(insights: AIInsight[]): HTMLElement {
+        const insightsDiv = document.createElement('div');
+        insightsDiv.className = 'chart-insights';
+
+        const title = document.createElement('h4');
+        title.textContent = '💡 Insights';
+        insightsDiv.appendChild(title);
+
+        insights.forEach(insight => {
+            const item = document.createElement('div');
+            item.className = `insight-item ${insight.type}`;
+
+            const message = document.createElement('span');
+            message.textContent = insight.message;
+
+            const confidence = document.createElement('span');
+            confidence.className = 'confidence';
+            confidence.textContent = `${Math.round(insight.confidence * 100)}%`;
+
+            item.appendChild(message);
+            item.appendChild(confidence);
+            insightsDiv.appendChild(item);
+        });
+
+        return insightsDiv;
     }
 
-    private getCategoricalColumns(data: any[], columns: string[]): string[] {
-        return columns.filter(col => typeof data[0][col] === 'string');
+    private toDate(value: any): Date | null {
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        if (typeof value !== 'string') return null;
+
+        // ISO (2024-03 / 2024-03-15 / 2024-03-15T10:00:00Z) ou dd/mm/aaaa
+        if (/^\d{4}-\d{2}(-\d{2})?([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+            const date = new Date(value.length === 7 ? `${value}-01` : value);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        const br = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+        if (br) {
+            const date = new Date(Number(br[3]), Number(br[2]) - 1, Number(br[1]));
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        return null;
     }
 
+    // 🔧 MÉTODOS AUXILIARES
+
     private getChartIcon(type: string): string {
-        const icons = { 
-            bar: '📊', 
-            line: '📈', 
-            pie: '🥧', 
-            scatter: '🔍' 
+        const icons = {
+            bar: '📊',
+            line: '📈',
+            pie: '🥧',
+            scatter: '🔍'
         };
         return icons[type] || '📊';
     }
 
     private getChartName(type: string): string {
-        const names = { 
-            bar: 'Gráfico de Barras', 
-            line: 'Gráfico de Linha', 
-            pie: 'Gráfico de Pizza', 
+        const names = {
+            bar: 'Gráfico de Barras',
+            line: 'Gráfico de Linha',
+            pie: 'Gráfico de Pizza',
             scatter: 'Gráfico de Dispersão'
         };
         return names[type] || 'Gráfico';
@@ -157,4 +938,4 @@ export class IntelligentChartGenerator {
             interactive: true
         };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,193 @@
+// src/chatHistory.ts - HISTÓRICO DA CONVERSA POR INSTÂNCIA DO VISUAL + EXPORTAÇÃO
+// O Power BI recria o visual (troca de página, modo foco, recarga) e o DOM do chat se perde.
+// O histórico vai para o armazenamento local do host (VisualStorage, com fallback em memória).
+"use strict";
+
+import powerbi from "powerbi-visuals-api";
+import { ChartSpec } from "./chartGenerator";
+import { CardAttachment } from "./adaptiveCards";
+import { VisualStorage } from "./visualStorage";
+
+// Resumo dos dados que o visual enviou junto da pergunta
+export interface DataSnapshot {
+    rowCount: number;
+    columns: string[];
+    partial: boolean;
+    filter?: string;
+}
+
+export interface HistoryEntry {
+    role: 'user' | 'bot';
+    text: string;
+    timestamp: string;
+    isError?: boolean;
+    method?: string;
+    chart?: ChartSpec | null;
+    attachments?: CardAttachment[];
+    data?: DataSnapshot;
+}
+
+export type ExportFormat = 'markdown' | 'json' | 'csv';
+
+const STORAGE_PREFIX = 'chatHistory:';
+const MAX_ENTRIES = 200;
+// O armazenamento local do host tem cota pequena: gráficos e cards antigos saem primeiro
+const MAX_STORED_LENGTH = 500 * 1024;
+
+const EXPORT_TYPES: Record<ExportFormat, { extension: string; fileType: string; description: string }> = {
+    markdown: { extension: 'md', fileType: 'txt', description: 'Conversa em Markdown' },
+    json: { extension: 'json', fileType: 'json', description: 'Conversa em JSON' },
+    csv: { extension: 'csv', fileType: 'csv', description: 'Conversa em CSV' }
+};
+
+export class ChatHistory {
+    private host: powerbi.extensibility.visual.IVisualHost;
+    private storage: VisualStorage;
+    private key: string;
+    private entries: HistoryEntry[] = [];
+    // Gravar antes da leitura apagaria o histórico salvo: load() grava depois de juntar
+    private loaded = false;
+
+    constructor(host: powerbi.extensibility.visual.IVisualHost, storage: VisualStorage) {
+        this.host = host;
+        this.storage = storage;
+        this.key = STORAGE_PREFIX + (host.instanceId || 'default');
+    }
+
+    // 📂 CARREGA O HISTÓRICO SALVO (vazio se não houver ou estiver corrompido)
+    public async load(): Promise<HistoryEntry[]> {
+        const stored = await this.storage.get(this.key);
+        const pending = this.entries;
+
+        try {
+            const parsed = stored ? JSON.parse(stored) : [];
+            // Mensagens enviadas antes do fim da leitura ficam depois das salvas
+            this.entries = [...(Array.isArray(parsed) ? parsed.filter(isHistoryEntry) : []), ...pending].slice(-MAX_ENTRIES);
+        } catch (error) {
+            console.warn('⚠️ Histórico do chat corrompido, começando do zero:', error.message);
+        }
+
+        this.loaded = true;
+        if (pending.length > 0) this.persist();
+
+        return this.getEntries();
+    }
+
+    public getEntries(): HistoryEntry[] {
+        return [...this.entries];
+    }
+
+    public add(entry: Omit<HistoryEntry, 'timestamp'>): HistoryEntry {
+        const saved: HistoryEntry = { ...entry, timestamp: new Date().toISOString() };
+        this.entries.push(saved);
+        if (this.entries.length > MAX_ENTRIES) this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+
+        if (this.loaded) this.persist();
+        return saved;
+    }
+
+    public async clear() {
+        this.entries = [];
+        await this.storage.remove(this.key);
+    }
+
+    private persist() {
+        this.storage.set(this.key, serializeWithinQuota(this.entries));
+    }
+
+    // 💾 EXPORTA PELO SERVIÇO DE DOWNLOAD DO HOST (privilégio ExportContent)
+    public async export(format: ExportFormat): Promise<boolean> {
+        const { extension, fileType, description } = EXPORT_TYPES[format];
+        const fileName = `conversa-assistente-bi-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        const downloadService = this.host.downloadService;
+
+        if (!downloadService || await downloadService.exportStatus() !== powerbi.PrivilegeStatus.Allowed) {
+            return false;
+        }
+
+        return downloadService.exportVisualsContent(formatHistory(this.entries, format), fileName, fileType, description);
+    }
+}
+
+// Acima da cota: tira gráficos e cards das entradas mais antigas, depois as próprias entradas
+function serializeWithinQuota(entries: HistoryEntry[]): string {
+    let stored = [...entries];
+    let serialized = JSON.stringify(stored);
+
+    for (let i = 0; serialized.length > MAX_STORED_LENGTH && i < stored.length; i++) {
+        if (stored[i].chart || stored[i].attachments) {
+            stored[i] = { ...stored[i], chart: undefined, attachments: undefined };
+            serialized = JSON.stringify(stored);
+        }
+    }
+
+    while (serialized.length > MAX_STORED_LENGTH && stored.length > 1) {
+        stored = stored.slice(1);
+        serialized = JSON.stringify(stored);
+    }
+
+    return serialized;
+}
+
+function isHistoryEntry(entry: any): entry is HistoryEntry {
+    return !!entry && (entry.role === 'user' || entry.role === 'bot') && typeof entry.text === 'string';
+}
+
+// 📝 HISTÓRICO → MARKDOWN, JSON OU CSV
+export function formatHistory(entries: HistoryEntry[], format: ExportFormat): string {
+    if (format === 'json') {
+        return JSON.stringify({ exportedAt: new Date().toISOString(), entries }, null, 2);
+    }
+    return format === 'csv' ? toCsv(entries) : toMarkdown(entries);
+}
+
+function toMarkdown(entries: HistoryEntry[]): string {
+    const lines = [`# Conversa com o Assistente BI`, '', `_Exportada em ${new Date().toLocaleString()}_`, ''];
+
+    entries.forEach(entry => {
+        const time = new Date(entry.timestamp).toLocaleString();
+
+        if (entry.role === 'user') {
+            lines.push(`## 🧑 Pergunta (${time})`, '', entry.text, '');
+            return;
+        }
+
+        const method = entry.method ? ` via ${entry.method}` : '';
+        lines.push(`### 🤖 ${entry.isError ? 'Erro' : 'Resposta'} (${time}${method})`, '', entry.text || '_(resposta em card)_', '');
+        if (entry.data) lines.push(`> 📊 ${describeSnapshot(entry.data)}`, '');
+    });
+
+    return lines.join('\n');
+}
+
+const CSV_COLUMNS = ['timestamp', 'role', 'text', 'method', 'isError', 'rowCount', 'columns', 'partial', 'filter'];
+
+function toCsv(entries: HistoryEntry[]): string {
+    const rows = entries.map(entry => [
+        entry.timestamp,
+        entry.role,
+        entry.text,
+        entry.method ?? '',
+        entry.isError ? 'true' : '',
+        entry.data?.rowCount ?? '',
+        entry.data?.columns.join('; ') ?? '',
+        entry.data ? String(entry.data.partial) : '',
+        entry.data?.filter ?? ''
+    ]);
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// Aspas em toda célula com separador/quebra; prefixo contra fórmulas ao abrir no Excel
+function csvCell(value: string | number): string {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function describeSnapshot(data: DataSnapshot): string {
+    const columns = data.columns.length > 0 ? `colunas: ${data.columns.join(', ')}` : 'sem colunas';
+    const parts = [`${data.rowCount} registros${data.partial ? ' (parcial)' : ''}`, columns];
+    if (data.filter) parts.push(`filtro: ${data.filter}`);
+    return parts.join(' · ');
+}
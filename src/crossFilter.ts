@@ -0,0 +1,203 @@
+// src/crossFilter.ts - FILTRO CRUZADO: CATEGORIAS DO CHAT → SELEÇÃO / FILTRO NO RELATÓRIO
+"use strict";
+
+import powerbi from "powerbi-visuals-api";
+import { ColumnMeta, PivotResult } from "./dataPivot";
+
+// Categoria que pode filtrar o relatório (citada numa resposta ou clicada num gráfico)
+export interface FilterMention {
+    column: string;
+    key: string;
+    value: powerbi.PrimitiveValue;
+    label: string;
+}
+
+interface FilterTarget {
+    table: string;
+    column: string;
+}
+
+interface FilterableColumn {
+    meta: ColumnMeta;
+    // Filtro JSON precisa de tabela/coluna do modelo; hierarquias ficam só com seleção
+    target: FilterTarget | null;
+    // Modo categórico: seleção nativa pelo índice da categoria
+    category: powerbi.DataViewCategoryColumn | null;
+    values: Map<string, { index: number; value: powerbi.PrimitiveValue }>;
+}
+
+const BASIC_FILTER_SCHEMA = "http://powerbi.com/product/schema#basic";
+const BASIC_FILTER_TYPE = 1;
+
+// Valores curtos ("A", "SP") casariam com qualquer texto
+const MIN_MENTION_LENGTH = 3;
+const MAX_MENTIONS = 5;
+
+export class CrossFilter {
+    private host: powerbi.extensibility.visual.IVisualHost;
+    private selectionManager: powerbi.extensibility.ISelectionManager;
+    private columns: FilterableColumn[] = [];
+    private active: (FilterMention & { viaJsonFilter: boolean }) | null = null;
+
+    constructor(host: powerbi.extensibility.visual.IVisualHost) {
+        this.host = host;
+        this.selectionManager = host.createSelectionManager();
+    }
+
+    // 🗂️ VALORES DAS DIMENSÕES E FILTROS (medidas e datas não filtram pelo chat)
+    public update(dataView: powerbi.DataView, pivot: PivotResult | null) {
+        this.columns = [];
+        if (!pivot) return;
+
+        const isFilterable = (meta: ColumnMeta) =>
+            !meta.isMeasure && (meta.role === 'dimensao' || meta.role === 'filtro') && meta.type !== 'date';
+
+        if (pivot.mode === 'categorical') {
+            // As categorias vêm primeiro em pivot.columns, na mesma ordem do dataView
+            (dataView.categorical?.categories || []).forEach((category, c) => {
+                const meta = pivot.columns[c];
+                if (meta && isFilterable(meta)) {
+                    this.columns.push(this.indexColumn(meta, category.values, category));
+                }
+            });
+        } else {
+            pivot.columns.filter(isFilterable).forEach(meta => {
+                this.columns.push(this.indexColumn(meta, pivot.rows.map(row => row[meta.name]), null));
+            });
+        }
+    }
+
+    // Filtro removido fora do visual (painel de filtros, indicador): esquece o estado ativo
+    public syncFilters(jsonFilters?: powerbi.IFilter[]) {
+        if (this.active?.viaJsonFilter && !jsonFilters?.length) {
+            this.active = null;
+        }
+    }
+
+    // 🔍 CATEGORIAS CITADAS NUM TEXTO (nomes mais longos primeiro: "Ana Maria" antes de "Ana")
+    public findMentions(text: string): FilterMention[] {
+        const haystack = normalizeText(text);
+        const mentions: FilterMention[] = [];
+
+        for (const column of this.columns) {
+            if (column.meta.type !== 'text') continue;
+
+            column.values.forEach((entry, key) => {
+                if (key.length >= MIN_MENTION_LENGTH && containsWord(haystack, key)) {
+                    mentions.push({ column: column.meta.name, key, value: entry.value, label: String(entry.value) });
+                }
+            });
+        }
+
+        return mentions
+            .sort((a, b) => b.key.length - a.key.length)
+            .filter((mention, i, list) => !list.slice(0, i).some(other => other.key.includes(mention.key)))
+            .slice(0, MAX_MENTIONS);
+    }
+
+    public canFilter(column: string): boolean {
+        return this.columns.some(c => c.meta.name === column && (c.category || c.target));
+    }
+
+    public isActive(column: string, value: powerbi.PrimitiveValue): boolean {
+        return !!this.active && this.active.column === column && this.active.key === normalizeValue(value);
+    }
+
+    public getActive(): FilterMention | null {
+        return this.active;
+    }
+
+    // 🎯 SELECIONA A CATEGORIA (modo categórico) OU APLICA FILTRO BÁSICO "In" (modo tabela)
+    public async apply(columnName: string, value: powerbi.PrimitiveValue): Promise<boolean> {
+        const column = this.columns.find(c => c.meta.name === columnName);
+        const entry = column?.values.get(normalizeValue(value));
+        if (!column || !entry) return false;
+
+        let viaJsonFilter = false;
+
+        if (column.category) {
+            if (this.active?.viaJsonFilter) this.removeJsonFilter();
+            const selectionId = this.host.createSelectionIdBuilder()
+                .withCategory(column.category, entry.index)
+                .createSelectionId();
+            await this.selectionManager.select(selectionId, false);
+        } else if (column.target) {
+            this.host.applyJsonFilter({
+                $schema: BASIC_FILTER_SCHEMA,
+                target: column.target,
+                operator: "In",
+                values: [entry.value],
+                filterType: BASIC_FILTER_TYPE
+            } as powerbi.IFilter, "general", "filter", powerbi.FilterAction.merge);
+            viaJsonFilter = true;
+        } else {
+            return false;
+        }
+
+        this.active = {
+            column: columnName,
+            key: normalizeValue(value),
+            value: entry.value,
+            label: String(entry.value),
+            viaJsonFilter
+        };
+        return true;
+    }
+
+    public async clear() {
+        if (this.active?.viaJsonFilter) {
+            this.removeJsonFilter();
+        } else {
+            await this.selectionManager.clear();
+        }
+        this.active = null;
+    }
+
+    private removeJsonFilter() {
+        this.host.applyJsonFilter(null, "general", "filter", powerbi.FilterAction.remove);
+    }
+
+    private indexColumn(meta: ColumnMeta, values: powerbi.PrimitiveValue[], category: powerbi.DataViewCategoryColumn | null): FilterableColumn {
+        const index = new Map<string, { index: number; value: powerbi.PrimitiveValue }>();
+
+        values.forEach((value, i) => {
+            if (value === null || value === undefined || value === '') return;
+            const key = normalizeValue(value);
+            if (!index.has(key)) index.set(key, { index: i, value });
+        });
+
+        return { meta, target: parseTarget(meta.queryName), category, values: index };
+    }
+}
+
+// "Vendas.Medico" → { table: "Vendas", column: "Medico" }; agregações e hierarquias não viram alvo
+function parseTarget(queryName: string): FilterTarget | null {
+    const match = /^([^.()]+)\.([^.()]+)$/.exec(queryName || '');
+    return match ? { table: match[1], column: match[2] } : null;
+}
+
+function normalizeValue(value: powerbi.PrimitiveValue): string {
+    return normalizeText(value instanceof Date ? value.toISOString() : String(value));
+}
+
+function normalizeText(text: string): string {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+// Palavra inteira: "Ana" não casa com "Banana"
+function containsWord(haystack: string, needle: string): boolean {
+    let from = haystack.indexOf(needle);
+
+    while (from !== -1) {
+        const before = haystack[from - 1];
+        const after = haystack[from + needle.length];
+        if (!isWordChar(before) && !isWordChar(after)) return true;
+        from = haystack.indexOf(needle, from + 1);
+    }
+
+    return false;
+}
+
+function isWordChar(char: string | undefined): boolean {
+    return !!char && /[a-z0-9_]/.test(char);
+}
@@ -0,0 +1,183 @@
+// src/dataPivot.ts - DATAVIEW (TABELA OU CATEGÓRICO) → LINHAS TIPADAS
+"use strict";
+
+import powerbi from "powerbi-visuals-api";
+
+export type ColumnRole = 'dimensao' | 'medida' | 'data' | 'filtro';
+export type ColumnType = 'number' | 'integer' | 'text' | 'date' | 'boolean';
+export type DataMappingMode = 'table' | 'categorical';
+
+export interface ColumnMeta {
+    name: string;
+    queryName: string;
+    role: ColumnRole;
+    type: ColumnType;
+    isMeasure: boolean;
+    format?: string;
+    aggregation?: string;
+}
+
+export type PivotRow = Record<string, powerbi.PrimitiveValue>;
+
+export interface PivotResult {
+    mode: DataMappingMode;
+    columns: ColumnMeta[];
+    rows: PivotRow[];
+    // Linhas recebidas do host antes de aplicar o limite
+    loadedRows: number;
+}
+
+// Papel de dados (capabilities.json) → papel da coluna no contexto
+const ROLE_BY_DATA_ROLE: { [role: string]: ColumnRole } = {
+    measures: 'medida',
+    dateTime: 'data',
+    filters: 'filtro',
+    dimensions: 'dimensao'
+};
+
+// PIVOTA O DATAVIEW NO MODO PEDIDO (ou no outro, se o host não entregou esse)
+export function pivotDataView(dataView: powerbi.DataView, mode: DataMappingMode, maxRows: number): PivotResult | null {
+    const hasTable = !!dataView.table?.columns?.length;
+    const hasCategorical = !!(dataView.categorical?.categories?.length || dataView.categorical?.values?.length);
+
+    if (mode === 'table' && hasTable) return pivotTable(dataView.table, maxRows);
+    if (hasCategorical) return pivotCategorical(dataView.categorical, maxRows);
+    if (hasTable) return pivotTable(dataView.table, maxRows);
+
+    return null;
+}
+
+// Linhas já carregadas (usado no carregamento segmentado)
+export function countDataViewRows(dataView: powerbi.DataView, mode: DataMappingMode): number {
+    if (mode === 'table' && dataView.table?.rows) {
+        return dataView.table.rows.length;
+    }
+
+    const categorical = dataView.categorical;
+    const firstColumn = categorical?.categories?.[0] || categorical?.values?.[0];
+    return firstColumn?.values.length || dataView.table?.rows?.length || 0;
+}
+
+// TABELA: cada linha do host já é uma linha do dataset
+function pivotTable(table: powerbi.DataViewTable, maxRows: number): PivotResult {
+    const columns = uniqueNames(table.columns.map(describeColumn));
+    const sourceRows = table.rows || [];
+
+    const rows = sourceRows.slice(0, maxRows).map(sourceRow => {
+        const row: PivotRow = {};
+        columns.forEach((column, i) => {
+            row[column.name] = convertValue(sourceRow[i], column.type);
+        });
+        return row;
+    });
+
+    return { mode: 'table', columns, rows, loadedRows: sourceRows.length };
+}
+
+// CATEGÓRICO: categorias alinhadas por índice; com série, uma linha por categoria × série
+function pivotCategorical(categorical: powerbi.DataViewCategorical, maxRows: number): PivotResult {
+    const categories = categorical.categories || [];
+    const values = categorical.values;
+    const seriesSource = values?.source;
+    const groups = values ? (seriesSource ? values.grouped() : [{ values: Array.from(values) } as powerbi.DataViewValueColumnGroup]) : [];
+
+    const categoryColumns = categories.map(category => describeColumn(category.source));
+    const measureColumns = (groups[0]?.values || []).map(value => describeColumn(value.source));
+    const seriesColumn = seriesSource ? describeColumn(seriesSource) : null;
+
+    const columns = uniqueNames([...categoryColumns, ...(seriesColumn ? [seriesColumn] : []), ...measureColumns]);
+    const seriesName = seriesColumn ? columns[categoryColumns.length].name : null;
+    const measureNames = columns.slice(columns.length - measureColumns.length).map(column => column.name);
+
+    const categoryCount = categories[0]?.values.length || groups[0]?.values[0]?.values.length || 0;
+    const rows: PivotRow[] = [];
+
+    for (let i = 0; i < categoryCount && rows.length < maxRows; i++) {
+        for (const group of groups) {
+            if (rows.length >= maxRows) break;
+
+            const row: PivotRow = {};
+            categories.forEach((category, c) => {
+                row[columns[c].name] = convertValue(category.values[i], columns[c].type);
+            });
+
+            if (seriesName) {
+                row[seriesName] = convertValue(group.name as powerbi.PrimitiveValue, seriesColumn.type);
+            }
+
+            // Com série, cada grupo traz as colunas de medida na mesma ordem
+            group.values.forEach((value, m) => {
+                row[measureNames[m]] = convertValue(value.values[i], measureColumns[m].type);
+            });
+
+            rows.push(row);
+        }
+    }
+
+    return { mode: 'categorical', columns, rows, loadedRows: categoryCount * Math.max(groups.length, 1) };
+}
+
+// METADADOS DA COLUNA: papel, tipo, formato e agregação (ex.: "Sum(Vendas.Valor)" → Sum)
+function describeColumn(source: powerbi.DataViewMetadataColumn): ColumnMeta {
+    const aggregation = /^(\w+)\(.*\)$/.exec(source.queryName || '')?.[1];
+
+    return {
+        name: source.displayName,
+        queryName: source.queryName || source.displayName,
+        role: resolveRole(source),
+        type: resolveType(source.type),
+        isMeasure: !!source.isMeasure,
+        format: source.format || undefined,
+        aggregation: aggregation || undefined
+    };
+}
+
+function resolveRole(source: powerbi.DataViewMetadataColumn): ColumnRole {
+    const roles = source.roles || {};
+    const role = Object.keys(ROLE_BY_DATA_ROLE).find(name => roles[name]);
+    if (role) return ROLE_BY_DATA_ROLE[role];
+
+    // Papel legado "contextData": deduz pelo tipo do campo
+    if (source.isMeasure) return 'medida';
+    return source.type?.dateTime ? 'data' : 'dimensao';
+}
+
+function resolveType(type: powerbi.ValueTypeDescriptor | undefined): ColumnType {
+    if (!type) return 'text';
+    if (type.dateTime) return 'date';
+    if (type.integer) return 'integer';
+    if (type.numeric) return 'number';
+    if (type.bool) return 'boolean';
+    return 'text';
+}
+
+function convertValue(value: powerbi.PrimitiveValue, type: ColumnType): powerbi.PrimitiveValue {
+    if (value === null || value === undefined) return null;
+
+    switch (type) {
+        case 'date': {
+            const date = value instanceof Date ? value : new Date(value as string | number);
+            return isNaN(date.getTime()) ? null : date;
+        }
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'number' ? value : Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? value : value === 'true';
+        default:
+            return value instanceof Date ? value.toISOString() : String(value);
+    }
+}
+
+// O mesmo campo pode entrar duas vezes (ex.: Soma e Média de Vendas com o mesmo nome)
+function uniqueNames(columns: ColumnMeta[]): ColumnMeta[] {
+    const seen = new Map<string, number>();
+
+    return columns.map(column => {
+        const count = (seen.get(column.name) || 0) + 1;
+        seen.set(column.name, count);
+        return count === 1 ? column : { ...column, name: `${column.name} (${count})` };
+    });
+}
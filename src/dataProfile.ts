@@ -0,0 +1,119 @@
+// src/dataProfile.ts - PERFIL ESTATÍSTICO DE TODAS AS LINHAS + AMOSTRA REPRESENTATIVA
+"use strict";
+
+import powerbi from "powerbi-visuals-api";
+import { ColumnRole, ColumnType } from "./dataPivot";
+
+export interface TopValue {
+    value: string;
+    count: number;
+}
+
+export interface ColumnProfile {
+    name: string;
+    role: ColumnRole;
+    type?: ColumnType;
+    format?: string;
+    aggregation?: string;
+    numeric: boolean;
+    count: number;
+    nullCount: number;
+    distinctCount: number;
+    min?: number;
+    max?: number;
+    mean?: number;
+    sum?: number;
+    topValues?: TopValue[];
+}
+
+export interface DataProfile {
+    rowCount: number;
+    columns: ColumnProfile[];
+}
+
+export interface ProfileColumnInput {
+    name: string;
+    role: ColumnRole;
+    type?: ColumnType;
+    format?: string;
+    aggregation?: string;
+    numeric?: boolean;
+    values: powerbi.PrimitiveValue[];
+}
+
+// Categorias mais frequentes enviadas por coluna de texto
+const TOP_VALUES = 5;
+
+// PERFIL DE CADA COLUNA (percorre todas as linhas, não só a amostra)
+export function buildDataProfile(columns: ProfileColumnInput[], rowCount: number): DataProfile {
+    return {
+        rowCount,
+        columns: columns.map(column => profileColumn(column, rowCount))
+    };
+}
+
+function profileColumn(column: ProfileColumnInput, rowCount: number): ColumnProfile {
+    const counts = new Map<string, number>();
+    let nullCount = 0;
+    let numericCount = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < rowCount; i++) {
+        const value = column.values[i];
+
+        if (value === null || value === undefined || value === '') {
+            nullCount++;
+            continue;
+        }
+
+        const key = value instanceof Date ? value.toISOString() : String(value);
+        counts.set(key, (counts.get(key) || 0) + 1);
+
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            numericCount++;
+            sum += value;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+    }
+
+    const count = rowCount - nullCount;
+    const numeric = column.numeric ?? (count > 0 && numericCount === count);
+
+    const profile: ColumnProfile = {
+        name: column.name,
+        role: column.role,
+        type: column.type,
+        format: column.format,
+        aggregation: column.aggregation,
+        numeric,
+        count,
+        nullCount,
+        distinctCount: counts.size
+    };
+
+    if (numeric && numericCount > 0) {
+        profile.min = min;
+        profile.max = max;
+        profile.sum = sum;
+        profile.mean = sum / numericCount;
+    } else {
+        profile.topValues = Array.from(counts, ([value, valueCount]) => ({ value, count: valueCount }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, TOP_VALUES);
+    }
+
+    return profile;
+}
+
+// AMOSTRA ESPAÇADA: linhas distribuídas por todo o dataset, não só as primeiras
+export function selectSampleIndexes(rowCount: number, sampleSize: number): number[] {
+    const size = Math.max(0, Math.min(rowCount, Math.floor(sampleSize)));
+    if (size === 0) return [];
+    if (size === rowCount) return Array.from({ length: rowCount }, (_, i) => i);
+
+    const step = rowCount / size;
+    return Array.from({ length: size }, (_, i) => Math.floor(i * step));
+}
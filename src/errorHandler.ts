@@ -1,6 +1,8 @@
 // src/errorHandler.ts
 // 🔍 SISTEMA DE DEBUG VISUAL AVANÇADO COM DETECÇÃO INTELIGENTE DE ERROS
 
+import { renderMarkdown } from "./markdown";
+
 export interface ErrorDetails {
     code: string;
     message: string;
@@ -134,30 +136,47 @@ export class AdvancedErrorHandler {
 
         const panel = document.createElement('div');
         panel.className = 'debug-panel-pro';
-        panel.innerHTML = `
-            <div class="debug-header">
-                <span class="debug-title">🔍 Debug Console Pro</span>
-                <div class="debug-controls">
-                    <button id="clearDebug" class="debug-btn clear">🗑️ Limpar</button>
-                    <button id="exportDebug" class="debug-btn export">📄 Exportar</button>
-                    <button id="toggleDebug" class="debug-btn toggle">👁️ Ocultar</button>
-                </div>
-            </div>
-            <div class="debug-content">
-                <div class="debug-tabs">
-                    <button class="debug-tab active" data-tab="errors">❌ Erros</button>
-                    <button class="debug-tab" data-tab="network">📡 Rede</button>
-                    <button class="debug-tab" data-tab="data">📊 Dados</button>
-                    <button class="debug-tab" data-tab="performance">⚡ Performance</button>
-                </div>
-                <div class="debug-tab-content">
-                    <div id="debug-errors" class="debug-section active"></div>
-                    <div id="debug-network" class="debug-section"></div>
-                    <div id="debug-data" class="debug-section"></div>
-                    <div id="debug-performance" class="debug-section"></div>
-                </div>
-            </div>
-        `;
+        // Estrutura montada com createElement (sem innerHTML), como as entradas do painel
+        const controls = this.createElement('div', 'debug-controls');
+        [
+            ['clearDebug', 'debug-btn clear', '🗑️ Limpar'],
+            ['exportDebug', 'debug-btn export', '📄 Exportar'],
+            ['toggleDebug', 'debug-btn toggle', '👁️ Ocultar']
+        ].forEach(([id, className, label]) => {
+            const button = this.createElement('button', className, label);
+            button.id = id;
+            controls.appendChild(button);
+        });
+
+        const header = this.createElement('div', 'debug-header');
+        header.appendChild(this.createElement('span', 'debug-title', '🔍 Debug Console Pro'));
+        header.appendChild(controls);
+
+        const tabs = this.createElement('div', 'debug-tabs');
+        const sections = this.createElement('div', 'debug-tab-content');
+        [
+            ['errors', '❌ Erros'],
+            ['network', '📡 Rede'],
+            ['data', '📊 Dados'],
+            ['performance', '⚡ Performance']
+        ].forEach(([name, label], index) => {
+            const active = index === 0 ? ' active' : '';
+
+            const tab = this.createElement('button', `debug-tab${active}`, label);
+            tab.dataset.tab = name;
+            tabs.appendChild(tab);
+
+            const section = this.createElement('div', `debug-section${active}`);
+            section.id = `debug-${name}`;
+            sections.appendChild(section);
+        });
+
+        const content = this.createElement('div', 'debug-content');
+        content.appendChild(tabs);
+        content.appendChild(sections);
+
+        panel.appendChild(header);
+        panel.appendChild(content);
 
         this.setupDebugPanelEvents(panel);
         this.debugPanel = panel;
@@ -266,12 +285,10 @@ export class AdvancedErrorHandler {
         const status = navigator.onLine ? 'online' : 'offline';
         const timestamp = new Date().toLocaleTimeString();
         
-        networkSection.innerHTML += `
-            <div class="debug-entry network-${status}">
-                <span class="debug-time">${timestamp}</span>
-                <span class="debug-status">📡 Status: ${status}</span>
-            </div>
-        `;
+        networkSection.appendChild(this.createEntry(`debug-entry network-${status}`, [
+            ['debug-time', timestamp],
+            ['debug-status', `📡 Status: ${status}`]
+        ]));
     }
 
     // ⚡ MÉTRICAS DE PERFORMANCE
@@ -283,15 +300,35 @@ export class AdvancedErrorHandler {
         const timestamp = new Date().toLocaleTimeString();
         
         if (memory) {
-            perfSection.innerHTML += `
-                <div class="debug-entry performance">
-                    <span class="debug-time">${timestamp}</span>
-                    <span class="debug-metric">🧠 Memória: ${Math.round(memory.usedJSHeapSize / 1024 / 1024)}MB</span>
-                </div>
-            `;
+            perfSection.appendChild(this.createEntry('debug-entry performance', [
+                ['debug-time', timestamp],
+                ['debug-metric', `🧠 Memória: ${Math.round(memory.usedJSHeapSize / 1024 / 1024)}MB`]
+            ]));
         }
     }
 
+    private createElement(tag: string, className: string, text?: string): HTMLElement {
+        const element = document.createElement(tag);
+        element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    // Entrada do painel montada como texto (sem innerHTML)
+    private createEntry(className: string, spans: Array<[string, string]>): HTMLElement {
+        const entry = document.createElement('div');
+        entry.className = className;
+
+        spans.forEach(([spanClass, text]) => {
+            const span = document.createElement('span');
+            span.className = spanClass;
+            span.textContent = text;
+            entry.appendChild(span);
+        });
+
+        return entry;
+    }
+
     // 🎛️ CONFIGURAÇÃO DE EVENTOS DO PAINEL
     private setupDebugPanelEvents(panel: HTMLElement): void {
         // Tabs
@@ -370,20 +407,31 @@ export class AdvancedErrorHandler {
         const errorsSection = document.getElementById('debug-errors');
         if (!errorsSection) return;
 
-        errorsSection.innerHTML = this.errorHistory
+        // Mensagens de erro podem trazer texto do servidor ou do Copilot: Markdown seguro
+        errorsSection.replaceChildren(...this.errorHistory
             .slice(-20) // Últimos 20 erros
             .reverse()
-            .map(error => `
-                <div class="debug-entry error-${error.severity}">
-                    <div class="debug-error-header">
-                        <span class="debug-code">${error.code}</span>
-                        <span class="debug-time">${error.timestamp.toLocaleTimeString()}</span>
-                        <span class="debug-severity severity-${error.severity}">${error.severity.toUpperCase()}</span>
-                    </div>
-                    <div class="debug-error-message">${error.message}</div>
-                    <div class="debug-error-solution">💡 ${error.solution}</div>
-                </div>
-            `).join('');
+            .map(error => {
+                const entry = document.createElement('div');
+                entry.className = `debug-entry error-${error.severity}`;
+
+                const header = this.createEntry('debug-error-header', [
+                    ['debug-code', error.code],
+                    ['debug-time', error.timestamp.toLocaleTimeString()],
+                    [`debug-severity severity-${error.severity}`, error.severity.toUpperCase()]
+                ]);
+
+                const message = document.createElement('div');
+                message.className = 'debug-error-message';
+                message.appendChild(renderMarkdown(error.message));
+
+                const solution = document.createElement('div');
+                solution.className = 'debug-error-solution';
+                solution.appendChild(renderMarkdown(`💡 ${error.solution}`));
+
+                entry.append(header, message, solution);
+                return entry;
+            }));
     }
 
     // ⚙️ CONFIGURAÇÃO GLOBAL DE ERROS
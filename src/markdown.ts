@@ -0,0 +1,263 @@
+// src/markdown.ts - MARKDOWN SEGURO PARA AS RESPOSTAS DO BOT
+// O DOM é montado nó a nó, sem innerHTML: todo texto vira text node e só as tags
+// da allow-list são criadas. HTML vindo do Copilot ou dos dados aparece como texto.
+"use strict";
+
+export interface MarkdownOptions {
+    // Dentro do Power BI os links precisam abrir pelo host (host.launchUrl)
+    onLink?: (url: string) => void;
+}
+
+const ALLOWED_TAGS = new Set([
+    'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'blockquote', 'hr',
+    'h3', 'h4', 'h5', 'ul', 'ol', 'li', 'a',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+]);
+
+// Só esquemas que não executam código (nada de javascript: ou data:)
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+const FENCE = /^\s*```/;
+const HEADING = /^\s*(#{1,3})\s+(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const BULLET = /^\s*[-*+•]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const TABLE_ROW = /^\s*\|/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+// Código, escape, negrito, tachado, link, itálico (* ou _ isolado) e URL solta, nesta ordem
+const INLINE = new RegExp([
+    '`([^`]+)`',
+    '\\\\([\\\\`*_\\[\\]()#+\\-.!|~>])',
+    '\\*\\*(.+?)\\*\\*',
+    '__(.+?)__',
+    '~~(.+?)~~',
+    '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',
+    '\\*([^*\\s](?:[^*]*[^*\\s])?)\\*',
+    '(^|[^\\w])_([^_\\s](?:[^_]*[^_\\s])?)_(?!\\w)',
+    '(https?:\\/\\/[^\\s<>()]*[^\\s<>().,;:!?\'"])'
+].join('|'));
+
+// 📝 MARKDOWN → FRAGMENTO DE DOM
+export function renderMarkdown(markdown: string, options: MarkdownOptions = {}): DocumentFragment {
+    const fragment = document.createDocumentFragment();
+    const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+    let paragraph: string[] = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length === 0) return;
+        const p = createElement('p');
+        // Chat: cada quebra de linha conta, como no texto puro
+        paragraph.forEach((line, i) => {
+            if (i > 0) p.appendChild(createElement('br'));
+            appendInline(p, line, options);
+        });
+        fragment.appendChild(p);
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            flushParagraph();
+            continue;
+        }
+
+        if (FENCE.test(line)) {
+            flushParagraph();
+            const code: string[] = [];
+            while (++i < lines.length && !FENCE.test(lines[i])) code.push(lines[i]);
+
+            const pre = createElement('pre');
+            const codeElement = createElement('code');
+            codeElement.textContent = code.join('\n');
+            pre.appendChild(codeElement);
+            fragment.appendChild(pre);
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            flushParagraph();
+            const element = createElement(`h${heading[1].length + 2}`);
+            appendInline(element, heading[2], options);
+            fragment.appendChild(element);
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            flushParagraph();
+            fragment.appendChild(createElement('hr'));
+            continue;
+        }
+
+        if (TABLE_ROW.test(line) && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+            flushParagraph();
+            const rows = [line];
+            const separator = lines[++i];
+            while (i + 1 < lines.length && TABLE_ROW.test(lines[i + 1])) rows.push(lines[++i]);
+            fragment.appendChild(renderTable(rows, separator, options));
+            continue;
+        }
+
+        const listPattern = BULLET.test(line) ? BULLET : NUMBERED.test(line) ? NUMBERED : null;
+        if (listPattern) {
+            flushParagraph();
+            const list = createElement(listPattern === BULLET ? 'ul' : 'ol');
+            i--;
+            while (i + 1 < lines.length && listPattern.test(lines[i + 1])) {
+                const item = createElement('li');
+                appendInline(item, listPattern.exec(lines[++i])[1], options);
+                list.appendChild(item);
+            }
+            fragment.appendChild(list);
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            flushParagraph();
+            const quote = createElement('blockquote');
+            i--;
+            while (i + 1 < lines.length && QUOTE.test(lines[i + 1])) {
+                if (quote.childNodes.length > 0) quote.appendChild(createElement('br'));
+                appendInline(quote, QUOTE.exec(lines[++i])[1], options);
+            }
+            fragment.appendChild(quote);
+            continue;
+        }
+
+        paragraph.push(line.trim());
+    }
+
+    flushParagraph();
+    return fragment;
+}
+
+function renderTable(rows: string[], separator: string, options: MarkdownOptions): HTMLElement {
+    const aligns = splitCells(separator).map(cell => {
+        const spec = cell.trim();
+        if (spec.startsWith(':') && spec.endsWith(':')) return 'center';
+        if (spec.endsWith(':')) return 'right';
+        return '';
+    });
+
+    const table = createElement('table');
+    const appendRow = (parent: HTMLElement, row: string, cellTag: string) => {
+        const tr = createElement('tr');
+        splitCells(row).forEach((cell, c) => {
+            const element = createElement(cellTag);
+            if (aligns[c]) element.style.textAlign = aligns[c];
+            appendInline(element, cell.trim(), options);
+            tr.appendChild(element);
+        });
+        parent.appendChild(tr);
+    };
+
+    const head = createElement('thead');
+    appendRow(head, rows[0], 'th');
+    table.appendChild(head);
+
+    const body = createElement('tbody');
+    rows.slice(1).forEach(row => appendRow(body, row, 'td'));
+    table.appendChild(body);
+
+    return table;
+}
+
+// "| a | b \| c |" → ["a", "b | c"] (pipe escapado pertence à célula)
+function splitCells(row: string): string[] {
+    const text = row.trim().replace(/^\|/, '').replace(/\|$/, '');
+    const cells: string[] = [];
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && text[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (text[i] === '|') {
+            cells.push(current);
+            current = '';
+        } else {
+            current += text[i];
+        }
+    }
+
+    cells.push(current);
+    return cells;
+}
+
+function appendInline(parent: HTMLElement, text: string, options: MarkdownOptions) {
+    // Cópia global por chamada: negrito/itálico chamam appendInline recursivamente
+    const pattern = new RegExp(INLINE.source, 'g');
+    let last = 0;
+    let match: RegExpExecArray | null;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [whole, code, escaped, bold, boldUnderscore, strike, linkText, linkUrl, italic, italicPrefix, italicUnderscore, url] = match;
+        let start = match.index;
+
+        // O prefixo do itálico com "_" é texto comum
+        if (italicUnderscore !== undefined) start += italicPrefix.length;
+        if (start > last) parent.appendChild(document.createTextNode(text.slice(last, start)));
+
+        if (code !== undefined) {
+            const element = createElement('code');
+            element.textContent = code;
+            parent.appendChild(element);
+        } else if (escaped !== undefined) {
+            parent.appendChild(document.createTextNode(escaped));
+        } else if (bold !== undefined || boldUnderscore !== undefined) {
+            parent.appendChild(wrapInline('strong', bold ?? boldUnderscore, options));
+        } else if (strike !== undefined) {
+            parent.appendChild(wrapInline('del', strike, options));
+        } else if (linkText !== undefined) {
+            parent.appendChild(createLink(linkText, linkUrl, options));
+        } else if (italic !== undefined || italicUnderscore !== undefined) {
+            parent.appendChild(wrapInline('em', italic ?? italicUnderscore, options));
+        } else if (url !== undefined) {
+            parent.appendChild(createLink(url, url, options));
+        }
+
+        last = match.index + whole.length;
+    }
+
+    if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function wrapInline(tag: string, text: string, options: MarkdownOptions): HTMLElement {
+    const element = createElement(tag);
+    appendInline(element, text, options);
+    return element;
+}
+
+// URL fora da allow-list de esquemas vira texto simples
+function createLink(text: string, url: string, options: MarkdownOptions): Node {
+    if (!SAFE_URL.test(url)) {
+        return document.createTextNode(text);
+    }
+
+    const link = createElement('a') as HTMLAnchorElement;
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.title = url;
+    link.textContent = text;
+
+    if (options.onLink) {
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            options.onLink(url);
+        });
+    }
+
+    return link;
+}
+
+function createElement(tag: string): HTMLElement {
+    if (!ALLOWED_TAGS.has(tag)) {
+        throw new Error(`Tag fora da allow-list do Markdown: ${tag}`);
+    }
+    return document.createElement(tag);
+}
@@ -26,26 +26,243 @@
 
 "use strict";
 
+import powerbi from "powerbi-visuals-api";
 import { formattingSettings } from "powerbi-visuals-utils-formattingmodel";
 
 import FormattingSettingsCard = formattingSettings.SimpleCard;
 import FormattingSettingsSlice = formattingSettings.Slice;
 import FormattingSettingsModel = formattingSettings.Model;
 
+// Tabela entrega linhas prontas; categórico é o mapeamento original do visual
+const dataMappingOptions: powerbi.IEnumMember[] = [
+    { value: "table", displayName: "Tabela (linha a linha)" },
+    { value: "categorical", displayName: "Categórico" }
+];
+
+const themeOptions: powerbi.IEnumMember[] = [
+    { value: "gradient", displayName: "Gradiente" },
+    { value: "light", displayName: "Claro" },
+    { value: "dark", displayName: "Escuro" }
+];
+
+// Corrida envia a pergunta pelos 2 primeiros transportes ao mesmo tempo (exceto Job)
+const strategyOptions: powerbi.IEnumMember[] = [
+    { value: "sequential", displayName: "Sequencial" },
+    { value: "race", displayName: "Corrida (mais rápido vence)" },
+    { value: "sticky", displayName: "Último que funcionou" }
+];
+
+// Ordem padrão dos transportes (o primeiro que responder vence)
+// Job por último: espera o Copilot por até 2 minutos e só vale quando os síncronos falharam
+export const DEFAULT_TRANSPORTS = "Fetch, JSONP, Iframe, SSE, Pixel, Job";
+
+export const DEFAULT_WELCOME_MESSAGE = "**🚀 Sistema Multi-Método Iniciado!**\n" +
+    "Olá! Sou seu assistente de BI com conexão redundante ao Copilot Studio.\n" +
+    "_Métodos disponíveis: Fetch (POST), JSONP, Iframe, SSE, Pixel Tracking, Job assíncrono_";
+
+function seconds(name: string, displayName: string, value: number, maxValue: number): formattingSettings.NumUpDown {
+    return new formattingSettings.NumUpDown({
+        name,
+        displayName,
+        value,
+        options: {
+            minValue: { type: powerbi.visuals.ValidatorType.Min, value: 1 },
+            maxValue: { type: powerbi.visuals.ValidatorType.Max, value: maxValue }
+        }
+    });
+}
+
 /**
  * Chat Settings Card
  */
 class ChatSettingsCard extends FormattingSettingsCard {
+    // Nome histórico: guarda a URL das funções Netlify. Substituído por connection.baseUrl,
+    // continua sendo lido (oculto) para não quebrar relatórios já configurados
     directLineSecret = new formattingSettings.TextInput({
         name: "directLineSecret",
         displayName: "URL da Função Netlify",
         placeholder: "Cole a URL aqui",
+        value: "",
+        visible: false
+    });
+
+    signingKey = new formattingSettings.TextInput({
+        name: "signingKey",
+        displayName: "Chave de assinatura (HMAC)",
+        placeholder: "Mesmo valor de REQUEST_SIGNING_KEY",
         value: ""
     });
 
+    sampleSize = new formattingSettings.NumUpDown({
+        name: "sampleSize",
+        displayName: "Linhas na amostra",
+        value: 20,
+        options: {
+            minValue: { type: powerbi.visuals.ValidatorType.Min, value: 0 },
+            maxValue: { type: powerbi.visuals.ValidatorType.Max, value: 1000 }
+        }
+    });
+
+    // Limite do carregamento segmentado (fetchMoreData, 1000 linhas por segmento)
+    maxRows = new formattingSettings.NumUpDown({
+        name: "maxRows",
+        displayName: "Máximo de linhas carregadas",
+        value: 30000,
+        options: {
+            minValue: { type: powerbi.visuals.ValidatorType.Min, value: 1000 },
+            maxValue: { type: powerbi.visuals.ValidatorType.Max, value: 100000 }
+        }
+    });
+
+    dataMapping = new formattingSettings.ItemDropdown({
+        name: "dataMapping",
+        displayName: "Leitura dos dados",
+        items: dataMappingOptions,
+        value: dataMappingOptions[0]
+    });
+
     name: string = "chatSettings";
     displayName: string = "🤖 Configurações da Ponte";
-    slices: Array<FormattingSettingsSlice> = [this.directLineSecret];
+    slices: Array<FormattingSettingsSlice> = [this.directLineSecret, this.signingKey, this.sampleSize, this.maxRows, this.dataMapping];
+}
+
+/**
+ * Appearance Card
+ */
+class AppearanceCard extends FormattingSettingsCard {
+    theme = new formattingSettings.ItemDropdown({
+        name: "theme",
+        displayName: "Tema",
+        items: themeOptions,
+        value: themeOptions[0]
+    });
+
+    fontSize = new formattingSettings.NumUpDown({
+        name: "fontSize",
+        displayName: "Tamanho da fonte",
+        value: 14,
+        options: {
+            minValue: { type: powerbi.visuals.ValidatorType.Min, value: 10 },
+            maxValue: { type: powerbi.visuals.ValidatorType.Max, value: 24 }
+        }
+    });
+
+    userBubbleColor = new formattingSettings.ColorPicker({
+        name: "userBubbleColor",
+        displayName: "Balão do usuário",
+        value: { value: "#3182ce" }
+    });
+
+    botBubbleColor = new formattingSettings.ColorPicker({
+        name: "botBubbleColor",
+        displayName: "Balão do bot",
+        value: { value: "#ffffff" }
+    });
+
+    botTextColor = new formattingSettings.ColorPicker({
+        name: "botTextColor",
+        displayName: "Texto do bot",
+        value: { value: "#2d3748" }
+    });
+
+    name: string = "appearance";
+    displayName: string = "🎨 Aparência";
+    slices: Array<FormattingSettingsSlice> = [this.theme, this.fontSize, this.userBubbleColor, this.botBubbleColor, this.botTextColor];
+}
+
+/**
+ * Behavior Card
+ */
+class BehaviorCard extends FormattingSettingsCard {
+    botName = new formattingSettings.TextInput({
+        name: "botName",
+        displayName: "Nome do assistente",
+        placeholder: "Assistente BI Pro",
+        value: "Assistente BI Pro"
+    });
+
+    // Markdown, como as respostas do bot
+    welcomeMessage = new formattingSettings.TextArea({
+        name: "welcomeMessage",
+        displayName: "Mensagem de boas-vindas",
+        placeholder: "Markdown",
+        value: DEFAULT_WELCOME_MESSAGE
+    });
+
+    placeholder = new formattingSettings.TextInput({
+        name: "placeholder",
+        displayName: "Texto do campo de pergunta",
+        placeholder: "Ex: Qual o total de vendas por médico?",
+        value: "Ex: Qual o total de vendas por médico?"
+    });
+
+    // Uma pergunta por linha; viram botões abaixo das boas-vindas
+    suggestedQuestions = new formattingSettings.TextArea({
+        name: "suggestedQuestions",
+        displayName: "Perguntas sugeridas",
+        placeholder: "Uma pergunta por linha",
+        value: ""
+    });
+
+    name: string = "behavior";
+    displayName: string = "💬 Comportamento";
+    slices: Array<FormattingSettingsSlice> = [this.botName, this.welcomeMessage, this.placeholder, this.suggestedQuestions];
+}
+
+/**
+ * Connection Card
+ */
+class ConnectionCard extends FormattingSettingsCard {
+    baseUrl = new formattingSettings.TextInput({
+        name: "baseUrl",
+        displayName: "URL das funções Netlify",
+        placeholder: "https://seu-site.netlify.app",
+        value: ""
+    });
+
+    // Transportes fora da lista ficam desligados
+    transports = new formattingSettings.TextInput({
+        name: "transports",
+        displayName: "Transportes (em ordem)",
+        placeholder: DEFAULT_TRANSPORTS,
+        value: DEFAULT_TRANSPORTS
+    });
+
+    strategy = new formattingSettings.ItemDropdown({
+        name: "strategy",
+        displayName: "Estratégia",
+        description: "Corrida: a pergunta vai pelos 2 primeiros transportes da lista (o Job fica de fora) ao mesmo tempo. " +
+            "Cada um é uma chamada ao Copilot e conta na cota por minuto, mesmo o que perde a corrida.",
+        items: strategyOptions,
+        value: strategyOptions[0]
+    });
+
+    // Teto do modo sequencial/último que funcionou: falha total não passa disso
+    // (cada transporte seguinte tem pelo menos 6s reservados dentro dele)
+    totalTimeout = seconds("totalTimeout", "Orçamento total (s)", 45, 600);
+
+    // Padrões = orçamento de cada função no servidor + margem de rede
+    fetchTimeout = seconds("fetchTimeout", "Timeout Fetch (s)", 11, 120);
+    jsonpTimeout = seconds("jsonpTimeout", "Timeout JSONP (s)", 8, 120);
+    iframeTimeout = seconds("iframeTimeout", "Timeout Iframe (s)", 9, 120);
+    sseTimeout = seconds("sseTimeout", "Timeout SSE (s)", 12, 120);
+    pixelTimeout = seconds("pixelTimeout", "Timeout Pixel (s)", 14, 120);
+    // Teto do Job; na sequência ele fica com o que sobrar do orçamento total
+    jobTimeout = seconds("jobTimeout", "Timeout Job (s)", 130, 600);
+
+    debugMode = new formattingSettings.ToggleSwitch({
+        name: "debugMode",
+        displayName: "Modo debug",
+        value: false
+    });
+
+    name: string = "connection";
+    displayName: string = "🔌 Conexão";
+    slices: Array<FormattingSettingsSlice> = [
+        this.baseUrl, this.transports, this.strategy, this.totalTimeout,
+        this.fetchTimeout, this.jsonpTimeout, this.iframeTimeout, this.sseTimeout, this.pixelTimeout, this.jobTimeout,
+        this.debugMode
+    ];
 }
 
 /**
@@ -55,5 +272,8 @@ class ChatSettingsCard extends FormattingSettingsCard {
 export class VisualSettings extends FormattingSettingsModel {
     // Create formatting settings model formatting cards
     chatSettings = new ChatSettingsCard();
-    cards = [this.chatSettings];
+    appearance = new AppearanceCard();
+    behavior = new BehaviorCard();
+    connection = new ConnectionCard();
+    cards = [this.connection, this.chatSettings, this.appearance, this.behavior];
 }
@@ -0,0 +1,171 @@
+// src/transportHealth.ts - SAÚDE DOS TRANSPORTES + CIRCUIT BREAKER PERSISTIDO
+// Cada transporte tem contadores de sucesso/falha, latências recentes (p50/p95) e um disjuntor:
+// - fechado: pode ser usado
+// - aberto: falhou; fica fora por um backoff exponencial (30s, 1min, 2min... até 30min)
+// - meio-aberto: o backoff acabou; uma única tentativa de prova decide se fecha ou reabre
+// O estado vai para o armazenamento local: a CSP do tenant bloqueia sempre os mesmos
+// transportes, então a próxima sessão já começa pelos que funcionam.
+"use strict";
+
+import { VisualStorage } from "./visualStorage";
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+interface TransportStats {
+    successes: number;
+    failures: number;
+    consecutiveFailures: number;
+    // Últimas latências de sucesso, em ms
+    latencies: number[];
+    openUntil: number;
+    lastError?: string;
+    lastSuccessAt?: number;
+}
+
+const STORAGE_KEY = 'transportHealth';
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const LATENCY_WINDOW = 20;
+
+const STATE_LABELS: Record<CircuitState, string> = {
+    closed: '🟢 fechado',
+    open: '⛔ aberto',
+    'half-open': '🟡 em prova'
+};
+
+export class TransportHealth {
+    private storage: VisualStorage;
+    private now: () => number;
+    private stats = new Map<string, TransportStats>();
+    // Meio-aberto: só uma prova por vez
+    private probing = new Set<string>();
+
+    // now: relógio substituível nos testes
+    constructor(storage: VisualStorage, now: () => number = Date.now) {
+        this.storage = storage;
+        this.now = now;
+    }
+
+    // 📂 ESTADO DAS SESSÕES ANTERIORES (contagens feitas antes da leitura são mantidas)
+    public async load() {
+        const stored = await this.storage.get(STORAGE_KEY);
+        if (!stored) return;
+
+        try {
+            const parsed = JSON.parse(stored);
+            Object.keys(parsed || {}).forEach(name => {
+                if (!this.stats.has(name) && isStats(parsed[name])) this.stats.set(name, parsed[name]);
+            });
+        } catch (error) {
+            console.warn('⚠️ Saúde dos transportes corrompida, começando do zero:', error.message);
+        }
+    }
+
+    public getState(name: string): CircuitState {
+        const stats = this.stats.get(name);
+        if (!stats || stats.consecutiveFailures === 0) return 'closed';
+        return this.now() < stats.openUntil ? 'open' : 'half-open';
+    }
+
+    // Fechado, ou meio-aberto sem prova em andamento
+    public isAvailable(name: string): boolean {
+        const state = this.getState(name);
+        return state === 'closed' || (state === 'half-open' && !this.probing.has(name));
+    }
+
+    // Marca a prova do meio-aberto; chamar antes de cada tentativa
+    public begin(name: string) {
+        if (this.getState(name) !== 'closed') this.probing.add(name);
+    }
+
+    public recordSuccess(name: string, ms: number) {
+        const stats = this.getStats(name);
+        stats.successes++;
+        stats.consecutiveFailures = 0;
+        stats.openUntil = 0;
+        stats.lastSuccessAt = this.now();
+        stats.latencies = [...stats.latencies, ms].slice(-LATENCY_WINDOW);
+        this.finish(name);
+    }
+
+    // Backoff dobra a cada falha seguida
+    public recordFailure(name: string, error: string) {
+        const stats = this.getStats(name);
+        stats.failures++;
+        stats.consecutiveFailures++;
+        stats.openUntil = this.now() + Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (stats.consecutiveFailures - 1));
+        stats.lastError = error;
+        this.finish(name);
+    }
+
+    // Cancelado (perdeu a corrida) ou recusado pela cota: não diz nada sobre o transporte
+    public release(name: string) {
+        this.probing.delete(name);
+    }
+
+    // 🏆 ORDEM ADAPTATIVA: quem já funcionou primeiro, depois os sem histórico, por fim os
+    // que estão falhando; dentro de cada grupo vale a ordem configurada no painel
+    public rank(names: string[]): string[] {
+        const tier = (name: string) => {
+            const stats = this.stats.get(name);
+            if (!stats) return 1;
+            if (this.getState(name) !== 'closed') return 2;
+            return stats.successes > 0 ? 0 : 1;
+        };
+
+        return names
+            .map((name, position) => ({ name, position, tier: tier(name) }))
+            .sort((a, b) => a.tier - b.tier || a.position - b.position)
+            .map(entry => entry.name);
+    }
+
+    public getOpenCircuits(): string[] {
+        return [...this.stats.keys()].filter(name => this.getState(name) === 'open');
+    }
+
+    // "JSONP: 🟢 fechado · 12 ✓ 1 ✗ · p50 1.2s · p95 3.4s"
+    public describe(name: string): string {
+        const stats = this.stats.get(name);
+        if (!stats) return `${name}: sem histórico`;
+
+        const parts = [`${name}: ${STATE_LABELS[this.getState(name)]}`, `${stats.successes} ✓ ${stats.failures} ✗`];
+        if (stats.latencies.length > 0) {
+            parts.push(`p50 ${formatSeconds(percentile(stats.latencies, 50))}`, `p95 ${formatSeconds(percentile(stats.latencies, 95))}`);
+        }
+        if (this.getState(name) === 'open') {
+            parts.push(`volta em ${formatSeconds(stats.openUntil - this.now())}`);
+        }
+        if (stats.consecutiveFailures > 0 && stats.lastError) parts.push(`último erro: ${stats.lastError}`);
+
+        return parts.join(' · ');
+    }
+
+    private getStats(name: string): TransportStats {
+        if (!this.stats.has(name)) {
+            this.stats.set(name, { successes: 0, failures: 0, consecutiveFailures: 0, latencies: [], openUntil: 0 });
+        }
+        return this.stats.get(name);
+    }
+
+    private finish(name: string) {
+        this.probing.delete(name);
+        this.storage.set(STORAGE_KEY, JSON.stringify(Object.fromEntries(this.stats)));
+    }
+}
+
+function isStats(value: any): value is TransportStats {
+    return !!value && typeof value.successes === 'number' && typeof value.failures === 'number'
+        && typeof value.consecutiveFailures === 'number' && Array.isArray(value.latencies)
+        && typeof value.openUntil === 'number';
+}
+
+// Nearest-rank sobre as latências ordenadas
+function percentile(values: number[], p: number): number {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function formatSeconds(ms: number): string {
+    const seconds = ms / 1000;
+    return seconds >= 60 ? `${Math.round(seconds / 60)}min` : `${seconds.toFixed(1)}s`;
+}
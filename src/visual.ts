@@ -3,13 +3,105 @@ import "core-js/stable";
 import "./../style/visual.less";
 import powerbi from "powerbi-visuals-api";
 import { FormattingSettingsService } from "powerbi-visuals-utils-formattingmodel";
-import { VisualSettings } from "./settings";
+import { VisualSettings, DEFAULT_TRANSPORTS } from "./settings";
+import { buildDataProfile, selectSampleIndexes } from "./dataProfile";
+import { pivotDataView, countDataViewRows, DataMappingMode } from "./dataPivot";
+import { IntelligentChartGenerator, ChartConfig, ChartSpec } from "./chartGenerator";
+import { CrossFilter } from "./crossFilter";
+import { renderMarkdown } from "./markdown";
+import { ChatHistory, DataSnapshot, ExportFormat } from "./chatHistory";
+import { VisualStorage } from "./visualStorage";
+import { TransportHealth } from "./transportHealth";
+import { renderAdaptiveCard, renderSuggestedActions, CardAttachment, CardHandlers, SuggestedAction, ADAPTIVE_CARD_TYPE } from "./adaptiveCards";
+
+interface ConversationState {
+    conversationId: string;
+    token: string | null;
+    watermark: string | null;
+    expiresAt: number;
+}
+
+interface BotResponse {
+    answer: string;
+    method?: string;
+    conversation?: ConversationState | null;
+    chart?: ChartSpec | null;
+    attachments?: CardAttachment[];
+    suggestedActions?: SuggestedAction[];
+    attempts?: TransportAttempt[];
+}
+
+interface ProgressUpdate {
+    stage: 'connected' | 'sent' | 'typing' | 'partial';
+    text?: string;
+}
+
+type ProgressHandler = (update: ProgressUpdate) => void;
+
+interface RequestSignature {
+    ts: string;
+    nonce: string;
+    sig: string;
+}
+
+// Cota do cliente esgotada: não adianta tentar outro transporte
+class RateLimitError extends Error {
+    public retryAfter: number | null;
+
+    constructor(message: string, retryAfter?: number | null) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter || null;
+    }
+}
+
+// Transporte abortado: outro venceu a corrida ou o prazo da etapa acabou
+class TransportCancelledError extends Error {
+    constructor(transport: string) {
+        super(`${transport} cancelado`);
+        this.name = 'TransportCancelledError';
+    }
+}
+
+type TransportStrategy = 'sequential' | 'race' | 'sticky';
+
+// Mesma forma canônica do servidor (security.canonicalQuery): chaves em ordem, valores com
+// encodeURIComponent, sem os parâmetros da própria assinatura
+function canonicalQuery(params: URLSearchParams): string {
+    return Array.from(params.entries())
+        .filter(([key]) => key !== 'ts' && key !== 'nonce' && key !== 'sig')
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+}
+
+function toHex(bytes: Uint8Array): string {
+    return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+interface ContextUpload {
+    contextId: Promise<string | null>;
+    uploadedAt: number;
+    // Perfil + contagem do contexto enviado: muda sempre que os dados mudam
+    signature: string;
+}
 
 interface CommunicationMethod {
     name: string;
-    func: (question: string, context: any) => Promise<string>;
+    // budget: prazo desta tentativa em ms (timeout do transporte, encurtado pelo orçamento total)
+    func: (question: string, context: any, onProgress: ProgressHandler | undefined, signal: AbortSignal, budget: number) => Promise<BotResponse>;
     priority: number;
-    enabled: boolean;
+    // Ligado no painel (connection.transports); quem está falhando é decidido pelo TransportHealth
+    configured: boolean;
+    timeout: number;
+}
+
+// Tentativa de um transporte, mostrada nas respostas em modo debug
+interface TransportAttempt {
+    name: string;
+    ok: boolean;
+    ms: number;
+    error?: string;
 }
 
 export class Visual implements powerbi.extensibility.visual.IVisual {
@@ -17,34 +109,96 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
     private host: powerbi.extensibility.visual.IVisualHost;
     private settings: VisualSettings;
     private formattingSettingsService: FormattingSettingsService;
+    private crossFilter: CrossFilter;
+    // Cliques em cards e ações sugeridas (definidos junto com o campo de pergunta)
+    private cardHandlers: CardHandlers;
+    private history: ChatHistory;
+    // Circuit breaker por transporte, persistido entre sessões
+    private health: TransportHealth;
+    private debugMode: boolean = false;
+    // Boas-vindas só são redesenhadas quando o texto ou as sugestões mudam
+    private welcomeKey: string = '';
 
     private chatContainer: HTMLElement;
-    private dataContext: any = { hasData: false, rowCount: 0, columns: [], sampleData: [] };
+    private dataContext: any = { hasData: false, rowCount: 0, columns: [], rows: [], sampleData: [], profile: null, partial: false };
     
     private baseUrl: string = '';
+    private signingKey: string = '';
     private communicationMethods: CommunicationMethod[] = [];
     private lastUsedMethod: string = '';
+    private conversation: ConversationState | null = null;
+    private currentRequestId: string = '';
+    // Uma por visual carregado: separa a cota de usuários atrás do mesmo IP (vale só com assinatura)
+    private readonly instanceId: string = 'pbi_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+    // Contexto enviado uma vez para chat-context; transportes GET só levam o contextId
+    private contextUpload: ContextUpload | null = null;
+
+    // Reenvia antes do TTL de 30 min do servidor
+    private static readonly CONTEXT_REUPLOAD_MS = 20 * 60 * 1000;
+    // Corpos menores que isso não compensam o custo do gzip
+    private static readonly COMPRESSION_THRESHOLD = 1024;
+    // Bytes (UTF-8) do contexto: abaixo do MAX_BODY_BYTES das funções (4 MB), com folga para o resto
+    // do corpo; sem gzip o corpo também precisa caber no limite de ~6 MB do Netlify
+    private static readonly MAX_CONTEXT_BYTES = 3.5 * 1024 * 1024;
+    // Transportes disputando a mesma pergunta no modo corrida
+    private static readonly MAX_RACE_ENTRANTS = 2;
+    // Sequencial: prazo mínimo reservado para cada transporte que ainda vem na fila
+    private static readonly MIN_STEP_MS = 6000;
+    // Transportes que enviam e devolvem o estado da conversa (multi-turno)
+    private static readonly CONVERSATION_TRANSPORTS = ['Fetch', 'Job'];
 
     constructor(options: powerbi.extensibility.visual.VisualConstructorOptions) {
         this.target = options.element;
         this.host = options.host;
         this.formattingSettingsService = new FormattingSettingsService();
+        this.crossFilter = new CrossFilter(this.host);
+        const storage = new VisualStorage(this.host);
+        this.history = new ChatHistory(this.host, storage);
+        this.health = new TransportHealth(storage);
 
         this.initializeCommunicationMethods();
         this.chatContainer = this.createAdvancedChatInterface();
         this.target.appendChild(this.chatContainer);
+
+        // Padrões do painel até o primeiro update
+        this.settings = new VisualSettings();
+        this.applySettings();
+        this.restoreHistory();
+        this.health.load().then(() => this.updateMethodStatus());
     }
 
     public update(options: powerbi.extensibility.visual.VisualUpdateOptions) {
         this.settings = this.formattingSettingsService.populateFormattingSettingsModel(VisualSettings, options.dataViews?.[0]);
+        this.applySettings();
         
-        // Atualiza URL base das configurações
-        this.baseUrl = this.settings.chatSettings.directLineSecret.value || 'https://copilotassistbi.netlify.app';
+        // Atualiza URL base das configurações (campo antigo da ponte vale como fallback)
+        const baseUrl = (this.settings.connection.baseUrl.value
+            || this.settings.chatSettings.directLineSecret.value
+            || 'https://copilotassistbi.netlify.app').replace(/\/+$/, '');
+        if (baseUrl !== this.baseUrl) {
+            this.baseUrl = baseUrl;
+            this.checkHealth();
+        }
+        this.signingKey = this.settings.chatSettings.signingKey.value || '';
+        
+        this.crossFilter.syncFilters(options.jsonFilters);
         
-        if (options.dataViews?.[0]) {
-            this.dataContext = this.processDataView(options.dataViews[0]);
+        const dataView = options.dataViews?.[0];
+        if (dataView) {
+            // Carregamento segmentado: pede o próximo segmento até acabar ou atingir o limite
+            const loadedRows = countDataViewRows(dataView, this.getDataMappingMode());
+            const maxRows = this.settings.chatSettings.maxRows.value;
+            const moreAvailable = !!dataView.metadata?.segment;
+
+            if (moreAvailable && loadedRows < maxRows && this.host.fetchMoreData(true)) {
+                this.updateDataStatusMessage(loadedRows);
+                return;
+            }
+
+            this.dataContext = this.processDataView(dataView, maxRows);
             this.updateDataStatusMessage();
             this.updateMethodStatus();
+            this.refreshFilterChips();
         }
     }
     
@@ -52,40 +206,232 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
         return this.formattingSettingsService.buildFormattingModel(this.settings);
     }
 
+    // 🎛️ PAINEL DE FORMATAÇÃO → APARÊNCIA, TEXTOS E TRANSPORTES
+    private applySettings() {
+        this.applyConnectionSettings();
+        this.applyAppearance();
+        this.applyBehavior();
+    }
+
+    private applyConnectionSettings() {
+        const connection = this.settings.connection;
+        const order = this.parseTransportOrder(connection.transports.value);
+        const timeouts: Record<string, number> = {
+            Fetch: connection.fetchTimeout.value,
+            Job: connection.jobTimeout.value,
+            JSONP: connection.jsonpTimeout.value,
+            Iframe: connection.iframeTimeout.value,
+            SSE: connection.sseTimeout.value,
+            Pixel: connection.pixelTimeout.value
+        };
+
+        this.communicationMethods.forEach(method => {
+            const position = order.indexOf(method.name);
+            method.configured = position !== -1;
+            method.priority = position + 1;
+            method.timeout = (timeouts[method.name] || 16) * 1000;
+        });
+
+        this.debugMode = connection.debugMode.value;
+    }
+
+    // "sse, jsonp" → ["SSE", "JSONP"]; nomes desconhecidos são ignorados, lista vazia = padrão
+    private parseTransportOrder(value: string): string[] {
+        const names = this.communicationMethods.map(m => m.name);
+        const parse = (list: string) => list.split(/[\s,;]+/)
+            .map(item => names.find(name => name.toLowerCase() === item.toLowerCase()))
+            .filter((name, i, all) => name && all.indexOf(name) === i);
+
+        const order = parse(value || '');
+        return order.length > 0 ? order : parse(DEFAULT_TRANSPORTS);
+    }
+
+    private applyAppearance() {
+        const { theme, fontSize, userBubbleColor, botBubbleColor, botTextColor } = this.settings.appearance;
+        const style = this.chatContainer.style;
+
+        style.setProperty('--chat-font-size', `${fontSize.value}px`);
+        style.setProperty('--user-bubble', userBubbleColor.value.value);
+        style.setProperty('--bot-bubble', botBubbleColor.value.value);
+        style.setProperty('--bot-text', botTextColor.value.value);
+
+        ['gradient', 'light', 'dark'].forEach(name => {
+            this.chatContainer.classList.toggle(`chat-theme-${name}`, theme.value?.value === name);
+        });
+    }
+
+    private applyBehavior() {
+        const { botName, placeholder } = this.settings.behavior;
+
+        (this.chatContainer.querySelector('#botName') as HTMLElement).textContent = botName.value || 'Assistente BI Pro';
+        (this.chatContainer.querySelector('#chatInput') as HTMLInputElement).placeholder = placeholder.value;
+        this.renderWelcome();
+    }
+
+    // Boas-vindas em Markdown + perguntas sugeridas (uma por linha) como botões
+    private renderWelcome(force: boolean = false) {
+        const { welcomeMessage, suggestedQuestions } = this.settings.behavior;
+        const key = `${welcomeMessage.value}\u0000${suggestedQuestions.value}`;
+        if (!force && key === this.welcomeKey) return;
+        this.welcomeKey = key;
+
+        const welcome = this.chatContainer.querySelector('.chat-message.welcome') as HTMLElement;
+        this.renderBotContent(welcome.querySelector('.message-content') as HTMLElement, welcomeMessage.value);
+
+        welcome.querySelector('.suggested-actions')?.remove();
+        const questions: SuggestedAction[] = (suggestedQuestions.value || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(question => ({ type: 'imBack' as const, title: question, value: question }));
+
+        const actions = renderSuggestedActions(questions, this.cardHandlers);
+        if (actions) welcome.insertBefore(actions, welcome.querySelector('.message-time'));
+    }
+
     private initializeCommunicationMethods() {
         this.communicationMethods = [
+            {
+                name: 'Fetch',
+                func: this.sendViaFetch.bind(this),
+                priority: 1,
+                configured: true,
+                timeout: 11000
+            },
             {
                 name: 'JSONP',
                 func: this.sendViaJSONP.bind(this),
-                priority: 1,
-                enabled: true
+                priority: 2,
+                configured: true,
+                timeout: 8000
             },
             {
                 name: 'Iframe',
                 func: this.sendViaIframe.bind(this),
-                priority: 2,
-                enabled: true
+                priority: 3,
+                configured: true,
+                timeout: 9000
             },
             {
                 name: 'SSE',
                 func: this.sendViaSSE.bind(this),
-                priority: 3,
-                enabled: true
+                priority: 4,
+                configured: true,
+                timeout: 12000
             },
             {
                 name: 'Pixel',
                 func: this.sendViaPixel.bind(this),
-                priority: 4,
-                enabled: true
+                priority: 5,
+                configured: true,
+                timeout: 14000
+            },
+            {
+                name: 'Job',
+                func: this.sendViaJob.bind(this),
+                priority: 6,
+                configured: true,
+                timeout: 130000
             }
         ];
     }
 
+    // MÉTODO PRINCIPAL: POST JSON DIRETO PARA chat (CORS pela lista ALLOWED_ORIGINS do servidor)
+    // Contexto completo no corpo (gzip), cancelável pelo AbortController; os demais são fallback
+    // para tenants cuja CSP bloqueia fetch para fora do relatório
+    private async sendViaFetch(question: string, context: any, onProgress: ProgressHandler | undefined, signal: AbortSignal, budget: number): Promise<BotResponse> {
+        let response: Response;
+        try {
+            response = await this.postJson(`${this.baseUrl}/.netlify/functions/chat`, {
+                question: question,
+                context: this.buildContextPayload(context),
+                conversation: this.conversation,
+                requestId: this.currentRequestId,
+                instanceId: this.instanceId
+            }, signal);
+        } catch (error) {
+            if (signal?.aborted) throw new TransportCancelledError('Fetch');
+            throw error;
+        }
+        onProgress?.({ stage: 'sent' });
+
+        const data = await response.json().catch(() => null);
+        if (response.status === 429) {
+            throw this.toRejectionError(data, 'Limite de perguntas atingido');
+        }
+
+        // Falhas do servidor voltam com error: true (às vezes com status 200): deixa o próximo transporte tentar
+        if (!response.ok || !data || data.error) {
+            throw new Error(data?.answer || `Fetch recusado: ${response.status}`);
+        }
+
+        return this.toBotResponse(data, 'Resposta fetch recebida');
+    }
+
+    // MÉTODO 0: JOB ASSÍNCRONO (submete a pergunta e consulta o status até concluir)
+    private async sendViaJob(question: string, context: any, onProgress: ProgressHandler | undefined, signal: AbortSignal, budget: number): Promise<BotResponse> {
+        const jobsUrl = `${this.baseUrl}/.netlify/functions/chat-job`;
+
+        const submitResponse = await this.postJson(jobsUrl, {
+            question: question,
+            context: this.buildContextPayload(context),
+            conversation: this.conversation,
+            requestId: this.currentRequestId,
+            instanceId: this.instanceId
+        }, signal);
+
+        if (submitResponse.status === 429) {
+            throw this.toRejectionError(await submitResponse.json(), 'Limite de perguntas atingido');
+        }
+
+        if (!submitResponse.ok) {
+            throw new Error(`Job recusado: ${submitResponse.status}`);
+        }
+
+        const { jobId } = await submitResponse.json();
+        onProgress?.({ stage: 'sent' });
+
+        // Uma consulta a cada 1.5 segundo até o prazo da etapa (no máximo o timeout do painel, ~2 minutos)
+        const deadline = this.transportDeadline(budget);
+        const maxAttempts = Math.max(1, Math.floor(deadline / 1500));
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 1500));
+            if (signal?.aborted) throw new TransportCancelledError('Job');
+
+            let job: any;
+            try {
+                const statusResponse = await fetch(`${jobsUrl}?id=${encodeURIComponent(jobId)}`, { signal });
+                job = await statusResponse.json();
+            } catch (error) {
+                if (signal?.aborted) throw new TransportCancelledError('Job');
+                // Em caso de erro, continua tentando
+                continue;
+            }
+
+            if (job.status === 'running') {
+                onProgress?.({ stage: 'typing' });
+            } else if (job.status === 'done') {
+                return this.toBotResponse(job, 'Resposta job recebida');
+            } else if (job.status === 'failed' || job.status === 'unknown') {
+                if (job.conversation) {
+                    this.conversation = job.conversation;
+                }
+                throw new Error(`Job ${job.status === 'failed' ? 'falhou' : 'perdido'}: ${job.error || jobId}`);
+            }
+        }
+
+        throw new Error(`Job timeout após ${deadline / 1000} segundos`);
+    }
+
     // MÉTODO 1: JSONP
-    private async sendViaJSONP(question: string, context: any): Promise<string> {
+    private async sendViaJSONP(question: string, context: any, onProgress: ProgressHandler | undefined, signal: AbortSignal, budget: number): Promise<BotResponse> {
+        const callbackName = 'jsonp_callback_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const params = await this.buildRequestParams(question, context, { callback: callbackName });
+        if (signal?.aborted) throw new TransportCancelledError('JSONP');
+
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
-            const callbackName = 'jsonp_callback_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
             
             const cleanup = () => {
                 if (script.parentNode) {
@@ -94,30 +440,23 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
                 delete (window as any)[callbackName];
             };
 
+            const deadline = this.transportDeadline(budget);
             const timeoutId = setTimeout(() => {
                 cleanup();
-                reject(new Error('JSONP timeout após 15 segundos'));
-            }, 15000);
+                reject(new Error(`JSONP timeout após ${deadline / 1000} segundos`));
+            }, deadline);
 
             (window as any)[callbackName] = (data: any) => {
                 clearTimeout(timeoutId);
                 cleanup();
                 
                 if (data.error) {
-                    reject(new Error(data.answer || 'Erro JSONP'));
+                    reject(this.toRejectionError(data, 'Erro JSONP'));
                 } else {
-                    resolve(data.answer || 'Resposta JSONP recebida');
+                    resolve(this.toBotResponse(data, 'Resposta JSONP recebida'));
                 }
             };
 
-            const params = new URLSearchParams({
-                callback: callbackName,
-                question: question,
-                hasData: context.hasData.toString(),
-                rowCount: context.rowCount.toString(),
-                context: JSON.stringify(context.sampleData || [])
-            });
-
             script.src = `${this.baseUrl}/.netlify/functions/chat-jsonp?${params.toString()}`;
             script.onerror = () => {
                 clearTimeout(timeoutId);
@@ -125,12 +464,21 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
                 reject(new Error('Erro ao carregar script JSONP'));
             };
 
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timeoutId);
+                cleanup();
+                reject(new TransportCancelledError('JSONP'));
+            }, { once: true });
+
             document.head.appendChild(script);
         });
     }
 
     // MÉTODO 2: IFRAME + POSTMESSAGE
-    private async sendViaIframe(question: string, context: any): Promise<string> {
+    private async sendViaIframe(question: string, context: any, onProgress: ProgressHandler | undefined, signal: AbortSignal, budget: number): Promise<BotResponse> {
+        const params = await this.buildRequestParams(question, context);
+        if (signal?.aborted) throw new TransportCancelledError('Iframe');
+
         return new Promise((resolve, reject) => {
             const iframe = document.createElement('iframe');
             iframe.style.display = 'none';
@@ -138,13 +486,14 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
             iframe.style.height = '0';
             iframe.setAttribute('sandbox', 'allow-scripts allow-same-origin');
 
+            const deadline = this.transportDeadline(budget);
             const timeoutId = setTimeout(() => {
                 window.removeEventListener('message', messageHandler);
                 if (iframe.parentNode) {
                     document.body.removeChild(iframe);
                 }
-                reject(new Error('Iframe timeout após 15 segundos'));
-            }, 15000);
+                reject(new Error(`Iframe timeout após ${deadline / 1000} segundos`));
+            }, deadline);
 
             const messageHandler = (event: MessageEvent) => {
                 if (!event.origin.includes(this.baseUrl.replace('https://', ''))) return;
@@ -157,21 +506,14 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
                 }
                 
                 if (event.data.error) {
-                    reject(new Error(event.data.error));
+                    reject(this.toRejectionError(event.data, event.data.error));
                 } else {
-                    resolve(event.data.answer || 'Resposta iframe recebida');
+                    resolve(this.toBotResponse(event.data, 'Resposta iframe recebida'));
                 }
             };
 
             window.addEventListener('message', messageHandler);
 
-            const params = new URLSearchParams({
-                question: question,
-                hasData: context.hasData.toString(),
-                rowCount: context.rowCount.toString(),
-                context: JSON.stringify(context.sampleData || [])
-            });
-
             iframe.src = `${this.baseUrl}/.netlify/functions/chat-iframe?${params.toString()}`;
             iframe.onerror = () => {
                 clearTimeout(timeoutId);
@@ -182,93 +524,127 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
                 reject(new Error('Erro ao carregar iframe'));
             };
 
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timeoutId);
+                window.removeEventListener('message', messageHandler);
+                if (iframe.parentNode) {
+                    document.body.removeChild(iframe);
+                }
+                reject(new TransportCancelledError('Iframe'));
+            }, { once: true });
+
             document.body.appendChild(iframe);
         });
     }
 
-    // MÉTODO 3: SERVER-SENT EVENTS
-    private async sendViaSSE(question: string, context: any): Promise<string> {
-        return new Promise((resolve, reject) => {
-            const params = new URLSearchParams({
-                question: question,
-                hasData: context.hasData.toString(),
-                rowCount: context.rowCount.toString(),
-                context: JSON.stringify(context.sampleData || [])
-            });
+    // MÉTODO 3: SERVER-SENT EVENTS (streaming: connected → sent → typing/partial → done)
+    private async sendViaSSE(question: string, context: any, onProgress: ProgressHandler | undefined, signal: AbortSignal, budget: number): Promise<BotResponse> {
+        const params = await this.buildRequestParams(question, context);
+        if (signal?.aborted) throw new TransportCancelledError('SSE');
 
+        return new Promise((resolve, reject) => {
             const eventSource = new EventSource(
                 `${this.baseUrl}/.netlify/functions/chat-sse?${params.toString()}`
             );
 
-            const timeoutId = setTimeout(() => {
+            let timeoutId: ReturnType<typeof setTimeout>;
+            const finish = () => {
+                clearTimeout(timeoutId);
                 eventSource.close();
-                reject(new Error('SSE timeout após 15 segundos'));
-            }, 15000);
+            };
 
-            eventSource.onmessage = (event) => {
+            // Cada evento de progresso renova o prazo: só desiste se o stream ficar mudo
+            const deadline = this.transportDeadline(budget);
+            const armTimeout = () => {
                 clearTimeout(timeoutId);
+                timeoutId = setTimeout(() => {
+                    eventSource.close();
+                    reject(new Error(`SSE timeout após ${deadline / 1000} segundos`));
+                }, deadline);
+            };
+            armTimeout();
+
+            const progressListener = (stage: ProgressUpdate['stage']) => (event: MessageEvent) => {
+                armTimeout();
+                try {
+                    const data = JSON.parse(event.data);
+                    onProgress?.({ stage, text: data.text });
+                } catch (e) {
+                    onProgress?.({ stage });
+                }
+            };
+
+            eventSource.addEventListener('connected', progressListener('connected'));
+            eventSource.addEventListener('sent', progressListener('sent'));
+            eventSource.addEventListener('typing', progressListener('typing'));
+            eventSource.addEventListener('partial', progressListener('partial'));
+
+            eventSource.addEventListener('done', (event: MessageEvent) => {
+                finish();
                 
                 try {
                     const data = JSON.parse(event.data);
-                    eventSource.close();
                     
                     if (data.error) {
-                        reject(new Error(data.answer || 'Erro SSE'));
+                        reject(this.toRejectionError(data, 'Erro SSE'));
                     } else {
-                        resolve(data.answer || 'Resposta SSE recebida');
+                        resolve(this.toBotResponse(data, 'Resposta SSE recebida'));
                     }
                 } catch (e) {
-                    eventSource.close();
                     reject(new Error('Erro ao parsear resposta SSE'));
                 }
-            };
+            });
 
             eventSource.onerror = () => {
-                clearTimeout(timeoutId);
-                eventSource.close();
+                finish();
                 reject(new Error('Erro de conexão SSE'));
             };
+
+            signal?.addEventListener('abort', () => {
+                finish();
+                reject(new TransportCancelledError('SSE'));
+            }, { once: true });
         });
     }
 
     // MÉTODO 4: PIXEL TRACKING + POLLING
-    private async sendViaPixel(question: string, context: any): Promise<string> {
+    private async sendViaPixel(question: string, context: any, onProgress: ProgressHandler | undefined, signal: AbortSignal, budget: number): Promise<BotResponse> {
         const sessionId = 'pbi_pixel_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const params = await this.buildRequestParams(question, context, { session: sessionId });
+        if (signal?.aborted) throw new TransportCancelledError('Pixel');
         
         return new Promise((resolve, reject) => {
             // Carrega pixel para iniciar processamento
             const img = new Image();
-            const params = new URLSearchParams({
-                session: sessionId,
-                question: question,
-                hasData: context.hasData.toString(),
-                rowCount: context.rowCount.toString(),
-                context: JSON.stringify(context.sampleData || [])
-            });
 
             img.src = `${this.baseUrl}/.netlify/functions/chat-pixel?${params.toString()}`;
 
-            // Polling para verificar resposta
+            // Polling para verificar resposta (1 tentativa por segundo depois dos 2 segundos iniciais)
             let attempts = 0;
-            const maxAttempts = 15; // 15 tentativas x 1 segundo = 15 segundos
+            const deadline = this.transportDeadline(budget);
+            const maxAttempts = Math.max(1, Math.floor((deadline - 2000) / 1000));
 
             const checkResponse = async () => {
+                if (signal?.aborted) {
+                    reject(new TransportCancelledError('Pixel'));
+                    return;
+                }
                 attempts++;
                 
                 if (attempts > maxAttempts) {
-                    reject(new Error('Pixel timeout após 15 segundos'));
+                    reject(new Error(`Pixel timeout após ${deadline / 1000} segundos`));
                     return;
                 }
 
                 try {
-                    const response = await fetch(`${this.baseUrl}/.netlify/functions/storage-bridge?session=${sessionId}`);
+                    const response = await fetch(`${this.baseUrl}/.netlify/functions/storage-bridge?session=${sessionId}`, { signal });
                     const data = await response.json();
                     
                     if (data.found && data.data) {
                         if (data.data.error) {
-                            reject(new Error(data.data.answer || 'Erro pixel'));
+                            reject(this.toRejectionError(data.data, 'Erro pixel'));
                         } else {
-                            resolve(data.data.answer || 'Resposta pixel recebida');
+                            resolve(this.toBotResponse(data.data, 'Resposta pixel recebida'));
                         }
                     } else {
                         // Continua polling
@@ -285,43 +661,378 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
         });
     }
 
+    // Prazo interno: 1 segundo antes do limite geral, para o transporte limpar script/iframe/stream
+    // e falhar com a própria mensagem em vez do "Timeout geral"
+    private transportDeadline(budget: number): number {
+        return Math.max(1000, budget - 1000);
+    }
+
+    // PARÂMETROS DOS TRANSPORTES GET: pergunta, contexto (por ID), assinatura e cliente
+    // (sem o token da conversa: na URL ele vazaria em logs; GET sempre abre conversa nova)
+    private async buildRequestParams(question: string, context: any, extra: Record<string, string> = {}): Promise<URLSearchParams> {
+        const params = new URLSearchParams({
+            ...extra,
+            question: question,
+            hasData: context.hasData.toString(),
+            rowCount: context.rowCount.toString()
+        });
+
+        const contextId = await this.ensureContextUploaded(context);
+        if (contextId) {
+            params.set('contextId', contextId);
+        } else {
+            // Upload indisponível: volta ao contexto na URL (sujeito ao limite de tamanho)
+            params.set('context', JSON.stringify(this.buildContextPayload(context, false)));
+        }
+
+        // Assinatura por último: cobre todos os parâmetros acima
+        this.appendClientParams(params);
+        this.appendSignatureParams(params, await this.signRequest(canonicalQuery(params)));
+
+        return params;
+    }
+
+    // UPLOAD ÚNICO DO CONTEXTO (reaproveitado por todas as perguntas até os dados mudarem)
+    // Redimensionar ou mexer na formatação dispara update sem mudar os dados: o upload continua valendo
+    private ensureContextUploaded(context: any): Promise<string | null> {
+        if (!context.hasData) return Promise.resolve(null);
+
+        const signature = JSON.stringify({ rowCount: context.rowCount, partial: context.partial, profile: context.profile });
+        const upload = this.contextUpload;
+        if (upload && upload.signature === signature && Date.now() - upload.uploadedAt < Visual.CONTEXT_REUPLOAD_MS) {
+            return upload.contextId;
+        }
+
+        const contextId = (async () => {
+            try {
+                const response = await this.postJson(`${this.baseUrl}/.netlify/functions/chat-context`, {
+                    context: this.buildContextPayload(context),
+                    instanceId: this.instanceId
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                const data = await response.json();
+                return data.contextId || null;
+            } catch (error) {
+                console.warn('⚠️ Upload do contexto falhou:', error.message);
+                this.contextUpload = null;
+                return null;
+            }
+        })();
+
+        this.contextUpload = { contextId, uploadedAt: Date.now(), signature };
+        return contextId;
+    }
+
+    // CONTEXTO ENVIADO AO BACKEND: todas as linhas (agregações reais) + amostra espaçada (prompt) + perfil
+    // allRows = false na URL; só a amostra também quando o JSON passaria do limite de corpo do servidor
+    private buildContextPayload(context: any, allRows: boolean = true): any {
+        const sample = context.sampleData || [];
+        const payload = {
+            rows: sample,
+            sample,
+            profile: context.profile,
+            rowCount: context.rowCount,
+            partial: context.partial
+        };
+
+        if (allRows && Array.isArray(context.rows) && context.rows.length > sample.length) {
+            const full = { ...payload, rows: context.rows };
+            if (new TextEncoder().encode(JSON.stringify(full)).length <= Visual.MAX_CONTEXT_BYTES) return full;
+            console.warn('⚠️ Contexto completo passa do limite do servidor: enviando só a amostra');
+        }
+
+        return payload;
+    }
+
+    // POST JSON compactado com gzip quando o navegador suporta CompressionStream
+    // A assinatura cobre o JSON inteiro (antes da compactação)
+    private async postJson(url: string, payload: any, signal?: AbortSignal): Promise<Response> {
+        const json = JSON.stringify(payload);
+        const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+
+        const signature = await this.signRequest(json);
+        if (signature) {
+            headers['X-Signature-Timestamp'] = signature.ts;
+            headers['X-Signature-Nonce'] = signature.nonce;
+            headers['X-Signature'] = signature.sig;
+        }
+
+        let body: BodyInit = json;
+        if (json.length > Visual.COMPRESSION_THRESHOLD && typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+            body = await new Response(stream).blob();
+            headers['Content-Encoding'] = 'gzip';
+        }
+
+        return fetch(url, { method: 'POST', headers, body, signal });
+    }
+
+    // ASSINATURA HMAC-SHA256 de `${ts}.${nonce}.${payload}` (a função confere com REQUEST_SIGNING_KEY)
+    // O nonce é de uso único: o servidor recusa a mesma assinatura uma segunda vez
+    private async signRequest(payload: string): Promise<RequestSignature | null> {
+        if (!this.signingKey || !window.crypto?.subtle) return null;
+
+        const encoder = new TextEncoder();
+        const ts = Date.now().toString();
+        const nonce = toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+
+        const key = await window.crypto.subtle.importKey(
+            'raw',
+            encoder.encode(this.signingKey),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const digest = await window.crypto.subtle.sign('HMAC', key, encoder.encode(`${ts}.${nonce}.${payload}`));
+
+        return { ts, nonce, sig: toHex(new Uint8Array(digest)) };
+    }
+
+    private appendSignatureParams(params: URLSearchParams, signature: RequestSignature | null) {
+        if (!signature) return;
+
+        params.set('ts', signature.ts);
+        params.set('nonce', signature.nonce);
+        params.set('sig', signature.sig);
+    }
+
+    // RATE LIMITING: mesmo requestId em todos os transportes da pergunta (a cota é por IP + instância)
+    private appendClientParams(params: URLSearchParams) {
+        if (this.currentRequestId) params.set('requestId', this.currentRequestId);
+        params.set('instanceId', this.instanceId);
+    }
+
+    private toRejectionError(data: any, defaultMessage: string): Error {
+        if (data?.method === 'RATE_LIMITED' || data?.code === 'RATE_LIMITED') {
+            return new RateLimitError(data.answer || data.error || defaultMessage, data.retryAfter);
+        }
+        return new Error(data?.answer || defaultMessage);
+    }
+
+    private toBotResponse(data: any, defaultAnswer: string): BotResponse {
+        const attachments: CardAttachment[] = Array.isArray(data.attachments)
+            ? data.attachments.filter((a: any) => a?.contentType === ADAPTIVE_CARD_TYPE && a.content)
+            : [];
+        const suggestedActions: SuggestedAction[] = Array.isArray(data.suggestedActions)
+            ? data.suggestedActions.filter((a: any) => a && typeof a.title === 'string' && typeof a.value === 'string')
+            : [];
+
+        return {
+            // Resposta só com card não tem texto: nada de mensagem padrão por cima do card
+            answer: data.answer || (attachments.length > 0 ? '' : defaultAnswer),
+            method: data.method,
+            conversation: data.conversation || null,
+            chart: data.chart && Array.isArray(data.chart.data) ? data.chart : null,
+            attachments,
+            suggestedActions
+        };
+    }
+
     // SISTEMA DE FALLBACK INTELIGENTE
-    private async sendMessageWithFallback(question: string): Promise<string> {
-        const enabledMethods = this.communicationMethods
-            .filter(m => m.enabled)
+    // sequential: um transporte por vez, dentro do orçamento total
+    // race: todos ao mesmo tempo, o primeiro que responder vence e os outros são cancelados
+    // sticky: começa pelo último que funcionou e segue a ordem se ele falhar
+    private async sendMessageWithFallback(question: string, onProgress?: ProgressHandler): Promise<BotResponse> {
+        const strategy = (this.settings.connection.strategy.value?.value || 'sequential') as TransportStrategy;
+        const configured = this.communicationMethods
+            .filter(m => m.configured)
             .sort((a, b) => a.priority - b.priority);
 
-        let lastError: Error | null = null;
+        // Circuitos abertos ficam de fora; se todos estiverem abertos, tenta todos mesmo assim
+        const available = configured.filter(m => this.health.isAvailable(m.name));
+        const ranked = this.health.rank((available.length > 0 ? available : configured).map(m => m.name));
+        let methods = ranked.map(name => configured.find(m => m.name === name));
+
+        if (strategy === 'sticky' && this.lastUsedMethod) {
+            methods = [
+                ...methods.filter(m => m.name === this.lastUsedMethod),
+                ...methods.filter(m => m.name !== this.lastUsedMethod)
+            ];
+        }
+
+        if (methods.length === 0) {
+            this.updateMethodStatus('❌ Nenhum transporte disponível');
+            throw new Error('Nenhum transporte habilitado no painel');
+        }
+
+        this.currentRequestId = Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+        const attempts: TransportAttempt[] = [];
+
+        // Só um transporte por vez alimenta a bolha ao vivo; depois da resposta, nenhum
+        // (progresso atrasado de um perdedor não reescreve a mensagem final)
+        let settled = false;
+        let owner: string | null = null;
+        const progressFor = (name: string): ProgressHandler => update => {
+            if (settled || !onProgress) return;
+            if (!owner) owner = name;
+            if (owner === name) onProgress(update);
+        };
+        const claim = (name: string) => { owner = name; };
+
+        try {
+            // Corrida só entre os primeiros transportes síncronos; se os dois falharem, o resto segue em sequência
+            const racers = strategy === 'race'
+                ? methods.filter(m => m.name !== 'Job').slice(0, Visual.MAX_RACE_ENTRANTS)
+                : [];
+            const rest = methods.filter(m => !racers.includes(m));
+
+            const { method, result } = racers.length > 1
+                ? await this.raceTransports(racers, question, progressFor, attempts).catch(error => {
+                    if (error instanceof RateLimitError || rest.length === 0) throw error;
+                    return this.runSequentially(rest, question, progressFor, claim, attempts);
+                })
+                : await this.runSequentially(methods, question, progressFor, claim, attempts);
+
+            // Só os transportes POST levam a conversa; os GET respondem numa conversa avulsa
+            // que não pode substituir a do usuário
+            if (result.conversation && Visual.CONVERSATION_TRANSPORTS.includes(method.name)) {
+                this.conversation = result.conversation;
+            }
+
+            this.lastUsedMethod = method.name;
+            this.updateMethodStatus(`✅ Conectado via ${method.name}`);
+
+            return { ...result, attempts: [...attempts] };
+        } catch (error) {
+            // Cota esgotada vale para todos os transportes: avisa o usuário em vez de seguir
+            if (error instanceof RateLimitError) {
+                this.updateMethodStatus('🚦 Limite de perguntas atingido');
+                throw error;
+            }
+
+            this.updateMethodStatus('❌ Todos os métodos falharam');
+            throw new Error(`Comunicação falhou. Último erro: ${error?.message}`);
+        } finally {
+            settled = true;
+        }
+    }
+
+    // Cada etapa recebe o timeout do transporte, limitado ao que resta do orçamento total menos
+    // MIN_STEP_MS por transporte seguinte: um transporte lento não consome a vez dos outros
+    private async runSequentially(
+        methods: CommunicationMethod[],
+        question: string,
+        progressFor: (name: string) => ProgressHandler,
+        claim: (name: string) => void,
+        attempts: TransportAttempt[]
+    ): Promise<{ method: CommunicationMethod; result: BotResponse }> {
+        const deadline = Date.now() + this.settings.connection.totalTimeout.value * 1000;
+        let lastError: Error = new Error('Orçamento total esgotado');
+
+        for (let i = 0; i < methods.length; i++) {
+            const method = methods[i];
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) break;
+
+            const reserved = (methods.length - i - 1) * Visual.MIN_STEP_MS;
+            const budget = Math.min(method.timeout, remaining, Math.max(Visual.MIN_STEP_MS, remaining - reserved));
 
-        for (const method of enabledMethods) {
             try {
                 this.updateMethodStatus(`Tentando ${method.name}...`);
-                
-                const result = await Promise.race([
-                    method.func(question, this.dataContext),
-                    new Promise<string>((_, reject) => 
-                        setTimeout(() => reject(new Error('Timeout geral')), 16000)
-                    )
-                ]);
-
-                this.lastUsedMethod = method.name;
-                this.updateMethodStatus(`✅ Conectado via ${method.name}`);
-                
-                return result;
+                claim(method.name);
+                const result = await this.runTransport(method, question, progressFor(method.name), budget, attempts);
+                return { method, result };
             } catch (error) {
+                if (error instanceof RateLimitError) throw error;
+
                 console.warn(`❌ Método ${method.name} falhou:`, error.message);
                 lastError = error as Error;
-                
-                // Desabilita método que falhou por 30 segundos
-                method.enabled = false;
-                setTimeout(() => {
-                    method.enabled = true;
-                }, 30000);
             }
         }
 
-        this.updateMethodStatus('❌ Todos os métodos falharam');
-        throw new Error(`Comunicação falhou. Último erro: ${lastError?.message}`);
+        throw lastError;
+    }
+
+    // Corrida: a primeira resposta vence; perdedores são cancelados e não contam como falha.
+    // O cancelamento é só no navegador: no servidor cada entrante é uma chamada ao Copilot (e conta na cota).
+    // Por isso no máximo MAX_RACE_ENTRANTS e nunca o Job, cujo polling no servidor dura até 2 minutos.
+    // Só o Fetch leva a conversa. Os transportes GET respondem numa conversa avulsa, sem o histórico
+    // das perguntas anteriores: a resposta deles não substitui a conversa do usuário.
+    private raceTransports(
+        methods: CommunicationMethod[],
+        question: string,
+        progressFor: (name: string) => ProgressHandler,
+        attempts: TransportAttempt[]
+    ): Promise<{ method: CommunicationMethod; result: BotResponse }> {
+        const race = new AbortController();
+        this.updateMethodStatus(`Corrida: ${methods.map(m => m.name).join(', ')}...`);
+
+        return new Promise((resolve, reject) => {
+            let pending = methods.length;
+
+            methods.forEach(method => {
+                this.runTransport(method, question, progressFor(method.name), method.timeout, attempts, race.signal)
+                    .then(result => {
+                        if (race.signal.aborted) return;
+                        race.abort();
+                        resolve({ method, result });
+                    })
+                    .catch(error => {
+                        if (race.signal.aborted) return;
+
+                        if (error instanceof RateLimitError) {
+                            race.abort();
+                            reject(error);
+                            return;
+                        }
+
+                        console.warn(`❌ Método ${method.name} falhou:`, error.message);
+                        if (--pending === 0) reject(error);
+                    });
+            });
+        });
+    }
+
+    // Uma tentativa com prazo; ao terminar (ou se a corrida acabar) o transporte é cancelado.
+    // O resultado alimenta o circuit breaker, exceto cancelamento, cota e prazo encurtado pelo
+    // orçamento total que acabou (não dizem nada do transporte)
+    private async runTransport(
+        method: CommunicationMethod,
+        question: string,
+        onProgress: ProgressHandler,
+        budget: number,
+        attempts: TransportAttempt[],
+        raceSignal?: AbortSignal
+    ): Promise<BotResponse> {
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        raceSignal?.addEventListener('abort', cancel, { once: true });
+
+        const startedAt = Date.now();
+        let timeoutId: ReturnType<typeof setTimeout>;
+        this.health.begin(method.name);
+
+        try {
+            const result = await Promise.race([
+                method.func(question, this.dataContext, onProgress, controller.signal, budget),
+                new Promise<BotResponse>((_, reject) => {
+                    timeoutId = setTimeout(() => reject(new Error('Timeout geral')), budget);
+                })
+            ]);
+            const ms = Date.now() - startedAt;
+            attempts.push({ name: method.name, ok: true, ms });
+            this.health.recordSuccess(method.name, ms);
+            return result;
+        } catch (error) {
+            const elapsed = Date.now() - startedAt;
+            attempts.push({ name: method.name, ok: false, ms: elapsed, error: error.message });
+
+            // Estourou um prazo menor que o timeout do próprio transporte: faltou orçamento, não transporte
+            const budgetExhausted = budget < method.timeout && elapsed >= this.transportDeadline(budget);
+
+            if (error instanceof TransportCancelledError || error instanceof RateLimitError || raceSignal?.aborted || budgetExhausted) {
+                this.health.release(method.name);
+            } else {
+                this.health.recordFailure(method.name, error.message);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            raceSignal?.removeEventListener('abort', cancel);
+            // Script, iframe, stream ou polling que ainda estiverem abertos
+            controller.abort();
+        }
     }
 
     private createAdvancedChatInterface(): HTMLElement {
@@ -332,25 +1043,31 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
             <div class="chat-header-pro">
                 <div class="header-title">
                     <span class="bot-icon">🤖</span>
-                    <span>Assistente BI Pro</span>
+                    <span id="botName">Assistente BI Pro</span>
                 </div>
                 <div class="status-indicators">
+                    <span id="healthStatus" class="health-status unknown">⚪ Verificando...</span>
                     <span id="dataStatus" class="data-status">Sem dados</span>
                     <span id="methodStatus" class="method-status">Inicializando...</span>
                 </div>
+                <div class="history-actions">
+                    <button id="exportHistory" class="history-button" title="Exportar conversa">⬇️</button>
+                    <div id="exportMenu" class="export-menu" hidden>
+                        <button data-format="markdown">Markdown</button>
+                        <button data-format="json">JSON</button>
+                        <button data-format="csv">CSV</button>
+                    </div>
+                    <button id="clearHistory" class="history-button" title="Limpar conversa">🗑️</button>
+                </div>
             </div>
             <div id="chatMessages" class="chat-messages-pro">
-                <div class="chat-message bot">
-                    <div class="message-content">
-                        <strong>🚀 Sistema Multi-Método Iniciado!</strong><br>
-                        Olá! Sou seu assistente de BI com conexão redundante ao Copilot Studio.<br>
-                        <em>Métodos disponíveis: JSONP, Iframe, SSE, Pixel Tracking</em>
-                    </div>
+                <div class="chat-message bot welcome">
+                    <div class="message-content"></div>
                     <div class="message-time">${new Date().toLocaleTimeString()}</div>
                 </div>
             </div>
             <div class="chat-input-area-pro">
-                <input type="text" id="chatInput" placeholder="Ex: Qual o total de vendas por médico?" />
+                <input type="text" id="chatInput" />
                 <button id="sendButton" class="send-button-pro" title="Enviar">
                     <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
                         <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>
@@ -363,27 +1080,61 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
         const button = container.querySelector('#sendButton') as HTMLButtonElement;
         const messagesContainer = container.querySelector('#chatMessages') as HTMLElement;
 
-        const handleSendMessage = async () => {
-            const message = input.value.trim();
-            if (!message) return;
+        // Sem argumento, envia o campo de texto; com argumento, a ação sugerida/card escolhida
+        const handleSendMessage = async (question?: string) => {
+            const message = (question ?? input.value).trim();
+            if (!message || button.disabled) return;
 
             this.addMessageToChat(messagesContainer, message, 'user');
+            this.history.add({ role: 'user', text: message });
             input.value = '';
             this.setLoadingState(true);
 
+            // Bolha "ao vivo" alimentada pelos transportes com streaming
+            let liveMessage: HTMLElement | null = null;
+            const onProgress = (update: ProgressUpdate) => {
+                if (!liveMessage) {
+                    liveMessage = this.addMessageToChat(messagesContainer, '', 'bot');
+                    liveMessage.classList.add('streaming');
+                }
+                this.updateLiveMessage(liveMessage, update);
+            };
+
             try {
-                const response = await this.sendMessageWithFallback(message);
-                this.addMessageToChat(messagesContainer, response, 'bot');
+                const response = await this.sendMessageWithFallback(message, onProgress);
+                const extras: BotResponse = { ...response, chart: response.chart || this.buildLocalChart(message) };
+
+                if (liveMessage) {
+                    liveMessage.classList.remove('streaming');
+                    this.renderBotContent(liveMessage.querySelector('.message-content') as HTMLElement, response.answer);
+                    this.decorateBotMessage(liveMessage, extras);
+                } else {
+                    this.addMessageToChat(messagesContainer, response.answer, 'bot', false, extras);
+                }
+
+                // Gráfico local não é salvo: vem das linhas carregadas, que podem ser grandes
+                this.history.add({
+                    role: 'bot',
+                    text: response.answer,
+                    method: response.method || this.lastUsedMethod,
+                    chart: response.chart,
+                    attachments: response.attachments,
+                    data: this.snapshotData()
+                });
             } catch (error) {
-                const errorMsg = `Erro de comunicação: ${error.message}\n\nDados disponíveis: ${this.dataContext.hasData ? `${this.dataContext.rowCount} registros` : 'Nenhum dado carregado'}`;
+                liveMessage?.remove();
+                const errorMsg = error instanceof RateLimitError
+                    ? error.message
+                    : `Erro de comunicação: ${error.message}\n\nDados disponíveis: ${this.dataContext.hasData ? `${this.dataContext.rowCount} registros` : 'Nenhum dado carregado'}`;
                 this.addMessageToChat(messagesContainer, errorMsg, 'bot', true);
+                this.history.add({ role: 'bot', text: errorMsg, isError: true, data: this.snapshotData() });
             }
             
             this.setLoadingState(false);
             input.focus();
         };
 
-        button.addEventListener('click', handleSendMessage);
+        button.addEventListener('click', () => handleSendMessage());
         input.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
@@ -391,10 +1142,33 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
             }
         });
 
+        const exportButton = container.querySelector('#exportHistory') as HTMLButtonElement;
+        const exportMenu = container.querySelector('#exportMenu') as HTMLElement;
+        exportButton.addEventListener('click', () => {
+            exportMenu.hidden = !exportMenu.hidden;
+        });
+        exportMenu.querySelectorAll<HTMLButtonElement>('button[data-format]').forEach(option => {
+            option.addEventListener('click', () => {
+                exportMenu.hidden = true;
+                this.exportHistory(option.dataset.format as ExportFormat);
+            });
+        });
+        container.querySelector('#clearHistory').addEventListener('click', () => this.clearHistory());
+
+        this.cardHandlers = {
+            // Pergunta em andamento: o clique não é aceito e os botões continuam lá
+            onSubmit: text => {
+                if (button.disabled) return false;
+                handleSendMessage(text);
+                return true;
+            },
+            onOpenUrl: url => this.host.launchUrl(url)
+        };
+
         return container;
     }
 
-    private addMessageToChat(container: HTMLElement, message: string, type: 'user' | 'bot', isError: boolean = false) {
+    private addMessageToChat(container: HTMLElement, message: string, type: 'user' | 'bot', isError: boolean = false, response?: BotResponse): HTMLElement {
         const messageDiv = document.createElement('div');
         messageDiv.className = `chat-message ${type} ${isError ? 'error' : ''}`;
         
@@ -402,8 +1176,7 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
         contentDiv.className = 'message-content';
         
         if (type === 'bot' && !isError) {
-            // Formatação especial para respostas do bot
-            contentDiv.innerHTML = message.replace(/\n/g, '<br>');
+            this.renderBotContent(contentDiv, message);
         } else {
             contentDiv.textContent = message;
         }
@@ -415,15 +1188,294 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
         messageDiv.appendChild(contentDiv);
         messageDiv.appendChild(timeDiv);
         container.appendChild(messageDiv);
+
+        // Depois de anexar: o gráfico usa a largura real da bolha
+        if (type === 'bot' && !isError) {
+            this.decorateBotMessage(messageDiv, response || { answer: message });
+        }
+
         container.scrollTop = container.scrollHeight;
+
+        return messageDiv;
     }
 
-    private updateDataStatusMessage() {
+    // HISTÓRICO: o Power BI recria o visual e o chat volta como estava
+    private async restoreHistory() {
+        const entries = await this.history.load();
+        const messagesContainer = this.chatContainer.querySelector('#chatMessages') as HTMLElement;
+        // Mensagens enviadas durante a leitura já estão na tela
+        const pending = messagesContainer.querySelectorAll('.chat-message:not(.welcome)').length;
+
+        entries.slice(0, entries.length - pending).forEach(entry => {
+            const messageDiv = this.addMessageToChat(
+                messagesContainer,
+                entry.text,
+                entry.role,
+                !!entry.isError,
+                entry.role === 'bot' ? { answer: entry.text, chart: entry.chart, attachments: entry.attachments } : undefined
+            );
+            messageDiv.classList.add('restored');
+            messagesContainer.insertBefore(messageDiv, messagesContainer.querySelector('.chat-message:not(.welcome):not(.restored)'));
+            messageDiv.querySelector('.message-time').textContent = new Date(entry.timestamp).toLocaleTimeString();
+        });
+
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    private async clearHistory() {
+        await this.history.clear();
+        this.chatContainer.querySelectorAll('#chatMessages .chat-message:not(.welcome)').forEach(message => message.remove());
+        this.renderWelcome(true);
+    }
+
+    private async exportHistory(format: ExportFormat) {
+        const messagesContainer = this.chatContainer.querySelector('#chatMessages') as HTMLElement;
+
+        try {
+            if (!await this.history.export(format)) {
+                this.addMessageToChat(messagesContainer, '⚠️ Exportação indisponível: o administrador ou este ambiente do Power BI não permite downloads de visuais.', 'bot', true);
+            }
+        } catch (error) {
+            this.addMessageToChat(messagesContainer, `⚠️ Falha ao exportar a conversa: ${error.message}`, 'bot', true);
+        }
+    }
+
+    // Resumo dos dados no momento da resposta (vai junto na exportação)
+    private snapshotData(): DataSnapshot {
+        const active = this.crossFilter.getActive();
+        return {
+            rowCount: this.dataContext.rowCount,
+            columns: (this.dataContext.columns || []).map((column: any) => column.name),
+            partial: !!this.dataContext.partial,
+            filter: active ? `${active.column} = ${active.label}` : undefined
+        };
+    }
+
+    // Filtros, cards, gráfico e ações sugeridas abaixo do texto da resposta
+    private decorateBotMessage(messageDiv: HTMLElement, response: BotResponse) {
+        this.renderFilterChips(messageDiv, response.answer);
+        if (response.attachments?.length) this.renderMessageCards(messageDiv, response.attachments);
+        if (response.chart) this.renderMessageChart(messageDiv, response.chart);
+
+        const actions = renderSuggestedActions(response.suggestedActions, this.cardHandlers);
+        if (actions) messageDiv.insertBefore(actions, messageDiv.querySelector('.message-time'));
+
+        if (this.debugMode && response.attempts?.length) {
+            const debug = document.createElement('div');
+            debug.className = 'message-debug';
+            debug.textContent = '🔍 ' + response.attempts
+                .map(a => `${a.name} ${a.ok ? '✓' : `✗ ${a.error}`} (${(a.ms / 1000).toFixed(1)}s)`)
+                .join(' → ');
+            messageDiv.appendChild(debug);
+        }
+    }
+
+    // ADAPTIVE CARDS DO COPILOT STUDIO (resposta só com card esconde a bolha de texto vazia)
+    private renderMessageCards(messageDiv: HTMLElement, attachments: CardAttachment[]) {
+        const cards = attachments
+            .map(attachment => renderAdaptiveCard(attachment.content, this.cardHandlers))
+            .filter(Boolean);
+        if (cards.length === 0) return;
+
+        const cardsDiv = document.createElement('div');
+        cardsDiv.className = 'message-cards';
+        cards.forEach(card => cardsDiv.appendChild(card));
+
+        messageDiv.classList.add('has-cards');
+        const contentDiv = messageDiv.querySelector('.message-content');
+        if (contentDiv && !contentDiv.textContent.trim()) messageDiv.classList.add('card-only');
+        messageDiv.insertBefore(cardsDiv, messageDiv.querySelector('.message-time'));
+    }
+
+    // Tema do gráfico acompanha a aparência do chat; o gradiente usa a paleta do Power BI
+    private chartTheme(): ChartConfig['theme'] {
+        const theme = this.settings.appearance.theme.value?.value;
+        return theme === 'light' || theme === 'dark' ? theme : 'powerbi';
+    }
+
+    // GRÁFICO INLINE NA BOLHA (sem tipo na especificação, o gerador escolhe pelos dados)
+    private renderMessageChart(messageDiv: HTMLElement, chart: ChartSpec) {
+        const chartDiv = document.createElement('div');
+        chartDiv.className = 'message-chart';
+        messageDiv.classList.add('has-chart');
+        messageDiv.insertBefore(chartDiv, messageDiv.querySelector('.message-time'));
+
+        const generator = new IntelligentChartGenerator(chartDiv);
+        const config: ChartConfig = chart.type
+            ? { type: chart.type, data: chart.data, theme: 'powerbi', animation: true, interactive: true }
+            : generator.analyzeDataAndSuggestChart(chart.data);
+
+        generator.generateChart({
+            ...config,
+            theme: this.chartTheme(),
+            title: chart.title,
+            xField: chart.xField || config.xField,
+            yField: chart.yField || config.yField,
+            onSelect: (field, value) => this.toggleFilter(field, value)
+        })
+            .then(() => {
+                const container = messageDiv.parentElement;
+                if (container) container.scrollTop = container.scrollHeight;
+            })
+            .catch(error => {
+                console.warn('⚠️ Falha ao desenhar gráfico:', error.message);
+                chartDiv.remove();
+                messageDiv.classList.remove('has-chart');
+            });
+    }
+
+    // FILTRO CRUZADO: categorias citadas na resposta viram botões que filtram o relatório
+    private renderFilterChips(messageDiv: HTMLElement, message: string) {
+        const mentions = this.crossFilter.findMentions(message);
+        if (mentions.length === 0) return;
+
+        const chips = document.createElement('div');
+        chips.className = 'filter-chips';
+
+        const label = document.createElement('span');
+        label.className = 'filter-chips-label';
+        label.textContent = '🔎 Filtrar relatório:';
+        chips.appendChild(label);
+
+        mentions.forEach(mention => {
+            const chip = document.createElement('button');
+            chip.className = 'filter-chip';
+            chip.textContent = mention.label;
+            chip.title = `${mention.column} = ${mention.label}`;
+            chip.dataset.column = mention.column;
+            chip.dataset.key = mention.key;
+            chip.addEventListener('click', () => this.toggleFilter(mention.column, mention.value));
+            chips.appendChild(chip);
+        });
+
+        messageDiv.insertBefore(chips, messageDiv.querySelector('.message-time'));
+        this.refreshFilterChips();
+    }
+
+    // Clique na categoria já filtrada limpa o filtro
+    private async toggleFilter(column: string, value: powerbi.PrimitiveValue) {
+        try {
+            if (this.crossFilter.isActive(column, value)) {
+                await this.crossFilter.clear();
+            } else if (!await this.crossFilter.apply(column, value)) {
+                return;
+            }
+        } catch (error) {
+            console.warn('⚠️ Falha ao filtrar o relatório:', error.message);
+        }
+
+        this.refreshFilterChips();
+    }
+
+    private refreshFilterChips() {
+        this.chatContainer?.querySelectorAll<HTMLElement>('.filter-chip').forEach(chip => {
+            chip.classList.toggle('active', this.crossFilter.isActive(chip.dataset.column, chip.dataset.key));
+        });
+    }
+
+    // ANÁLISE LOCAL: pergunta pede gráfico e a resposta não trouxe um → desenha das linhas carregadas
+    private buildLocalChart(question: string): ChartSpec | null {
+        const q = question.toLowerCase();
+        if (!this.dataContext.hasData || !/gr[aá]fico|chart|plot|visualiz/.test(q)) return null;
+
+        const requestedTypes: Array<[RegExp, ChartSpec['type']]> = [
+            [/pizza|rosca|pie|donut/, 'pie'],
+            [/linha|tend[eê]ncia|evolu[cç][aã]o|line|trend/, 'line'],
+            [/dispers[aã]o|scatter|correla/, 'scatter'],
+            [/barra|coluna|bar/, 'bar']
+        ];
+        const requested = requestedTypes.find(([pattern]) => pattern.test(q));
+
+        return {
+            type: requested ? requested[1] : undefined,
+            data: this.dataContext.rows.length > 0 ? this.dataContext.rows : this.dataContext.sampleData
+        };
+    }
+
+    // Markdown seguro: texto do Copilot e dos dados nunca vira HTML
+    private renderBotContent(contentDiv: HTMLElement, message: string) {
+        contentDiv.replaceChildren(renderMarkdown(message, {
+            onLink: url => this.host.launchUrl(url)
+        }));
+    }
+
+    // Atualiza a bolha em streaming conforme os eventos chegam
+    private updateLiveMessage(messageDiv: HTMLElement, update: ProgressUpdate) {
+        const contentDiv = messageDiv.querySelector('.message-content') as HTMLElement;
+        const stageLabels = {
+            connected: '📡 Conectado, enviando pergunta...',
+            sent: '✉️ Pergunta enviada ao Copilot...',
+            typing: '✍️ Copilot está digitando...',
+            partial: ''
+        };
+
+        if (update.text) {
+            this.renderBotContent(contentDiv, update.text);
+            messageDiv.dataset.hasText = 'true';
+        } else if (update.stage !== 'partial' && !messageDiv.dataset.hasText) {
+            contentDiv.textContent = stageLabels[update.stage];
+        }
+
+        const container = messageDiv.parentElement;
+        if (container) {
+            container.scrollTop = container.scrollHeight;
+        }
+    }
+
+    // HEALTH CHECK DO BACKEND (up / degraded / down)
+    private async checkHealth() {
+        const statusEl = this.chatContainer.querySelector('#healthStatus') as HTMLElement;
+        if (!statusEl) return;
+
+        const labels = { up: '🟢 Online', degraded: '🟡 Degradado', down: '🔴 Offline' };
+
+        try {
+            const response = await fetch(`${this.baseUrl}/.netlify/functions/health-check`);
+            const health = await response.json();
+            const status = labels[health.status] ? health.status : 'down';
+
+            statusEl.textContent = labels[status];
+            statusEl.className = `health-status ${status}`;
+            statusEl.title = this.describeHealth(health);
+        } catch (error) {
+            statusEl.textContent = '⚪ Sem health check';
+            statusEl.className = 'health-status unknown';
+            statusEl.title = `Health check indisponível: ${error.message}`;
+        }
+    }
+
+    private describeHealth(health: any): string {
+        const components = health.components || {};
+        const latency = (info: any) => info.latencyMs !== undefined ? ` (${info.latencyMs}ms)` : '';
+        const lines = Object.entries(components.transports || {})
+            .map(([name, info]: [string, any]) => `${name}: ${info.status}${latency(info)}`);
+
+        if (components.storage) {
+            const note = components.storage.note ? ` · ${components.storage.note}` : '';
+            lines.push(`storage (${components.storage.backend || '?'}): ${components.storage.status}${note}`);
+        }
+        if (components.copilot) {
+            lines.push(`copilot: ${components.copilot.status}${latency(components.copilot)}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    // loadingRows: progresso do carregamento segmentado (omitido quando terminou)
+    private updateDataStatusMessage(loadingRows?: number) {
         const statusEl = this.chatContainer.querySelector('#dataStatus') as HTMLElement;
         if (statusEl) {
-            if (this.dataContext.hasData) {
-                statusEl.textContent = `📊 ${this.dataContext.rowCount} registros`;
+            if (loadingRows !== undefined) {
+                statusEl.textContent = `⏳ Carregando... ${loadingRows.toLocaleString()} registros`;
+                statusEl.className = 'data-status loading';
+            } else if (this.dataContext.hasData && this.dataContext.partial) {
+                statusEl.textContent = `📊 ${this.dataContext.rowCount.toLocaleString()} registros (parcial)`;
+                statusEl.className = 'data-status partial';
+                statusEl.title = 'O relatório tem mais linhas que o limite configurado em "Máximo de linhas carregadas"';
+            } else if (this.dataContext.hasData) {
+                statusEl.textContent = `📊 ${this.dataContext.rowCount.toLocaleString()} registros`;
                 statusEl.className = 'data-status loaded';
+                statusEl.title = '';
             } else {
                 statusEl.textContent = '📭 Sem dados';
                 statusEl.className = 'data-status empty';
@@ -431,18 +1483,24 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
         }
     }
 
+    // Circuitos abertos aparecem no status; o detalhe de cada transporte fica no tooltip
     private updateMethodStatus(status: string = '') {
         const statusEl = this.chatContainer.querySelector('#methodStatus') as HTMLElement;
         if (statusEl) {
+            const configured = this.communicationMethods.filter(m => m.configured).map(m => m.name);
+            const open = this.health.getOpenCircuits().filter(name => configured.includes(name));
+            const circuits = open.length > 0 ? ` · ⛔ ${open.join(', ')}` : '';
+
             if (status) {
                 statusEl.textContent = status;
             } else if (this.lastUsedMethod) {
-                statusEl.textContent = `🔗 Via ${this.lastUsedMethod}`;
+                statusEl.textContent = `🔗 Via ${this.lastUsedMethod}${circuits}`;
                 statusEl.className = 'method-status connected';
             } else {
-                statusEl.textContent = '🔄 Standby';
+                statusEl.textContent = `🔄 Standby${circuits}`;
                 statusEl.className = 'method-status standby';
             }
+            statusEl.title = configured.map(name => this.health.describe(name)).join('\n');
         }
     }
     
@@ -461,40 +1519,40 @@ export class Visual implements powerbi.extensibility.visual.IVisual {
         }
     }
 
-    private processDataView(dataView: powerbi.DataView): any {
-        const context = { hasData: false, rowCount: 0, columns: [], sampleData: [] };
+    // maxRows: linhas além do limite são descartadas e o contexto fica marcado como parcial
+    private processDataView(dataView: powerbi.DataView, maxRows: number): any {
+        const context = { hasData: false, rowCount: 0, columns: [], rows: [], sampleData: [], profile: null, partial: false };
         
-        if (!dataView?.categorical) return context;
-
-        const categorical = dataView.categorical;
-        const categories = categorical.categories || [];
-        const values = categorical.values || [];
-        
-        const allColumns = [...categories, ...values];
-        if (allColumns.length === 0) return context;
+        // Linhas tipadas (tabela ou categórico pivotado) com papel, formato e agregação por coluna
+        const pivot = pivotDataView(dataView, this.getDataMappingMode(), maxRows);
+        this.crossFilter.update(dataView, pivot);
+        if (!pivot || pivot.columns.length === 0) return context;
         
         context.hasData = true;
-        context.columns = allColumns.map(col => ({ 
-            name: col.source.displayName, 
-            type: col.source.isMeasure ? 'medida' : 'categoria' 
-        }));
-        
-        const rowCount = allColumns[0]?.values.length || 0;
-        context.rowCount = rowCount;
+        context.columns = pivot.columns;
+        context.rows = pivot.rows;
+        context.rowCount = pivot.rows.length;
+        context.partial = pivot.loadedRows > maxRows || !!dataView.metadata?.segment;
 
-        // Pega mais amostras para melhor contexto
-        const sampleData = [];
-        const sampleSize = Math.min(rowCount, 10);
-        
-        for (let i = 0; i < sampleSize; i++) {
-            const row: any = {};
-            allColumns.forEach(col => {
-                row[col.source.displayName] = col.values[i];
-            });
-            sampleData.push(row);
-        }
-        context.sampleData = sampleData;
+        // Perfil de todas as linhas: o backend e o Copilot raciocinam sobre o dataset inteiro
+        context.profile = buildDataProfile(pivot.columns.map(column => ({
+            name: column.name,
+            role: column.role,
+            type: column.type,
+            format: column.format,
+            aggregation: column.aggregation,
+            numeric: column.type === 'number' || column.type === 'integer',
+            values: pivot.rows.map(row => row[column.name])
+        })), context.rowCount);
+
+        // Amostra configurável, espaçada ao longo do dataset
+        const sampleSize = this.settings?.chatSettings.sampleSize.value ?? 20;
+        context.sampleData = selectSampleIndexes(context.rowCount, sampleSize).map(i => pivot.rows[i]);
         
         return context;
     }
+
+    private getDataMappingMode(): DataMappingMode {
+        return this.settings?.chatSettings.dataMapping.value?.value === 'categorical' ? 'categorical' : 'table';
+    }
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+// src/visualStorage.ts - ARMAZENAMENTO LOCAL DO HOST COM FALLBACK EM MEMÓRIA
+// Usa o storageV2Service do Power BI (privilégio LocalStorage). Sem o privilégio ou fora
+// do serviço, os valores ficam num Map em memória, que vale enquanto a página estiver aberta.
+"use strict";
+
+import powerbi from "powerbi-visuals-api";
+
+// Compartilhado pelas instâncias do visual abertas nesta página
+const memoryStorage = new Map<string, string>();
+
+export class VisualStorage {
+    private host: powerbi.extensibility.visual.IVisualHost;
+    private useHostStorage: Promise<boolean>;
+
+    constructor(host: powerbi.extensibility.visual.IVisualHost) {
+        this.host = host;
+        this.useHostStorage = this.checkHostStorage();
+    }
+
+    // undefined se a chave não existir
+    public async get(key: string): Promise<string | undefined> {
+        try {
+            if (await this.useHostStorage) return await this.host.storageV2Service.get(key);
+        } catch (error) {
+            // get rejeita quando a chave não existe
+        }
+        return memoryStorage.get(key);
+    }
+
+    // Grava em segundo plano; a memória sempre tem a cópia mais recente
+    public set(key: string, value: string) {
+        memoryStorage.set(key, value);
+
+        this.useHostStorage
+            .then(allowed => allowed ? this.host.storageV2Service.set(key, value) : null)
+            .catch(error => console.warn(`⚠️ Falha ao salvar "${key}" no armazenamento local:`, error.message));
+    }
+
+    public async remove(key: string) {
+        memoryStorage.delete(key);
+
+        try {
+            if (await this.useHostStorage) await this.host.storageV2Service.remove(key);
+        } catch (error) {
+            console.warn(`⚠️ Falha ao remover "${key}" do armazenamento local:`, error.message);
+        }
+    }
+
+    private async checkHostStorage(): Promise<boolean> {
+        try {
+            return !!this.host.storageV2Service && await this.host.storageV2Service.status() === powerbi.PrivilegeStatus.Allowed;
+        } catch (error) {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,169 @@
+// test/adaptive-cards.test.js
+// 🃏 ADAPTIVE CARDS: subconjunto do esquema, URLs seguras e ações que viram pergunta
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('');
+global.window = window;
+global.document = window.document;
+
+const { renderAdaptiveCard, renderSuggestedActions } = require('../src/adaptiveCards.ts');
+
+function createHandlers({ accept = true } = {}) {
+  const calls = { submitted: [], opened: [] };
+  return {
+    calls,
+    onSubmit: text => {
+      calls.submitted.push(text);
+      return accept;
+    },
+    onOpenUrl: url => calls.opened.push(url)
+  };
+}
+
+const card = (body, actions) => ({ type: 'AdaptiveCard', version: '1.5', body, actions });
+
+test('só Adaptive Cards com body são desenhados', () => {
+  const handlers = createHandlers();
+
+  assert.equal(renderAdaptiveCard(null, handlers), null);
+  assert.equal(renderAdaptiveCard({ type: 'HeroCard', body: [] }, handlers), null);
+  assert.equal(renderAdaptiveCard(card([{ type: 'Input.Text', id: 'x' }]), handlers), null);
+});
+
+test('TextBlock usa o Markdown seguro', () => {
+  const root = renderAdaptiveCard(card([
+    { type: 'TextBlock', text: '**Total** <script>alert(1)</script>', size: 'Large', color: 'Attention', weight: 'Bolder' }
+  ]), createHandlers());
+
+  const block = root.querySelector('.ac-textblock');
+  assert.equal(root.querySelector('script'), null);
+  assert.equal(block.querySelector('strong').textContent, 'Total');
+  assert.match(block.textContent, /<script>/);
+  assert.deepEqual([...block.classList], ['ac-textblock', 'size-large', 'bolder', 'color-attention']);
+});
+
+test('valores de estilo fora da lista não viram classe nem style', () => {
+  const root = renderAdaptiveCard(card([
+    { type: 'TextBlock', text: 'x', size: 'huge" onclick="x', color: 'red; background:url(x)' }
+  ]), createHandlers());
+
+  const block = root.querySelector('.ac-textblock');
+  assert.equal(block.className, 'ac-textblock');
+  assert.equal(block.getAttribute('style'), null);
+});
+
+test('imagens só por https', () => {
+  const root = renderAdaptiveCard(card([
+    { type: 'Image', url: 'https://exemplo.com/a.png', altText: 'A' },
+    { type: 'Image', url: 'http://exemplo.com/b.png' },
+    { type: 'Image', url: 'data:image/svg+xml,<svg onload="x()"/>' },
+    { type: 'ImageSet', images: [{ url: 'javascript:alert(1)' }, { url: 'https://exemplo.com/c.png' }] }
+  ]), createHandlers());
+
+  const sources = [...root.querySelectorAll('img')].map(image => image.getAttribute('src'));
+  assert.deepEqual(sources, ['https://exemplo.com/a.png', 'https://exemplo.com/c.png']);
+});
+
+test('FactSet e RichTextBlock escrevem texto puro', () => {
+  const root = renderAdaptiveCard(card([
+    { type: 'FactSet', facts: [{ title: 'Região', value: '<b>Sul</b>' }] },
+    { type: 'RichTextBlock', inlines: ['simples ', { type: 'TextRun', text: '<i>run</i>', italic: true }] }
+  ]), createHandlers());
+
+  assert.equal(root.querySelector('.ac-factset td').textContent, '<b>Sul</b>');
+  assert.equal(root.querySelector('b, i'), null);
+  assert.ok(root.querySelector('span.italic'));
+});
+
+test('colunas e containers aninhados, com limite de profundidade', () => {
+  const root = renderAdaptiveCard(card([{
+    type: 'ColumnSet',
+    columns: [
+      { width: 'auto', items: [{ type: 'TextBlock', text: 'A' }] },
+      { width: 2, items: [{ type: 'TextBlock', text: 'B' }] },
+      { width: '80px', items: [] }
+    ]
+  }]), createHandlers());
+
+  const columns = root.querySelectorAll('.ac-column');
+  assert.equal(columns.length, 3);
+  assert.equal(columns[1].style.flex, '2 1 0px');
+
+  let deep = { type: 'TextBlock', text: 'fundo' };
+  for (let i = 0; i < 20; i++) deep = { type: 'Container', items: [deep] };
+  const nested = renderAdaptiveCard(card([deep, { type: 'TextBlock', text: 'raso' }]), createHandlers());
+  assert.doesNotMatch(nested.textContent, /fundo/);
+  assert.match(nested.textContent, /raso/);
+});
+
+test('Action.Submit pergunta o texto mais provável', () => {
+  const handlers = createHandlers();
+  const root = renderAdaptiveCard(card([{ type: 'TextBlock', text: 'x' }], [
+    { type: 'Action.Submit', title: 'Texto', data: '  Vendas por mês ' },
+    { type: 'Action.Submit', title: 'Teams', data: { msteams: { value: 'Top 5' } } },
+    { type: 'Action.Execute', title: 'Sem dados' }
+  ]), handlers);
+
+  root.querySelectorAll('.ac-action').forEach(button => button.click());
+  assert.deepEqual(handlers.calls.submitted, ['Vendas por mês', 'Top 5', 'Sem dados']);
+});
+
+test('Action.OpenUrl só com http(s) e sempre pelo host', () => {
+  const handlers = createHandlers();
+  const root = renderAdaptiveCard(card([{ type: 'TextBlock', text: 'x' }], [
+    { type: 'Action.OpenUrl', title: 'Site', url: 'https://exemplo.com' },
+    { type: 'Action.OpenUrl', title: 'Script', url: 'javascript:alert(1)' },
+    { type: 'Action.Unknown', title: 'Outro' }
+  ]), handlers);
+
+  const buttons = root.querySelectorAll('.ac-action');
+  assert.equal(buttons.length, 1);
+
+  buttons[0].click();
+  assert.deepEqual(handlers.calls.opened, ['https://exemplo.com']);
+});
+
+test('Action.ShowCard expande o card aninhado', () => {
+  const root = renderAdaptiveCard(card([{ type: 'TextBlock', text: 'x' }], [
+    { type: 'Action.ShowCard', title: 'Detalhes', card: card([{ type: 'TextBlock', text: 'escondido' }]) }
+  ]), createHandlers());
+
+  const nested = root.querySelector('.ac-showcard');
+  assert.equal(nested.hidden, true);
+
+  root.querySelector('.ac-action').click();
+  assert.equal(nested.hidden, false);
+});
+
+test('ações sugeridas somem quando a pergunta é enviada', () => {
+  const handlers = createHandlers();
+  const container = document.createElement('div');
+  const bar = renderSuggestedActions([
+    { type: 'imBack', title: 'Mais', value: 'Mostre mais' },
+    { type: 'openUrl', title: 'Site', value: 'https://exemplo.com' }
+  ], handlers);
+  container.appendChild(bar);
+
+  const [ask, open] = bar.querySelectorAll('button');
+  open.click();
+  assert.deepEqual(handlers.calls.opened, ['https://exemplo.com']);
+  assert.ok(container.contains(bar));
+
+  ask.click();
+  assert.deepEqual(handlers.calls.submitted, ['Mostre mais']);
+  assert.equal(container.contains(bar), false);
+});
+
+test('ação sugerida recusada continua na tela', () => {
+  const handlers = createHandlers({ accept: false });
+  const container = document.createElement('div');
+  const bar = renderSuggestedActions([{ type: 'imBack', title: 'Mais', value: 'Mostre mais' }], handlers);
+  container.appendChild(bar);
+
+  bar.querySelector('button').click();
+  assert.ok(container.contains(bar));
+  assert.equal(renderSuggestedActions([], handlers), null);
+});
@@ -0,0 +1,144 @@
+// test/aggregation.test.js
+// 🧮 MOTOR DE AGREGAÇÃO: números reais sobre as linhas, perfil para o dataset inteiro
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyze, formatAnalysis, toChartSpec, toNumber } = require('../netlify/lib/aggregation');
+const { splitContext } = require('../netlify/lib/data-profile');
+
+const ROWS = [
+  { Medico: 'Ana', Regiao: 'Sul', Vendas: 100, Pacientes: 3 },
+  { Medico: 'Bruno', Regiao: 'Sul', Vendas: 50, Pacientes: 5 },
+  { Medico: 'Ana', Regiao: 'Norte', Vendas: 200, Pacientes: 1 },
+  { Medico: 'Carla', Regiao: 'Norte', Vendas: '1.234,50', Pacientes: 2 },
+  { Medico: 'Bruno', Regiao: '', Vendas: 10, Pacientes: 4 }
+];
+
+// Perfil de 1000 linhas das quais só ROWS chegou (amostra)
+const PROFILE = {
+  rowCount: 1000,
+  columns: [
+    { name: 'Medico', numeric: false, distinctCount: 40, topValues: [{ value: 'Ana', count: 300 }, { value: 'Bruno', count: 250 }] },
+    { name: 'Regiao', numeric: false, distinctCount: 3, topValues: [] },
+    { name: 'Vendas', numeric: true, sum: 98765, mean: 98.765, min: 1, max: 5000 },
+    { name: 'Pacientes', numeric: true, sum: 3000, mean: 3, min: 0, max: 9 }
+  ]
+};
+
+test('toNumber entende formatos brasileiros e recusa texto', () => {
+  assert.equal(toNumber('1.234,56'), 1234.56);
+  assert.equal(toNumber('R$ 99,90'), 99.9);
+  assert.equal(toNumber('1234.5'), 1234.5);
+  assert.equal(toNumber(42), 42);
+  assert.equal(toNumber('abc'), null);
+  assert.equal(toNumber(NaN), null);
+  assert.equal(toNumber(null), null);
+});
+
+test('sem linhas não há análise', () => {
+  assert.equal(analyze('total de vendas', []), null);
+  assert.equal(analyze('total de vendas', null), null);
+});
+
+test('soma da coluna citada', () => {
+  const result = analyze('Qual o total de vendas?', ROWS, { responseType: 'totals' });
+
+  assert.equal(result.operation, 'sum');
+  assert.equal(result.measure, 'Vendas');
+  assert.equal(result.value, 1594.5);
+  assert.equal(result.groups, undefined);
+});
+
+test('média, máximo e contagem pela pergunta', () => {
+  assert.equal(analyze('média de pacientes', ROWS).value, 3);
+  assert.equal(analyze('qual o maior valor de vendas', ROWS).value, 1234.5);
+  assert.equal(analyze('quantos registros existem', ROWS).value, 5);
+});
+
+test('agrupamento ordenado com linha vazia', () => {
+  const result = analyze('vendas por medico', ROWS);
+
+  assert.equal(result.groupBy, 'Medico');
+  assert.deepEqual(result.groups.map(g => [g.key, g.value]), [['Carla', 1234.5], ['Ana', 300], ['Bruno', 60]]);
+
+  const byRegion = analyze('vendas por regiao', ROWS);
+  assert.ok(byRegion.groups.some(g => g.key === '(vazio)' && g.value === 10));
+});
+
+test('top N e os menores', () => {
+  const top = analyze('top 2 vendas por medico', ROWS);
+  assert.equal(top.top, 2);
+  assert.deepEqual(top.groups.map(g => g.key), ['Carla', 'Ana']);
+
+  const bottom = analyze('os 2 menores vendas por medico', ROWS);
+  assert.deepEqual(bottom.groups.map(g => g.key), ['Bruno', 'Ana']);
+});
+
+test('tipo doctors agrupa por médico sem "por"', () => {
+  const result = analyze('compare os médicos', ROWS, { responseType: 'doctors' });
+  assert.equal(result.groupBy, 'Medico');
+});
+
+test('totais sem agrupamento usam o perfil do dataset inteiro', () => {
+  const sum = analyze('total de vendas', ROWS, { profile: PROFILE });
+  assert.equal(sum.value, 98765);
+  assert.equal(sum.rowCount, 1000);
+
+  const count = analyze('quantos registros', ROWS, { profile: PROFILE });
+  assert.equal(count.value, 1000);
+});
+
+test('soma por grupo sobre amostra não vira resposta', () => {
+  const result = analyze('vendas por medico', ROWS, { profile: PROFILE });
+
+  assert.equal(result.groups, undefined);
+  assert.deepEqual(result.groupingSkipped, { sampleSize: 5, rowCount: 1000 });
+  assert.equal(toChartSpec(result), null);
+  assert.match(formatAnalysis(result), /o agrupamento não foi calculado/);
+});
+
+test('contagem por grupo sobre amostra vem das top categorias do perfil', () => {
+  const result = analyze('quantos registros por medico', ROWS, { profile: PROFILE });
+
+  assert.deepEqual(result.groups.map(g => [g.key, g.value]), [['Ana', 300], ['Bruno', 250]]);
+  assert.equal(result.groupCount, 40);
+  assert.equal(result.value, 1000);
+});
+
+test('com todas as linhas (POST) o agrupamento é calculado', () => {
+  const { rows, profile } = splitContext({ rows: ROWS, sample: ROWS.slice(0, 2), profile: { ...PROFILE, rowCount: 5 }, rowCount: 5 });
+  const result = analyze('vendas por medico', rows, { profile });
+
+  assert.equal(result.groupingSkipped, undefined);
+  assert.equal(result.groups.length, 3);
+});
+
+test('markdown em tabela e gráfico só para grupos', () => {
+  const grouped = analyze('vendas por medico', ROWS);
+  const markdown = formatAnalysis(grouped);
+
+  assert.match(markdown, /\| Medico \| Soma de Vendas \|/);
+  assert.match(markdown, /\*\*Total geral:\*\*/);
+
+  const chart = toChartSpec(grouped);
+  assert.equal(chart.xField, 'Medico');
+  assert.equal(chart.data.length, 3);
+  assert.equal(chart.type, undefined);
+
+  assert.equal(toChartSpec(analyze('média de vendas por medico', ROWS)).type, 'bar');
+  assert.equal(toChartSpec(analyze('total de vendas', ROWS)), null);
+});
+
+test('dados parciais são avisados', () => {
+  const result = analyze('total de vendas', ROWS, { profile: { ...PROFILE, partial: true } });
+  assert.match(formatAnalysis(result), /Dados parciais/);
+});
+
+test('pipe no nome do grupo não quebra a tabela', () => {
+  const markdown = formatAnalysis(analyze('vendas por regiao', [
+    { Regiao: 'A|B', Vendas: 1 },
+    { Regiao: 'C', Vendas: 2 }
+  ]));
+  assert.match(markdown, /A\\\|B/);
+});
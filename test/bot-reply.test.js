@@ -0,0 +1,93 @@
+// test/bot-reply.test.js
+// 💬 RESPOSTA DO COPILOT → PAYLOAD DO VISUAL (cards, sugestões e gráfico)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toAnswerPayload, normalizeAttachments, normalizeSuggestedActions } = require('../netlify/lib/bot-reply');
+
+const ADAPTIVE = 'application/vnd.microsoft.card.adaptive';
+const CARD = { type: 'AdaptiveCard', version: '1.5', body: [{ type: 'TextBlock', text: 'Olá' }] };
+
+test('texto puro vira resposta sem extras', () => {
+  assert.deepEqual(toAnswerPayload('Olá'), { answer: 'Olá', chart: null, attachments: [], suggestedActions: [] });
+  assert.deepEqual(toAnswerPayload(null), { answer: '', chart: null, attachments: [], suggestedActions: [] });
+});
+
+test('reply completo com gráfico, card e sugestões', () => {
+  const payload = toAnswerPayload({
+    text: 'Resumo\n```chart\n{"data":[{"a":1},{"a":2}]}\n```',
+    attachments: [{ contentType: ADAPTIVE, content: CARD }],
+    suggestedActions: [{ type: 'imBack', title: 'Mais', value: 'Mostre mais' }]
+  });
+
+  assert.equal(payload.answer, 'Resumo');
+  assert.equal(payload.chart.data.length, 2);
+  assert.deepEqual(payload.attachments, [{ contentType: ADAPTIVE, content: CARD }]);
+  assert.deepEqual(payload.suggestedActions, [{ type: 'imBack', title: 'Mais', value: 'Mostre mais' }]);
+});
+
+test('card serializado é lido; inválido ou de outro tipo é descartado', () => {
+  const attachments = normalizeAttachments([
+    { contentType: ADAPTIVE, content: JSON.stringify(CARD) },
+    { contentType: ADAPTIVE, content: '{quebrado' },
+    { contentType: ADAPTIVE, content: { type: 'AdaptiveCard' } },
+    { contentType: 'application/pdf', content: {} },
+    null
+  ]);
+
+  assert.deepEqual(attachments, [{ contentType: ADAPTIVE, content: CARD }]);
+});
+
+test('cards grandes demais e excedentes ficam de fora', () => {
+  const huge = { ...CARD, body: [{ type: 'TextBlock', text: 'x'.repeat(40000) }] };
+  assert.deepEqual(normalizeAttachments([{ contentType: ADAPTIVE, content: huge }]), []);
+
+  const many = Array.from({ length: 8 }, () => ({ contentType: ADAPTIVE, content: CARD }));
+  assert.equal(normalizeAttachments(many).length, 5);
+});
+
+test('hero card vira Adaptive Card equivalente', () => {
+  const [{ content }] = normalizeAttachments([{
+    contentType: 'application/vnd.microsoft.card.hero',
+    content: {
+      title: 'Título',
+      text: 'Detalhe',
+      images: [{ url: 'https://exemplo.com/a.png' }],
+      buttons: [
+        { type: 'openUrl', title: 'Abrir', value: 'https://exemplo.com' },
+        { type: 'imBack', title: 'Perguntar', value: 'Outra pergunta' },
+        { type: 'openUrl', title: 'Script', value: 'javascript:alert(1)' }
+      ]
+    }
+  }]);
+
+  assert.equal(content.type, 'AdaptiveCard');
+  assert.deepEqual(content.body.map(item => item.type), ['TextBlock', 'TextBlock', 'Image']);
+  assert.deepEqual(content.actions, [
+    { type: 'Action.OpenUrl', title: 'Abrir', url: 'https://exemplo.com' },
+    { type: 'Action.Submit', title: 'Perguntar', data: 'Outra pergunta' }
+  ]);
+});
+
+test('ações sugeridas: só http(s) em openUrl, messageBack usa o texto', () => {
+  const actions = normalizeSuggestedActions([
+    { type: 'openUrl', title: 'Site', value: 'https://exemplo.com' },
+    { type: 'openUrl', value: 'javascript:alert(1)' },
+    { type: 'messageBack', title: 'Detalhar', text: 'Detalhe as vendas' },
+    { type: 'postBack', title: '   ' },
+    'solta'
+  ]);
+
+  assert.deepEqual(actions, [
+    { type: 'openUrl', title: 'Site', value: 'https://exemplo.com' },
+    { type: 'imBack', title: 'Detalhar', value: 'Detalhe as vendas' }
+  ]);
+});
+
+test('ações sugeridas limitadas em quantidade e tamanho', () => {
+  const actions = normalizeSuggestedActions(Array.from({ length: 12 }, (_, i) => ({ type: 'imBack', value: `${i} ${'x'.repeat(300)}` })));
+
+  assert.equal(actions.length, 8);
+  assert.ok(actions.every(action => action.value.length === 200 && action.title.length === 200));
+});
@@ -0,0 +1,184 @@
+// test/chart-generator.test.js
+// 🎨 GRÁFICOS: escolha pelo tipo inferido das colunas, tendência sobre o eixo real e outliers
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('');
+global.window = window;
+global.document = window.document;
+
+const { IntelligentChartGenerator } = require('../src/chartGenerator.ts');
+
+function createGenerator() {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  return new IntelligentChartGenerator(container);
+}
+
+// Sugere o gráfico, desenha sem animação e devolve as mensagens de insight
+async function insightsFor(data, overrides = {}) {
+  const generator = createGenerator();
+  const config = { ...generator.analyzeDataAndSuggestChart(data), animation: false, ...overrides };
+  const chart = await generator.generateChart(config);
+  return [...chart.querySelectorAll('.insight-item')].map(item => ({
+    type: item.className.replace('insight-item ', ''),
+    text: item.firstChild.textContent,
+    confidence: item.querySelector('.confidence').textContent
+  }));
+}
+
+describe('inferência do gráfico', () => {
+  test('coluna de data + medida: linha', () => {
+    const config = createGenerator().analyzeDataAndSuggestChart([
+      { Mes: '2024-01', Vendas: 10 },
+      { Mes: '2024-02', Vendas: 12 },
+      { Mes: '15/03/2024', Vendas: 9 }
+    ]);
+
+    assert.equal(config.type, 'line');
+    assert.equal(config.xField, 'Mes');
+    assert.equal(config.yField, 'Vendas');
+  });
+
+  test('coluna "Ano" com inteiros é eixo de tempo, não medida', () => {
+    const config = createGenerator().analyzeDataAndSuggestChart([
+      { Ano: 2021, Receita: 100 },
+      { Ano: 2022, Receita: 150 }
+    ]);
+
+    assert.equal(config.type, 'line');
+    assert.equal(config.xField, 'Ano');
+    assert.equal(config.yField, 'Receita');
+  });
+
+  test('poucas categorias de medida não negativa: pizza', () => {
+    const config = createGenerator().analyzeDataAndSuggestChart([
+      { Regiao: 'Norte', Vendas: 10 },
+      { Regiao: 'Sul', Vendas: 20 },
+      { Regiao: 'Leste', Vendas: 5 }
+    ]);
+
+    assert.equal(config.type, 'pie');
+  });
+
+  test('medida com negativos ou muitas categorias: barras', () => {
+    const generator = createGenerator();
+
+    const negative = generator.analyzeDataAndSuggestChart([
+      { Filial: 'A', Lucro: 10 },
+      { Filial: 'B', Lucro: -3 }
+    ]);
+    assert.equal(negative.type, 'bar');
+
+    const many = generator.analyzeDataAndSuggestChart(
+      Array.from({ length: 12 }, (_, i) => ({ Produto: `P${i}`, Qtd: i + 1 }))
+    );
+    assert.equal(many.type, 'bar');
+  });
+
+  test('duas medidas sem dimensão: dispersão', () => {
+    const config = createGenerator().analyzeDataAndSuggestChart([
+      { Preco: 10, Qtd: 100 },
+      { Preco: 12, Qtd: 90 }
+    ]);
+
+    assert.equal(config.type, 'scatter');
+    assert.deepEqual([config.xField, config.yField], ['Preco', 'Qtd']);
+  });
+
+  test('só categorias: contagem por barras', () => {
+    const config = createGenerator().analyzeDataAndSuggestChart([
+      { Status: 'Aberto' }, { Status: 'Fechado' }, { Status: 'Aberto' }
+    ]);
+
+    assert.equal(config.type, 'bar');
+    assert.equal(config.xField, 'Status');
+    assert.equal(config.yField, undefined);
+  });
+
+  test('confiança da recomendação é a pureza da coluna', async () => {
+    const rows = Array.from({ length: 10 }, (_, i) => ({ Regiao: `R${i % 3}`, Valor: i === 0 ? 'n/d' : i }));
+    const [recommendation] = await insightsFor(rows);
+
+    assert.equal(recommendation.type, 'recommendation');
+    assert.equal(recommendation.confidence, '90%');
+  });
+});
+
+describe('tendência da linha', () => {
+  test('regressão usa as datas: meses faltando não distorcem a inclinação', async () => {
+    // +10 por mês, com abril e maio ausentes: sobre o índice o ajuste não seria perfeito
+    const insights = await insightsFor([
+      { Mes: '2024-01', Vendas: 10 },
+      { Mes: '2024-02', Vendas: 20 },
+      { Mes: '2024-03', Vendas: 30 },
+      { Mes: '2024-06', Vendas: 60 }
+    ]);
+
+    const trend = insights.find(insight => insight.type === 'trend');
+    assert.match(trend.text, /Tendência de alta em Vendas/);
+    assert.match(trend.text, /R² 1,00/);
+  });
+
+  test('regressão usa os anos numéricos', async () => {
+    const insights = await insightsFor([
+      { Ano: 2015, Receita: 100 },
+      { Ano: 2016, Receita: 110 },
+      { Ano: 2020, Receita: 150 },
+      { Ano: 2021, Receita: 160 }
+    ]);
+
+    // 10 por ano × espaçamento médio de 2 anos
+    assert.match(insights.find(insight => insight.type === 'trend').text, /\+20 por período \(R² 1,00\)/);
+  });
+
+  test('eixo categórico cai na ordem dos pontos', async () => {
+    const insights = await insightsFor([
+      { Etapa: 'A', Valor: 30 },
+      { Etapa: 'B', Valor: 20 },
+      { Etapa: 'C', Valor: 10 }
+    ], { type: 'line', xField: 'Etapa', yField: 'Valor' });
+
+    assert.match(insights.find(insight => insight.type === 'trend').text, /Tendência de queda em Valor: -10 por período/);
+  });
+
+  test('sem ajuste suficiente não há tendência', async () => {
+    const insights = await insightsFor([
+      { Mes: '2024-01', Vendas: 10 },
+      { Mes: '2024-02', Vendas: 30 },
+      { Mes: '2024-03', Vendas: 10 },
+      { Mes: '2024-04', Vendas: 30 }
+    ]);
+
+    assert.equal(insights.filter(insight => insight.type === 'trend').length, 0);
+  });
+});
+
+describe('outliers', () => {
+  const bars = values => values.map((value, i) => ({ Loja: `L${i + 1}`, Vendas: value }));
+
+  test('fora das cercas de Tukey, com z-score na mensagem', async () => {
+    const insights = await insightsFor(bars([10, 11, 12, 10, 11, 13, 12, 100]), { type: 'bar', xField: 'Loja', yField: 'Vendas' });
+
+    const outlier = insights.find(insight => insight.type === 'outlier');
+    assert.match(outlier.text, /1 valor atípico em Vendas: L8 \(100, z = 2,5\)/);
+    assert.equal(outlier.confidence, '99%');
+  });
+
+  test('vários outliers: o maior |z| primeiro e no máximo dois listados', async () => {
+    const insights = await insightsFor(bars([50, 51, 49, 50, 52, 48, 50, 51, 200, -80, 190]), { type: 'bar', xField: 'Loja', yField: 'Vendas' });
+
+    const outlier = insights.find(insight => insight.type === 'outlier');
+    assert.equal(outlier.text, '⚠️ 3 valores atípicos em Vendas: L10 (-80, z = -1,9), L9 (200, z = 1,8)...');
+  });
+
+  test('quartis sem dispersão ou poucos pontos: nenhum outlier', async () => {
+    const flat = await insightsFor(bars([5, 5, 5, 5, 5, 5, 50]), { type: 'bar', xField: 'Loja', yField: 'Vendas' });
+    assert.equal(flat.filter(insight => insight.type === 'outlier').length, 0);
+
+    const few = await insightsFor(bars([1, 2, 3, 100]), { type: 'bar', xField: 'Loja', yField: 'Vendas' });
+    assert.equal(few.filter(insight => insight.type === 'outlier').length, 0);
+  });
+});
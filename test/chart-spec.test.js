@@ -0,0 +1,64 @@
+// test/chart-spec.test.js
+// 📊 BLOCO ```chart DA RESPOSTA DO COPILOT → GRÁFICO SANITIZADO
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractChartSpec, sanitizeChartSpec } = require('../netlify/lib/chart-spec');
+
+test('separa o bloco chart do texto', () => {
+  const answer = 'Vendas por região:\n\n```chart\n{"type":"bar","title":"Vendas","xField":"Regiao","yField":"Total","data":[{"Regiao":"Sul","Total":10}]}\n```';
+  const result = extractChartSpec(answer);
+
+  assert.equal(result.answer, 'Vendas por região:');
+  assert.deepEqual(result.chart, {
+    type: 'bar',
+    title: 'Vendas',
+    xField: 'Regiao',
+    yField: 'Total',
+    data: [{ Regiao: 'Sul', Total: 10 }]
+  });
+});
+
+test('resposta sem bloco fica como está', () => {
+  assert.deepEqual(extractChartSpec('Só texto'), { answer: 'Só texto', chart: null });
+  assert.deepEqual(extractChartSpec(undefined), { answer: undefined, chart: null });
+});
+
+test('bloco inválido continua no texto', () => {
+  const answer = 'Texto\n```chart\n{não é json}\n```';
+  assert.deepEqual(extractChartSpec(answer), { answer, chart: null });
+
+  const empty = 'Texto\n```chart\n{"data":[]}\n```';
+  assert.equal(extractChartSpec(empty).chart, null);
+});
+
+test('só campos conhecidos e valores primitivos', () => {
+  const chart = sanitizeChartSpec({
+    type: 'sankey',
+    title: 'x'.repeat(500),
+    onclick: 'alert(1)',
+    data: [
+      { a: 1, b: 'texto', c: null, d: true, e: { nested: 1 }, f: [1], g: () => 1 },
+      'linha solta',
+      [1, 2],
+      null
+    ]
+  });
+
+  assert.equal(chart.type, undefined);
+  assert.equal(chart.onclick, undefined);
+  assert.equal(chart.title.length, 120);
+  assert.deepEqual(chart.data, [{ a: 1, b: 'texto', c: null, d: true }]);
+});
+
+test('limita as linhas enviadas ao visual', () => {
+  const data = Array.from({ length: 250 }, (_, i) => ({ i }));
+  assert.equal(sanitizeChartSpec({ data }).data.length, 100);
+});
+
+test('spec sem data é descartado', () => {
+  assert.equal(sanitizeChartSpec(null), null);
+  assert.equal(sanitizeChartSpec({ type: 'bar' }), null);
+  assert.equal(sanitizeChartSpec({ data: 'a,b' }), null);
+});
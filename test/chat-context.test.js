@@ -0,0 +1,55 @@
+// test/chat-context.test.js
+// 🗂️ UPLOAD DE CONTEXTO: conta na cota e recusa corpo acima do limite descompactado
+
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.REQUEST_SIGNING_KEY;
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const chatContext = require('../netlify/functions/chat-context');
+const { MAX_BODY_BYTES } = require('../netlify/lib/request-body');
+
+let nextIp = 1;
+
+function upload(body, { ip = `203.0.113.${nextIp++}`, headers = {}, isBase64Encoded = false } = {}) {
+  return chatContext.handler({
+    httpMethod: 'POST',
+    headers: { origin: 'https://app.powerbi.com', 'x-nf-client-connection-ip': ip, ...headers },
+    body,
+    isBase64Encoded
+  });
+}
+
+beforeEach(() => {
+  process.env.RATE_LIMIT_PER_MINUTE = '2';
+  process.env.RATE_LIMIT_PER_DAY = '100';
+});
+
+test('upload devolve contextId', async () => {
+  const response = await upload(JSON.stringify({ context: { rows: [{ a: 1 }], rowCount: 1 } }));
+
+  assert.equal(response.statusCode, 201);
+  assert.ok(JSON.parse(response.body).contextId);
+});
+
+test('uploads contam na cota do cliente', async () => {
+  const ip = '198.51.100.20';
+  const body = JSON.stringify({ context: { rows: [] } });
+
+  assert.equal((await upload(body, { ip })).statusCode, 201);
+  assert.equal((await upload(body, { ip })).statusCode, 201);
+
+  const rejected = await upload(body, { ip });
+  assert.equal(rejected.statusCode, 429);
+  assert.equal(JSON.parse(rejected.body).code, 'RATE_LIMITED');
+});
+
+test('gzip que descompacta acima do limite é recusado com 413', async () => {
+  const json = JSON.stringify({ context: { rows: 'x'.repeat(MAX_BODY_BYTES) } });
+  const gzipped = zlib.gzipSync(json).toString('base64');
+
+  const response = await upload(gzipped, { headers: { 'content-encoding': 'gzip' }, isBase64Encoded: true });
+  assert.equal(response.statusCode, 413);
+});
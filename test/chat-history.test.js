@@ -0,0 +1,169 @@
+// test/chat-history.test.js
+// 🗂️ HISTÓRICO DO CHAT: exportação em Markdown/JSON/CSV e cota do armazenamento local
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+// const enum do powerbi-visuals-api: o build do pbiviz substitui pelo número, o tsx não
+require('powerbi-visuals-api').PrivilegeStatus = { Allowed: 0, NotDeclared: 1, NotSupported: 2, DisabledByAdmin: 3 };
+
+const { ChatHistory, formatHistory } = require('../src/chatHistory.ts');
+
+const MAX_STORED_LENGTH = 500 * 1024;
+
+// Armazenamento com a mesma interface do VisualStorage
+function fakeStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    values,
+    get: async key => values.get(key),
+    set: (key, value) => values.set(key, value),
+    remove: async key => values.delete(key)
+  };
+}
+
+function createHistory({ storage = fakeStorage(), exportStatus = 0 } = {}) {
+  const exports = [];
+  const host = {
+    instanceId: 'visual-1',
+    downloadService: {
+      exportStatus: async () => exportStatus,
+      exportVisualsContent: async (content, fileName, fileType, description) => {
+        exports.push({ content, fileName, fileType, description });
+        return true;
+      }
+    }
+  };
+  return { history: new ChatHistory(host, storage), storage, exports };
+}
+
+const ENTRIES = [
+  { role: 'user', text: 'Total de vendas por região?', timestamp: '2024-03-15T12:00:00.000Z' },
+  {
+    role: 'bot',
+    text: 'Norte lidera, com "R$ 1,2 mi"',
+    timestamp: '2024-03-15T12:00:05.000Z',
+    method: 'Fetch',
+    data: { rowCount: 120, columns: ['Regiao', 'Vendas'], partial: true, filter: 'Ano = 2024' }
+  },
+  { role: 'bot', text: '=HYPERLINK("http://x")', timestamp: '2024-03-15T12:01:00.000Z', isError: true }
+];
+
+describe('exportação', () => {
+  test('Markdown: pergunta, resposta com método e resumo dos dados, erro', () => {
+    const markdown = formatHistory(ENTRIES, 'markdown');
+
+    assert.match(markdown, /^# Conversa com o Assistente BI\n/);
+    assert.match(markdown, /## 🧑 Pergunta \(.+\)\n\nTotal de vendas por região\?/);
+    assert.match(markdown, /### 🤖 Resposta \(.+ via Fetch\)\n\nNorte lidera/);
+    assert.match(markdown, /> 📊 120 registros \(parcial\) · colunas: Regiao, Vendas · filtro: Ano = 2024/);
+    assert.match(markdown, /### 🤖 Erro \(/);
+  });
+
+  test('Markdown: resposta só com card', () => {
+    const markdown = formatHistory([{ role: 'bot', text: '', timestamp: ENTRIES[0].timestamp }], 'markdown');
+    assert.match(markdown, /_\(resposta em card\)_/);
+  });
+
+  test('JSON: entradas completas com data de exportação', () => {
+    const parsed = JSON.parse(formatHistory(ENTRIES, 'json'));
+
+    assert.ok(!isNaN(Date.parse(parsed.exportedAt)));
+    assert.deepEqual(parsed.entries, ENTRIES);
+  });
+
+  test('CSV: cabeçalho, aspas escapadas e prefixo contra fórmulas', () => {
+    const lines = formatHistory(ENTRIES, 'csv').split('\r\n');
+
+    assert.equal(lines[0], 'timestamp,role,text,method,isError,rowCount,columns,partial,filter');
+    assert.equal(lines[1], '2024-03-15T12:00:00.000Z,user,Total de vendas por região?,,,,,,');
+    assert.equal(lines[2], '2024-03-15T12:00:05.000Z,bot,"Norte lidera, com ""R$ 1,2 mi""",Fetch,,120,Regiao; Vendas,true,Ano = 2024');
+    assert.equal(lines[3], `2024-03-15T12:01:00.000Z,bot,"'=HYPERLINK(""http://x"")",,true,,,,`);
+  });
+
+  test('export usa o serviço de download do host com extensão por formato', async () => {
+    const { history, exports } = createHistory();
+    history.add({ role: 'user', text: 'oi' });
+
+    assert.equal(await history.export('markdown'), true);
+    assert.equal(await history.export('csv'), true);
+
+    assert.match(exports[0].fileName, /^conversa-assistente-bi-\d{4}-\d{2}-\d{2}\.md$/);
+    assert.equal(exports[0].fileType, 'txt');
+    assert.match(exports[1].fileName, /\.csv$/);
+    assert.equal(exports[1].fileType, 'csv');
+  });
+
+  test('sem privilégio de exportação não chama o download', async () => {
+    const { history, exports } = createHistory({ exportStatus: 1 });
+
+    assert.equal(await history.export('json'), false);
+    assert.equal(exports.length, 0);
+  });
+});
+
+describe('persistência', () => {
+  test('salva por instância e restaura antes das mensagens enviadas durante a leitura', async () => {
+    const { history, storage } = createHistory();
+    await history.load();
+    history.add({ role: 'user', text: 'primeira' });
+    history.add({ role: 'bot', text: 'resposta' });
+
+    assert.ok(storage.values.has('chatHistory:visual-1'));
+
+    const restored = createHistory({ storage });
+    restored.history.add({ role: 'user', text: 'enviada antes da leitura' });
+    const entries = await restored.history.load();
+
+    assert.deepEqual(entries.map(e => e.text), ['primeira', 'resposta', 'enviada antes da leitura']);
+    // Nada do histórico salvo se perde no armazenamento
+    assert.deepEqual(JSON.parse(storage.values.get('chatHistory:visual-1')).map(e => e.text), entries.map(e => e.text));
+  });
+
+  test('histórico corrompido ou com entradas inválidas é descartado', async () => {
+    const corrupted = createHistory({ storage: fakeStorage({ 'chatHistory:visual-1': '{quebrado' }) });
+    assert.deepEqual(await corrupted.history.load(), []);
+
+    const mixed = createHistory({ storage: fakeStorage({ 'chatHistory:visual-1': JSON.stringify([{ role: 'x' }, ENTRIES[0]]) }) });
+    assert.deepEqual((await mixed.history.load()).map(e => e.text), [ENTRIES[0].text]);
+  });
+
+  test('acima da cota: gráficos dos mais antigos saem primeiro', async () => {
+    const { history, storage } = createHistory();
+    await history.load();
+    const bigChart = { type: 'bar', data: Array.from({ length: 6000 }, (_, i) => ({ Categoria: `C${i}`, Valor: i })) };
+
+    for (let i = 0; i < 5; i++) history.add({ role: 'bot', text: `resposta ${i}`, chart: bigChart });
+
+    const raw = storage.values.get('chatHistory:visual-1');
+    const stored = JSON.parse(raw);
+
+    assert.ok(raw.length <= MAX_STORED_LENGTH);
+    assert.deepEqual(stored.map(e => e.text), ['resposta 0', 'resposta 1', 'resposta 2', 'resposta 3', 'resposta 4']);
+    assert.equal(stored[0].chart, undefined);
+    assert.ok(stored[4].chart);
+    // A memória do visual continua com tudo
+    assert.ok(history.getEntries().every(e => e.chart));
+  });
+
+  test('textos grandes demais: as entradas mais antigas saem', async () => {
+    const { history, storage } = createHistory();
+    await history.load();
+    const text = 'x'.repeat(200 * 1024);
+
+    for (let i = 0; i < 4; i++) history.add({ role: 'user', text: `${i}${text}` });
+
+    const stored = JSON.parse(storage.values.get('chatHistory:visual-1'));
+    assert.deepEqual(stored.map(e => e.text[0]), ['2', '3']);
+  });
+
+  test('limpar remove do armazenamento', async () => {
+    const { history, storage } = createHistory();
+    await history.load();
+    history.add({ role: 'user', text: 'oi' });
+
+    await history.clear();
+    assert.equal(storage.values.size, 0);
+    assert.deepEqual(history.getEntries(), []);
+  });
+});
@@ -0,0 +1,95 @@
+// test/chat-job.test.js
+// 📋 API DE JOBS: criação → background → consulta, e recusa sem storage compartilhado
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.URL = 'https://bridge.exemplo.com';
+process.env.COPILOT_SECRET = 'secret-de-teste';
+delete process.env.REQUEST_SIGNING_KEY;
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stubFetch, respond } = require('./helpers/fetch-stub');
+const chatJob = require('../netlify/functions/chat-job');
+const background = require('../netlify/functions/chat-job-background');
+
+const ORIGIN = { origin: 'https://app.powerbi.com', 'x-nf-client-connection-ip': '203.0.113.50' };
+
+function submit(body) {
+  return chatJob.handler({ httpMethod: 'POST', headers: ORIGIN, body: JSON.stringify(body) });
+}
+
+async function poll(jobId) {
+  const response = await chatJob.handler({ httpMethod: 'GET', headers: ORIGIN, queryStringParameters: { id: jobId } });
+  return JSON.parse(response.body);
+}
+
+beforeEach(() => {
+  delete process.env.NETLIFY_DEV;
+});
+
+test('sem storage compartilhado o job é recusado com 503', async () => {
+  const calls = stubFetch(() => respond(202));
+  const response = await submit({ question: 'Total de vendas?' });
+
+  assert.equal(response.statusCode, 503);
+  assert.equal(JSON.parse(response.body).code, 'STORAGE_NOT_SHARED');
+  assert.equal(calls.length, 0);
+});
+
+test('job criado é processado pelo background e consultado até concluir', async () => {
+  process.env.NETLIFY_DEV = 'true';
+
+  // Background functions respondem 202 e seguem rodando: aqui a "outra Lambda" é a mesma memória
+  let running = null;
+  const calls = stubFetch(call => {
+    if (call.url.endsWith('/.netlify/functions/chat-job-background')) {
+      running = background.handler({ body: call.body });
+      return respond(202);
+    }
+    if (call.url.endsWith('/conversations')) {
+      return respond(201, { conversationId: 'conv-1', token: 'token-1', expires_in: 1800 });
+    }
+    if (call.url.endsWith('/conversations/conv-1/activities') && call.method === 'POST') {
+      return respond(200, { id: 'conv-1|0001' });
+    }
+    if (call.url.includes('/conversations/conv-1/activities')) {
+      return respond(200, {
+        watermark: '2',
+        activities: [
+          { id: 'conv-1|0001', type: 'message', from: { id: 'PowerBI_Job_User' }, text: 'Total de vendas?' },
+          { id: 'conv-1|0002', type: 'message', from: { id: 'copilot' }, replyToId: 'conv-1|0001', text: 'O total é 1.000.' }
+        ]
+      });
+    }
+    throw new Error(`URL inesperada: ${call.url}`);
+  });
+
+  const created = await submit({ question: 'Total de vendas?', context: { rows: [{ Vendas: 1000 }] } });
+  assert.equal(created.statusCode, 202);
+  const { jobId, status } = JSON.parse(created.body);
+  assert.equal(status, 'pending');
+
+  const trigger = calls.find(call => call.url.endsWith('chat-job-background'));
+  assert.equal(JSON.parse(trigger.body).jobId, jobId);
+
+  await running;
+
+  const job = await poll(jobId);
+  assert.equal(job.status, 'done');
+  assert.equal(job.answer, 'O total é 1.000.');
+  assert.equal(job.method, 'JOB_COPILOT');
+  assert.equal(job.conversation.conversationId, 'conv-1');
+
+  // O mesmo job não é processado duas vezes
+  const again = stubFetch(() => {
+    throw new Error('não deveria chamar o Direct Line');
+  });
+  await background.handler({ body: trigger.body });
+  assert.equal(again.length, 0);
+});
+
+test('job desconhecido responde 404', async () => {
+  const job = await poll('inexistente');
+  assert.equal(job.status, 'unknown');
+});
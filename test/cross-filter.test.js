@@ -0,0 +1,160 @@
+// test/cross-filter.test.js
+// 🎯 FILTRO CRUZADO: categorias citadas no texto e filtro básico "In" no modo tabela
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+// const enum do powerbi-visuals-api: o build do pbiviz substitui pelo número, o tsx não
+require('powerbi-visuals-api').FilterAction = { merge: 0, remove: 1 };
+
+const { CrossFilter } = require('../src/crossFilter.ts');
+
+const dimension = (name, table = 'Vendas') => ({ name, queryName: `${table}.${name}`, role: 'dimensao', type: 'text', isMeasure: false });
+const measure = name => ({ name, queryName: `Sum(Vendas.${name})`, role: 'medida', type: 'number', isMeasure: true });
+
+function createHost() {
+  const calls = { jsonFilters: [], selected: [], cleared: 0 };
+  const host = {
+    calls,
+    createSelectionManager: () => ({
+      select: async id => calls.selected.push(id),
+      clear: async () => calls.cleared++
+    }),
+    createSelectionIdBuilder: () => {
+      const id = {};
+      return {
+        withCategory(category, index) {
+          Object.assign(id, { column: category.source.displayName, index });
+          return this;
+        },
+        createSelectionId: () => id
+      };
+    },
+    applyJsonFilter: (filter, objectName, propertyName, action) => calls.jsonFilters.push({ filter, action })
+  };
+  return host;
+}
+
+// Modo tabela: linhas já pivotadas
+function tableFilter(rows, columns = [dimension('Medico'), dimension('Cidade'), measure('Valor')]) {
+  const host = createHost();
+  const filter = new CrossFilter(host);
+  filter.update({}, { mode: 'table', columns, rows, loadedRows: rows.length });
+  return { filter, host };
+}
+
+const ROWS = [
+  { Medico: 'Ana', Cidade: 'São Paulo', Valor: 10 },
+  { Medico: 'Ana Maria', Cidade: 'Belo Horizonte', Valor: 20 },
+  { Medico: 'José Antônio', Cidade: 'Rio de Janeiro', Valor: 5 },
+  { Medico: 'Bruno', Cidade: 'SP', Valor: 7 }
+];
+
+describe('findMentions', () => {
+  test('só palavra inteira: "Ana" não casa com "Banana"', () => {
+    const { filter } = tableFilter(ROWS);
+
+    assert.deepEqual(filter.findMentions('Banana e bananada'), []);
+    assert.deepEqual(filter.findMentions('Quem vendeu mais foi Ana.').map(m => m.label), ['Ana']);
+    assert.deepEqual(filter.findMentions('(ana)').map(m => m.label), ['Ana']);
+  });
+
+  test('acentos e caixa são ignorados; o valor original volta no rótulo', () => {
+    const { filter } = tableFilter(ROWS);
+    const mentions = filter.findMentions('Destaque para JOSE ANTONIO em sao paulo');
+
+    assert.deepEqual(mentions.map(m => m.label), ['José Antônio', 'São Paulo']);
+    assert.equal(mentions[0].column, 'Medico');
+    assert.equal(mentions[0].key, 'jose antonio');
+  });
+
+  test('valores com várias palavras: o mais longo ganha do contido nele', () => {
+    const { filter } = tableFilter(ROWS);
+
+    assert.deepEqual(filter.findMentions('A médica Ana Maria atendeu em Belo Horizonte').map(m => m.label), ['Belo Horizonte', 'Ana Maria']);
+  });
+
+  test('valores curtos e colunas não textuais ficam de fora', () => {
+    const { filter } = tableFilter(ROWS);
+
+    assert.deepEqual(filter.findMentions('Em SP o Valor foi 10'), []);
+  });
+
+  test('no máximo cinco menções', () => {
+    const rows = Array.from({ length: 8 }, (_, i) => ({ Medico: `Medico${i}` }));
+    const { filter } = tableFilter(rows, [dimension('Medico')]);
+
+    assert.equal(filter.findMentions(rows.map(r => r.Medico).join(', ')).length, 5);
+  });
+});
+
+describe('filtro JSON no modo tabela', () => {
+  test('aplica filtro básico "In" com tabela/coluna do queryName', async () => {
+    const { filter, host } = tableFilter(ROWS);
+
+    assert.equal(await filter.apply('Cidade', 'sao paulo'), true);
+
+    assert.deepEqual(host.calls.jsonFilters, [{
+      filter: {
+        $schema: 'http://powerbi.com/product/schema#basic',
+        target: { table: 'Vendas', column: 'Cidade' },
+        operator: 'In',
+        values: ['São Paulo'],
+        filterType: 1
+      },
+      action: 0
+    }]);
+    assert.ok(filter.isActive('Cidade', 'São Paulo'));
+    assert.equal(filter.getActive().label, 'São Paulo');
+  });
+
+  test('limpar remove o filtro JSON', async () => {
+    const { filter, host } = tableFilter(ROWS);
+    await filter.apply('Medico', 'Bruno');
+    await filter.clear();
+
+    assert.deepEqual(host.calls.jsonFilters[1], { filter: null, action: 1 });
+    assert.equal(filter.getActive(), null);
+    assert.equal(host.calls.cleared, 0);
+  });
+
+  test('queryName de hierarquia ou agregação não vira alvo', async () => {
+    const hierarchy = { ...dimension('Mes'), queryName: 'Calendario.Data.Variation.Hierarquia.Mes' };
+    const { filter, host } = tableFilter([{ Mes: 'Janeiro' }], [hierarchy]);
+
+    assert.equal(filter.canFilter('Mes'), false);
+    assert.equal(await filter.apply('Mes', 'Janeiro'), false);
+    assert.equal(host.calls.jsonFilters.length, 0);
+  });
+
+  test('valor desconhecido não filtra', async () => {
+    const { filter, host } = tableFilter(ROWS);
+
+    assert.equal(await filter.apply('Cidade', 'Curitiba'), false);
+    assert.equal(host.calls.jsonFilters.length, 0);
+  });
+
+  test('filtro removido pelo painel esquece o estado ativo', async () => {
+    const { filter } = tableFilter(ROWS);
+    await filter.apply('Medico', 'Ana');
+
+    filter.syncFilters([]);
+    assert.equal(filter.getActive(), null);
+  });
+});
+
+test('modo categórico seleciona pelo índice da categoria', async () => {
+  const host = createHost();
+  const filter = new CrossFilter(host);
+  const category = { source: { displayName: 'Regiao' }, values: ['Norte', 'Sul', 'Norte'] };
+  filter.update({ categorical: { categories: [category] } }, {
+    mode: 'categorical',
+    columns: [dimension('Regiao'), measure('Valor')],
+    rows: [],
+    loadedRows: 3
+  });
+
+  assert.equal(await filter.apply('Regiao', 'Sul'), true);
+  assert.deepEqual(host.calls.selected, [{ column: 'Regiao', index: 1 }]);
+  assert.equal(host.calls.jsonFilters.length, 0);
+});
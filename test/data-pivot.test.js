@@ -0,0 +1,165 @@
+// test/data-pivot.test.js
+// 🔀 DATAVIEW → LINHAS: tabela, categórico com várias medidas e categórico com série
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pivotDataView, countDataViewRows } = require('../src/dataPivot.ts');
+
+const TEXT = { text: true };
+const NUMBER = { numeric: true };
+const INTEGER = { numeric: true, integer: true };
+const DATE = { dateTime: true };
+
+const column = (displayName, type, extra = {}) => ({ displayName, queryName: `Tabela.${displayName}`, type, ...extra });
+
+// values categórico: array de colunas de valor + source/grouped() quando há série
+function categoricalValues(columns, series) {
+  const values = [...columns];
+  if (series) {
+    values.source = series.source;
+    values.grouped = () => series.groups;
+  }
+  return values;
+}
+
+test('tabela: tipos, papéis e agregação', () => {
+  const dataView = {
+    table: {
+      columns: [
+        column('Regiao', TEXT, { roles: { dimensions: true } }),
+        column('Data', DATE, { roles: { dateTime: true } }),
+        column('Vendas', NUMBER, { roles: { measures: true }, isMeasure: true, queryName: 'Sum(Tabela.Vendas)', format: 'R$ #,0' })
+      ],
+      rows: [
+        ['Sul', '2024-01-31T00:00:00Z', '10.5'],
+        ['Norte', 'não é data', null]
+      ]
+    }
+  };
+
+  const result = pivotDataView(dataView, 'table', 100);
+
+  assert.equal(result.mode, 'table');
+  assert.deepEqual(result.columns.map(c => [c.name, c.role, c.type]), [
+    ['Regiao', 'dimensao', 'text'],
+    ['Data', 'data', 'date'],
+    ['Vendas', 'medida', 'number']
+  ]);
+  assert.equal(result.columns[2].aggregation, 'Sum');
+  assert.equal(result.columns[2].format, 'R$ #,0');
+
+  assert.equal(result.rows[0].Vendas, 10.5);
+  assert.equal(result.rows[0].Data.toISOString(), '2024-01-31T00:00:00.000Z');
+  assert.equal(result.rows[1].Data, null);
+  assert.equal(result.rows[1].Vendas, null);
+});
+
+test('tabela respeita o limite e informa o total carregado', () => {
+  const dataView = {
+    table: {
+      columns: [column('N', INTEGER)],
+      rows: Array.from({ length: 5 }, (_, i) => [i])
+    }
+  };
+
+  const result = pivotDataView(dataView, 'table', 3);
+  assert.equal(result.rows.length, 3);
+  assert.equal(result.loadedRows, 5);
+  assert.equal(countDataViewRows(dataView, 'table'), 5);
+});
+
+test('categórico: várias categorias e medidas alinhadas por índice', () => {
+  const dataView = {
+    categorical: {
+      categories: [
+        { source: column('Regiao', TEXT, { roles: { dimensions: true } }), values: ['Sul', 'Norte'] },
+        { source: column('Ano', INTEGER, { roles: { dimensions: true } }), values: [2023, 2024] }
+      ],
+      values: categoricalValues([
+        { source: column('Vendas', NUMBER, { isMeasure: true }), values: [10, 20] },
+        { source: column('Custo', NUMBER, { isMeasure: true }), values: [1, 2] }
+      ])
+    }
+  };
+
+  const result = pivotDataView(dataView, 'categorical', 100);
+
+  assert.equal(result.mode, 'categorical');
+  assert.deepEqual(result.rows, [
+    { Regiao: 'Sul', Ano: 2023, Vendas: 10, Custo: 1 },
+    { Regiao: 'Norte', Ano: 2024, Vendas: 20, Custo: 2 }
+  ]);
+  assert.deepEqual(result.columns.map(c => c.role), ['dimensao', 'dimensao', 'medida', 'medida']);
+});
+
+test('categórico com série: uma linha por categoria × série', () => {
+  const vendas = column('Vendas', NUMBER, { isMeasure: true });
+  const dataView = {
+    categorical: {
+      categories: [{ source: column('Regiao', TEXT), values: ['Sul', 'Norte'] }],
+      values: categoricalValues([], {
+        source: column('Canal', TEXT),
+        groups: [
+          { name: 'Loja', values: [{ source: vendas, values: [1, 2] }] },
+          { name: 'Online', values: [{ source: vendas, values: [3, 4] }] }
+        ]
+      })
+    }
+  };
+
+  const result = pivotDataView(dataView, 'categorical', 100);
+
+  assert.deepEqual(result.columns.map(c => c.name), ['Regiao', 'Canal', 'Vendas']);
+  assert.deepEqual(result.rows, [
+    { Regiao: 'Sul', Canal: 'Loja', Vendas: 1 },
+    { Regiao: 'Sul', Canal: 'Online', Vendas: 3 },
+    { Regiao: 'Norte', Canal: 'Loja', Vendas: 2 },
+    { Regiao: 'Norte', Canal: 'Online', Vendas: 4 }
+  ]);
+  assert.equal(result.loadedRows, 4);
+
+  assert.equal(pivotDataView(dataView, 'categorical', 3).rows.length, 3);
+});
+
+test('mesmo campo duas vezes ganha nome único', () => {
+  const dataView = {
+    categorical: {
+      categories: [{ source: column('Regiao', TEXT), values: ['Sul'] }],
+      values: categoricalValues([
+        { source: column('Vendas', NUMBER, { queryName: 'Sum(Tabela.Vendas)' }), values: [10] },
+        { source: column('Vendas', NUMBER, { queryName: 'Avg(Tabela.Vendas)' }), values: [5] }
+      ])
+    }
+  };
+
+  const result = pivotDataView(dataView, 'categorical', 100);
+  assert.deepEqual(result.rows, [{ Regiao: 'Sul', Vendas: 10, 'Vendas (2)': 5 }]);
+  assert.deepEqual(result.columns.map(c => c.aggregation), [undefined, 'Sum', 'Avg']);
+});
+
+test('papel legado deduzido pelo tipo do campo', () => {
+  const dataView = {
+    table: {
+      columns: [
+        column('Quando', DATE, { roles: { contextData: true } }),
+        column('Quanto', NUMBER, { roles: { contextData: true }, isMeasure: true }),
+        column('Quem', TEXT, { roles: { contextData: true } })
+      ],
+      rows: []
+    }
+  };
+
+  assert.deepEqual(pivotDataView(dataView, 'table', 10).columns.map(c => c.role), ['data', 'medida', 'dimensao']);
+});
+
+test('modo pedido indisponível usa o outro; sem dados devolve null', () => {
+  const table = { table: { columns: [column('A', TEXT)], rows: [['x']] } };
+  assert.equal(pivotDataView(table, 'categorical', 10).mode, 'table');
+
+  const categorical = { categorical: { categories: [{ source: column('A', TEXT), values: ['x'] }] } };
+  assert.equal(pivotDataView(categorical, 'table', 10).mode, 'categorical');
+  assert.equal(countDataViewRows(categorical, 'table'), 1);
+
+  assert.equal(pivotDataView({}, 'table', 10), null);
+});
@@ -0,0 +1,192 @@
+// test/directline.test.js
+// 🤖 CLIENTE DIRECT LINE COM fetch FALSO: conversa, reenvio após token recusado, watermark e replyToId
+
+process.env.COPILOT_SECRET = 'secret-de-teste';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stubFetch, respond } = require('./helpers/fetch-stub');
+const {
+  DirectLineClient,
+  DirectLineAuthError,
+  DirectLineTimeoutError,
+  pickReply,
+  isBotActivity
+} = require('../netlify/lib/directline');
+
+const BASE = 'https://directline.botframework.com/v3/directline';
+const FAST = { pollInterval: 1, pollAttempts: 5, totalTimeout: 2000 };
+
+const bot = (id, text, extra = {}) => ({ id, type: 'message', from: { id: 'copilot-bot' }, text, ...extra });
+const user = (id, text) => ({ id, type: 'message', from: { id: 'PowerBI_User' }, text });
+
+const path = call => call.url.replace(BASE, '');
+
+describe('ensureConversation', () => {
+  test('sem estado abre conversa com o secret', async () => {
+    const calls = stubFetch(() => respond(201, { conversationId: 'c1', token: 'tok-1', expires_in: 3600 }));
+    const client = new DirectLineClient();
+
+    await client.ensureConversation();
+
+    assert.equal(calls.length, 1);
+    assert.equal(path(calls[0]), '/conversations');
+    assert.equal(calls[0].headers.Authorization, 'Bearer secret-de-teste');
+    assert.equal(client.getState().conversationId, 'c1');
+    assert.equal(client.getState().token, 'tok-1');
+  });
+
+  test('estado válido é reaproveitado sem chamada', async () => {
+    const calls = stubFetch(() => respond(500));
+    const client = new DirectLineClient().resume({ conversationId: 'c1', token: 'tok', expiresAt: Date.now() + 30 * 60 * 1000, watermark: '4' });
+
+    await client.ensureConversation();
+
+    assert.equal(calls.length, 0);
+    assert.equal(client.watermark, '4');
+  });
+
+  test('token perto de expirar é renovado com o próprio token', async () => {
+    const calls = stubFetch(() => respond(200, { token: 'tok-novo', expires_in: 1800 }));
+    const client = new DirectLineClient().resume({ conversationId: 'c1', token: 'tok-velho', expiresAt: Date.now() + 10 * 1000 });
+
+    await client.ensureConversation();
+
+    assert.equal(path(calls[0]), '/tokens/refresh');
+    assert.equal(calls[0].headers.Authorization, 'Bearer tok-velho');
+    assert.equal(client.token, 'tok-novo');
+    assert.equal(client.conversationId, 'c1');
+  });
+
+  test('renovação recusada abre conversa nova', async () => {
+    const calls = stubFetch(call => path(call) === '/tokens/refresh'
+      ? respond(403)
+      : respond(201, { conversationId: 'c2', token: 'tok-2' }));
+    const client = new DirectLineClient().resume({ conversationId: 'c1', token: 'tok-velho', expiresAt: Date.now() + 10 * 1000 });
+
+    await client.ensureConversation();
+
+    assert.deepEqual(calls.map(path), ['/tokens/refresh', '/conversations']);
+    assert.equal(client.conversationId, 'c2');
+  });
+
+  test('conversationId sem token não é retomado', async () => {
+    stubFetch(() => respond(201, { conversationId: 'c-nova', token: 'tok' }));
+    const client = new DirectLineClient().resume({ conversationId: 'c-de-outro' });
+
+    await client.ensureConversation();
+
+    assert.equal(client.conversationId, 'c-nova');
+  });
+});
+
+describe('sendMessage', () => {
+  test('token recusado ao enviar: nova conversa e reenvio', async () => {
+    const calls = stubFetch(call => {
+      if (path(call) === '/conversations') return respond(201, { conversationId: 'c2', token: 'tok-2' });
+      if (path(call) === '/conversations/c1/activities') return respond(401);
+      return respond(200, { id: 'c2|0001' });
+    });
+    const client = new DirectLineClient().resume({ conversationId: 'c1', token: 'tok-expirado', expiresAt: Date.now() + 30 * 60 * 1000 });
+
+    const id = await client.sendMessage('Total de vendas?');
+
+    assert.equal(id, 'c2|0001');
+    assert.deepEqual(calls.map(path), ['/conversations/c1/activities', '/conversations', '/conversations/c2/activities']);
+    assert.deepEqual(JSON.parse(calls[2].body), { type: 'message', from: { id: 'PowerBI_User' }, text: 'Total de vendas?' });
+    assert.equal(calls[2].headers.Authorization, 'Bearer tok-2');
+  });
+
+  test('sem secret o erro de autenticação sobe', async () => {
+    stubFetch(() => respond(403));
+    const client = new DirectLineClient();
+    client.secret = null;
+    client.resume({ conversationId: 'c1', token: 'tok', expiresAt: Date.now() + 30 * 60 * 1000 });
+
+    await assert.rejects(client.sendMessage('oi'), DirectLineAuthError);
+  });
+});
+
+describe('waitForReply', () => {
+  test('lê de forma incremental pelo watermark', async () => {
+    const pages = [
+      { activities: [{ id: 'a1', type: 'typing', from: { id: 'copilot-bot' } }], watermark: '1' },
+      { activities: [bot('a2', 'Resposta', { replyToId: 'm1' })], watermark: '2' }
+    ];
+    const calls = stubFetch(() => respond(200, pages.shift()));
+    const client = new DirectLineClient({ budget: FAST }).resume({ conversationId: 'c1', token: 'tok' });
+    const seen = [];
+
+    const reply = await client.waitForReply(Date.now() + 1000, 'm1', activity => seen.push(activity.id));
+
+    assert.equal(reply.text, 'Resposta');
+    assert.deepEqual(calls.map(path), ['/conversations/c1/activities', '/conversations/c1/activities?watermark=1']);
+    assert.deepEqual(seen, ['a1', 'a2']);
+    assert.equal(client.getState().watermark, '2');
+  });
+
+  test('resposta atrasada de outra pergunta é ignorada', async () => {
+    const pages = [
+      { activities: [bot('a1', 'Resposta antiga', { replyToId: 'm0' })], watermark: '1' },
+      { activities: [bot('a2', 'Resposta certa', { replyToId: 'm1' })], watermark: '2' }
+    ];
+    stubFetch(() => respond(200, pages.shift()));
+    const client = new DirectLineClient({ budget: FAST }).resume({ conversationId: 'c1', token: 'tok' });
+
+    const reply = await client.waitForReply(Date.now() + 1000, 'm1');
+
+    assert.equal(reply.text, 'Resposta certa');
+    assert.equal(reply.id, 'a2');
+  });
+
+  test('sem resposta dentro das tentativas: timeout', async () => {
+    stubFetch(() => respond(200, { activities: [], watermark: '0' }));
+    const client = new DirectLineClient({ budget: { ...FAST, pollAttempts: 2 } }).resume({ conversationId: 'c1', token: 'tok' });
+
+    await assert.rejects(client.waitForReply(Date.now() + 1000, 'm1'), DirectLineTimeoutError);
+  });
+
+  test('falha de rede no polling tenta de novo; autenticação não', async () => {
+    let polls = 0;
+    stubFetch(() => ++polls === 1 ? respond(502) : respond(200, { activities: [bot('a1', 'ok')] }));
+    const client = new DirectLineClient({ budget: FAST }).resume({ conversationId: 'c1', token: 'tok' });
+    assert.equal((await client.waitForReply(Date.now() + 1000, 'm1')).text, 'ok');
+
+    stubFetch(() => respond(401));
+    await assert.rejects(client.waitForReply(Date.now() + 1000, 'm1'), DirectLineAuthError);
+  });
+});
+
+describe('pickReply e isBotActivity', () => {
+  test('mensagens do próprio usuário não são do bot', () => {
+    assert.equal(isBotActivity(user('u1', 'pergunta')), false);
+    assert.equal(isBotActivity(bot('b1', 'resposta')), true);
+    assert.equal(isBotActivity({ id: 'x', type: 'message' }), false);
+  });
+
+  test('junta textos, soma anexos e usa as sugestões da última mensagem', () => {
+    const card = { contentType: 'application/vnd.microsoft.card.adaptive', content: {} };
+    const reply = pickReply([
+      user('u1', 'pergunta'),
+      bot('b1', 'Parte 1', { replyToId: 'u1' }),
+      bot('b2', undefined, { replyToId: 'u1', attachments: [card] }),
+      bot('b3', 'Parte 2', { replyToId: 'u1', suggestedActions: { actions: [{ title: 'Mais' }] } })
+    ], 'u1');
+
+    assert.deepEqual(reply, {
+      id: 'b3',
+      text: 'Parte 1\n\nParte 2',
+      attachments: [card],
+      suggestedActions: [{ title: 'Mais' }]
+    });
+  });
+
+  test('replyToId de outra pergunta fica de fora; sem replyToId é aceito', () => {
+    const activities = [bot('b1', 'antiga', { replyToId: 'u0' }), bot('b2', 'nova')];
+
+    assert.equal(pickReply(activities, 'u1').text, 'nova');
+    assert.equal(pickReply([bot('b1', 'antiga', { replyToId: 'u0' })], 'u1'), null);
+    assert.equal(pickReply([user('u1', 'só eu')], 'u1'), null);
+  });
+});
@@ -0,0 +1,110 @@
+// test/health-check.test.js
+// 🩺 HEALTH CHECK: OPTIONS nos endpoints publicados e Copilot só com X-Admin-Key
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.NETLIFY_DEV = 'true';
+process.env.COPILOT_SECRET = 'secret-de-teste';
+process.env.DEBUG_ADMIN_KEY = 'chave-admin';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stubFetch, respond } = require('./helpers/fetch-stub');
+const healthCheck = require('../netlify/functions/health-check');
+const jsonp = require('../netlify/functions/chat-jsonp');
+
+const SITE = 'https://bridge.exemplo.com';
+
+async function check(headers = {}) {
+  const response = await healthCheck.handler({ httpMethod: 'GET', headers });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+beforeEach(() => {
+  process.env.URL = SITE;
+});
+
+test('cada transporte recebe um OPTIONS, sem o background', async () => {
+  const calls = stubFetch(() => respond(204));
+  const { statusCode, body } = await check();
+
+  assert.equal(statusCode, 200);
+  assert.equal(body.status, 'up');
+
+  const probed = calls.filter(call => call.method === 'OPTIONS').map(call => call.url);
+  assert.ok(probed.includes(`${SITE}/.netlify/functions/chat`));
+  assert.ok(probed.includes(`${SITE}/.netlify/functions/chat-pixel`));
+  assert.ok(!probed.some(url => url.endsWith('chat-job-background')));
+  assert.equal(calls.length, probed.length);
+
+  assert.equal(body.components.transports['chat-sse'].status, 'up');
+  assert.equal(body.components.transports['chat-sse'].httpStatus, 204);
+});
+
+test('erro 5xx ou falha de rede derruba só aquele transporte', async () => {
+  stubFetch(call => {
+    if (call.url.endsWith('/chat-sse')) return respond(502);
+    if (call.url.endsWith('/chat-pixel')) throw new Error('ECONNRESET');
+    return respond(405);
+  });
+  const { statusCode, body } = await check();
+
+  assert.equal(statusCode, 200);
+  assert.equal(body.status, 'degraded');
+  assert.equal(body.components.transports['chat-sse'].status, 'down');
+  assert.equal(body.components.transports['chat-pixel'].error, 'ECONNRESET');
+  assert.equal(body.components.transports['chat-jsonp'].status, 'up');
+});
+
+test('todos os transportes fora: 503', async () => {
+  stubFetch(() => respond(500));
+  const { statusCode, body } = await check();
+
+  assert.equal(statusCode, 503);
+  assert.equal(body.status, 'down');
+});
+
+test('sem URL do site as sondas ficam de fora', async () => {
+  delete process.env.URL;
+  const calls = stubFetch(() => respond(204));
+  const { body } = await check();
+
+  assert.equal(calls.length, 0);
+  assert.equal(body.components.transports.chat.status, 'skipped');
+  assert.equal(body.status, 'up');
+});
+
+test('Copilot não é testado sem X-Admin-Key', async () => {
+  const calls = stubFetch(() => respond(204));
+  const { body } = await check();
+
+  assert.equal(body.components.copilot.status, 'not_tested');
+  assert.ok(!calls.some(call => call.url.includes('directline')));
+});
+
+test('com X-Admin-Key o Copilot gera um token', async () => {
+  const calls = stubFetch(call => call.url.endsWith('/tokens/generate')
+    ? respond(200, { token: 'tok', conversationId: 'c1', expires_in: 3600 })
+    : respond(204));
+  const { body } = await check({ 'x-admin-key': 'chave-admin' });
+
+  assert.equal(body.components.copilot.status, 'up');
+  const tokenCall = calls.find(call => call.url.endsWith('/tokens/generate'));
+  assert.equal(tokenCall.method, 'POST');
+});
+
+test('X-Admin-Key errada é recusada', async () => {
+  const calls = stubFetch(() => respond(204));
+  const { statusCode } = await check({ 'x-admin-key': 'errada' });
+
+  assert.equal(statusCode, 401);
+  assert.equal(calls.length, 0);
+});
+
+test('transporte GET responde o preflight sem chamar o Copilot', async () => {
+  const calls = stubFetch(() => respond(200));
+  const response = await jsonp.handler({ httpMethod: 'OPTIONS', headers: { origin: 'https://app.powerbi.com' } });
+
+  assert.equal(response.statusCode, 204);
+  assert.equal(calls.length, 0);
+});
@@ -0,0 +1,41 @@
+// test/helpers/fetch-stub.js
+// 🌐 node-fetch FALSO PARA AS FUNÇÕES: cada teste decide a resposta de cada URL
+// Precisa ser carregado antes dos módulos que fazem require('node-fetch').
+
+const calls = [];
+let route = () => {
+  throw new Error('fetch sem rota no teste');
+};
+
+function fakeFetch(url, options = {}) {
+  const call = { url: String(url), method: options.method || 'GET', headers: options.headers || {}, body: options.body };
+  calls.push(call);
+  return Promise.resolve().then(() => route(call));
+}
+
+require.cache[require.resolve('node-fetch')] = {
+  id: require.resolve('node-fetch'),
+  filename: require.resolve('node-fetch'),
+  loaded: true,
+  exports: fakeFetch
+};
+
+// Resposta no formato que os módulos leem (status, ok, headers.get, text, json)
+function respond(status, body, headers = {}) {
+  const text = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    text: async () => text,
+    json: async () => JSON.parse(text)
+  };
+}
+
+function stubFetch(handler) {
+  route = handler;
+  calls.length = 0;
+  return calls;
+}
+
+module.exports = { stubFetch, respond, calls };
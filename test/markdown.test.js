@@ -0,0 +1,99 @@
+// test/markdown.test.js
+// 📝 MARKDOWN SEGURO: HTML do bot vira texto, só tags e esquemas de URL da allow-list
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('');
+global.window = window;
+global.document = window.document;
+
+const { renderMarkdown } = require('../src/markdown.ts');
+
+function render(markdown, options) {
+  const container = document.createElement('div');
+  container.appendChild(renderMarkdown(markdown, options));
+  return container;
+}
+
+test('HTML na resposta aparece como texto', () => {
+  const container = render('<script>alert(1)</script> <img src=x onerror="alert(2)">');
+
+  assert.equal(container.querySelector('script'), null);
+  assert.equal(container.querySelector('img'), null);
+  assert.equal(container.textContent, '<script>alert(1)</script> <img src=x onerror="alert(2)">');
+});
+
+test('HTML dentro de negrito, código e tabela também vira texto', () => {
+  const container = render('**<b onclick="x()">a</b>** `<i>b</i>`\n\n| <td> |\n|---|\n| <iframe> |');
+
+  assert.equal(container.querySelector('b, i, iframe, [onclick]'), null);
+  assert.equal(container.querySelector('strong').textContent, '<b onclick="x()">a</b>');
+  assert.equal(container.querySelector('code').textContent, '<i>b</i>');
+  assert.equal(container.querySelector('tbody td').textContent, '<iframe>');
+});
+
+test('links só com http(s) e mailto', () => {
+  const container = render('[ok](https://exemplo.com) [mal](javascript:alert(1)) [dados](data:text/html,x) [mail](mailto:a@b.com)');
+  const links = [...container.querySelectorAll('a')];
+
+  assert.deepEqual(links.map(link => link.getAttribute('href')), ['https://exemplo.com', 'mailto:a@b.com']);
+  assert.match(container.textContent, /mal/);
+  assert.equal(links[0].target, '_blank');
+  assert.equal(links[0].rel, 'noopener noreferrer');
+});
+
+test('URL solta vira link sem a pontuação final', () => {
+  const link = render('Veja https://exemplo.com/relatorio.').querySelector('a');
+  assert.equal(link.getAttribute('href'), 'https://exemplo.com/relatorio');
+});
+
+test('onLink abre pelo host em vez de navegar', () => {
+  const opened = [];
+  const link = render('[ok](https://exemplo.com)', { onLink: url => opened.push(url) }).querySelector('a');
+
+  const event = new window.MouseEvent('click', { cancelable: true });
+  link.dispatchEvent(event);
+
+  assert.deepEqual(opened, ['https://exemplo.com']);
+  assert.equal(event.defaultPrevented, true);
+});
+
+test('ênfase, tachado e escape', () => {
+  const container = render('**negrito** *itálico* _também_ ~~riscado~~ \\*literal\\* nome_com_underscore');
+
+  assert.equal(container.querySelector('strong').textContent, 'negrito');
+  assert.deepEqual([...container.querySelectorAll('em')].map(em => em.textContent), ['itálico', 'também']);
+  assert.equal(container.querySelector('del').textContent, 'riscado');
+  assert.match(container.textContent, /\*literal\* nome_com_underscore/);
+});
+
+test('blocos: títulos, listas, citação, regra e código', () => {
+  const container = render('# Título\n- a\n- b\n\n1. um\n2. dois\n\n> citação\n\n---\n\n```\n<b>cru</b>\n```');
+
+  assert.equal(container.querySelector('h3').textContent, 'Título');
+  assert.equal(container.querySelectorAll('ul li').length, 2);
+  assert.equal(container.querySelectorAll('ol li').length, 2);
+  assert.equal(container.querySelector('blockquote').textContent, 'citação');
+  assert.ok(container.querySelector('hr'));
+  assert.equal(container.querySelector('pre code').textContent, '<b>cru</b>');
+});
+
+test('tabela com alinhamento e pipe escapado', () => {
+  const table = render('| Nome | Valor |\n|:---|---:|\n| A \\| B | 10 |').querySelector('table');
+
+  assert.deepEqual([...table.querySelectorAll('th')].map(th => th.textContent), ['Nome', 'Valor']);
+  assert.equal(table.querySelector('td').textContent, 'A | B');
+  assert.equal(table.querySelectorAll('td')[1].style.textAlign, 'right');
+});
+
+test('quebras de linha do parágrafo são mantidas', () => {
+  const paragraph = render('linha 1\nlinha 2').querySelector('p');
+  assert.equal(paragraph.querySelectorAll('br').length, 1);
+});
+
+test('entrada vazia ou ausente não quebra', () => {
+  assert.equal(render('').childNodes.length, 0);
+  assert.equal(render(undefined).childNodes.length, 0);
+});
@@ -0,0 +1,154 @@
+// test/rate-limit.test.js
+// 🚦 COTA POR IP (+ INSTÂNCIA ASSINADA): toda requisição conta, requestId só repete a recusa já dada
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkRateLimit, getClientKey } = require('../netlify/lib/rate-limit');
+
+// Meio de uma janela de minuto: o teste não cruza a virada
+const NOW = Date.UTC(2024, 0, 15, 12, 30, 30);
+
+let nextIp = 1;
+const newIp = () => `203.0.113.${nextIp++}`;
+
+function request(ip, { params = {}, headers = {} } = {}) {
+  return { headers: { 'x-nf-client-connection-ip': ip, ...headers }, queryStringParameters: params };
+}
+
+beforeEach(t => {
+  t.mock.method(Date, 'now', () => NOW);
+  process.env.RATE_LIMIT_PER_MINUTE = '3';
+  process.env.RATE_LIMIT_PER_DAY = '100';
+  delete process.env.REQUEST_SIGNING_KEY;
+});
+
+test('cliente é o IP, não o que ele manda', () => {
+  const key = getClientKey(request('198.51.100.7', { headers: { 'x-client-id': 'outro' }, params: { clientId: 'outro' } }));
+  assert.equal(key, 'ip:198.51.100.7');
+
+  assert.equal(getClientKey({ headers: { 'x-forwarded-for': '198.51.100.8, 10.0.0.1' } }), 'ip:198.51.100.8');
+  assert.equal(getClientKey({ headers: {} }), 'ip:unknown');
+});
+
+test('instância do visual só entra na chave com assinatura', () => {
+  const event = request('198.51.100.9');
+  assert.equal(getClientKey(event, 'pbi_lqz1_abc123'), 'ip:198.51.100.9');
+
+  process.env.REQUEST_SIGNING_KEY = 'segredo';
+  assert.equal(getClientKey(event, 'pbi_lqz1_abc123'), 'ip:198.51.100.9|visual:pbi_lqz1_abc123');
+
+  // Formato inválido cai no IP puro
+  assert.equal(getClientKey(event, 'curto'), 'ip:198.51.100.9');
+  assert.equal(getClientKey(event, 'x'.repeat(65)), 'ip:198.51.100.9');
+  assert.equal(getClientKey(event, 'pbi lqz1|abc'), 'ip:198.51.100.9');
+});
+
+test('recusa depois do limite por minuto', async () => {
+  const ip = newIp();
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await checkRateLimit(request(ip)), null);
+  }
+
+  const rejection = await checkRateLimit(request(ip));
+  assert.equal(rejection.statusCode, 429);
+  assert.equal(rejection.code, 'RATE_LIMITED');
+  assert.equal(rejection.retryAfter, 30);
+  assert.match(rejection.answer, /3 perguntas por minuto/);
+});
+
+test('mesmo requestId em vários transportes conta cada chamada', async () => {
+  const ip = newIp();
+  const results = [];
+
+  // Corrida + fallbacks: seis transportes com o mesmo requestId
+  for (let i = 0; i < 6; i++) {
+    results.push(await checkRateLimit(request(ip), { requestId: 'pergunta-1' }));
+  }
+
+  assert.equal(results.filter(result => result === null).length, 3);
+  assert.equal(results.filter(result => result?.code === 'RATE_LIMITED').length, 3);
+});
+
+test('recusa de um requestId se repete para os outros transportes', async t => {
+  const ip = newIp();
+  for (let i = 0; i < 3; i++) await checkRateLimit(request(ip));
+
+  const first = await checkRateLimit(request(ip, { params: { requestId: 'pergunta-2' } }));
+  assert.equal(first.code, 'RATE_LIMITED');
+
+  // Um minuto depois a cota voltou, mas a mesma pergunta continua recusada
+  Date.now.mock.mockImplementation(() => NOW + 60 * 1000);
+  const repeated = await checkRateLimit(request(ip, { headers: { 'x-request-id': 'pergunta-2' } }));
+  assert.deepEqual(repeated, first);
+
+  assert.equal(await checkRateLimit(request(ip), { requestId: 'pergunta-3' }), null);
+});
+
+test('trocar clientId ou requestId não gera cota nova', async () => {
+  const ip = newIp();
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await checkRateLimit(request(ip, { params: { clientId: `c${i}` } }), { requestId: `r${i}` }), null);
+  }
+
+  const rejection = await checkRateLimit(request(ip, { params: { clientId: 'novo' } }), { requestId: 'novo' });
+  assert.equal(rejection?.code, 'RATE_LIMITED');
+});
+
+test('IPs diferentes têm cotas separadas', async () => {
+  const first = newIp();
+  for (let i = 0; i < 3; i++) await checkRateLimit(request(first));
+
+  assert.equal((await checkRateLimit(request(first)))?.code, 'RATE_LIMITED');
+  assert.equal(await checkRateLimit(request(newIp())), null);
+});
+
+test('mesmo IP (NAT) com instâncias assinadas tem cotas separadas', async () => {
+  process.env.REQUEST_SIGNING_KEY = 'segredo';
+  const ip = newIp();
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await checkRateLimit(request(ip), { instanceId: 'pbi_visual_a1' }), null);
+  }
+  assert.equal((await checkRateLimit(request(ip), { instanceId: 'pbi_visual_a1' }))?.code, 'RATE_LIMITED');
+
+  // Outro visual atrás do mesmo IP, pelo corpo ou pelos parâmetros do GET
+  assert.equal(await checkRateLimit(request(ip), { instanceId: 'pbi_visual_b2' }), null);
+  assert.equal(await checkRateLimit(request(ip, { params: { instanceId: 'pbi_visual_c3' } })), null);
+});
+
+test('sem assinatura a instância não gera cota nova', async () => {
+  const ip = newIp();
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await checkRateLimit(request(ip), { instanceId: `pbi_visual_${i}x` }), null);
+  }
+  assert.equal((await checkRateLimit(request(ip), { instanceId: 'pbi_visual_novo' }))?.code, 'RATE_LIMITED');
+});
+
+test('limite diário', async () => {
+  process.env.RATE_LIMIT_PER_MINUTE = '0';
+  process.env.RATE_LIMIT_PER_DAY = '2';
+  const ip = newIp();
+
+  assert.equal(await checkRateLimit(request(ip)), null);
+  assert.equal(await checkRateLimit(request(ip)), null);
+
+  const rejection = await checkRateLimit(request(ip));
+  assert.match(rejection.message, /por dia/);
+  assert.equal(rejection.retryAfter, (11 * 60 + 29) * 60 + 30);
+});
+
+test('limites zerados desligam a cota', async () => {
+  process.env.RATE_LIMIT_PER_MINUTE = '0';
+  process.env.RATE_LIMIT_PER_DAY = '0';
+  const ip = newIp();
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await checkRateLimit(request(ip)), null);
+  }
+});
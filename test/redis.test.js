@@ -0,0 +1,150 @@
+// test/redis.test.js
+// 🟥 CLIENTE RESP: parser incremental e uma operação completa sobre um socket falso
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { RedisStorage, RespParser } = require('../netlify/lib/storage/redis');
+
+function parseAll(...chunks) {
+  const parser = new RespParser();
+  const replies = [];
+  for (const chunk of chunks) {
+    parser.push(Buffer.from(chunk));
+    let reply;
+    while ((reply = parser.next()) !== undefined) replies.push(reply);
+  }
+  return replies;
+}
+
+describe('RespParser', () => {
+  test('simple string', () => {
+    assert.deepEqual(parseAll('+OK\r\n'), ['OK']);
+  });
+
+  test('bulk string, inclusive com acento e CRLF no valor', () => {
+    assert.deepEqual(parseAll('$5\r\nhello\r\n'), ['hello']);
+    assert.deepEqual(parseAll(`$${Buffer.byteLength('ação')}\r\nação\r\n`), ['ação']);
+    assert.deepEqual(parseAll('$4\r\na\r\nb\r\n'), ['a\r\nb']);
+  });
+
+  test('nil de bulk e de array', () => {
+    assert.deepEqual(parseAll('$-1\r\n*-1\r\n'), [null, null]);
+  });
+
+  test('inteiros', () => {
+    assert.deepEqual(parseAll(':42\r\n:-3\r\n'), [42, -3]);
+  });
+
+  test('erro vira Error sem interromper o parser', () => {
+    const [error, next] = parseAll('-ERR wrong type\r\n+OK\r\n');
+    assert.ok(error instanceof Error);
+    assert.equal(error.message, 'Redis: ERR wrong type');
+    assert.equal(next, 'OK');
+  });
+
+  test('array com tipos misturados', () => {
+    assert.deepEqual(parseAll('*3\r\n:1\r\n$1\r\na\r\n$-1\r\n'), [[1, 'a', null]]);
+  });
+
+  test('resposta fragmentada só sai quando completa', () => {
+    const parser = new RespParser();
+
+    parser.push(Buffer.from('$11\r\nhello '));
+    assert.equal(parser.next(), undefined);
+    parser.push(Buffer.from('wor'));
+    assert.equal(parser.next(), undefined);
+    parser.push(Buffer.from('ld\r\n:7'));
+    assert.equal(parser.next(), 'hello world');
+    assert.equal(parser.next(), undefined);
+    parser.push(Buffer.from('\r\n'));
+    assert.equal(parser.next(), 7);
+  });
+
+  test('tipo desconhecido é erro de protocolo', () => {
+    assert.throws(() => parseAll('?x\r\n'), /Resposta Redis inválida/);
+  });
+});
+
+// Socket que responde a cada write com o que o teste mandar
+class FakeSocket extends EventEmitter {
+  constructor(onWrite) {
+    super();
+    this.onWrite = onWrite;
+    this.written = '';
+    this.destroyed = false;
+    this.endedWith = null;
+    setImmediate(() => this.emit('connect'));
+  }
+
+  write(data) {
+    this.written += data;
+    setImmediate(() => this.onWrite(this, data));
+  }
+
+  end(data) {
+    this.endedWith = data;
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+
+  setTimeout() {}
+}
+
+function storageWith(url, onWrite) {
+  const storage = new RedisStorage({ url });
+  storage.connect = () => (storage.socket = new FakeSocket(onWrite));
+  return storage;
+}
+
+describe('RedisStorage com socket falso', () => {
+  test('AUTH + SELECT + GET em pipeline, resposta em pedaços', async () => {
+    const value = JSON.stringify({ status: 'completed' });
+    const storage = storageWith('redis://:senha@cache.local:6380/2', socket => {
+      socket.emit('data', Buffer.from('+OK\r\n+OK\r\n'));
+      socket.emit('data', Buffer.from(`$${value.length}\r\n${value.slice(0, 5)}`));
+      socket.emit('data', Buffer.from(`${value.slice(5)}\r\n`));
+    });
+
+    assert.deepEqual(await storage.get('job_1'), { status: 'completed' });
+
+    const { written, endedWith } = storage.socket;
+    assert.match(written, /^\*2\r\n\$4\r\nAUTH\r\n\$5\r\nsenha\r\n/);
+    assert.match(written, /\*2\r\n\$6\r\nSELECT\r\n\$1\r\n2\r\n/);
+    assert.match(written, /\*2\r\n\$3\r\nGET\r\n\$16\r\npbi-bridge:job_1\r\n$/);
+    assert.equal(endedWith, '*1\r\n$4\r\nQUIT\r\n');
+  });
+
+  test('erro do servidor rejeita e descarta a conexão', async () => {
+    const storage = storageWith('redis://cache.local', socket => {
+      socket.emit('data', Buffer.from('-NOAUTH Authentication required\r\n'));
+    });
+
+    await assert.rejects(storage.get('x'), /NOAUTH/);
+    assert.equal(storage.socket.destroyed, true);
+  });
+
+  test('conexão fechada antes da resposta rejeita o comando pendente', async () => {
+    const storage = storageWith('redis://:senha@cache.local', socket => {
+      socket.emit('data', Buffer.from('+OK\r\n'));
+      socket.emit('end');
+      socket.emit('close');
+    });
+
+    await assert.rejects(storage.increment('rate_x'), /encerrou a conexão com 1 comando/);
+    assert.equal(storage.socket.destroyed, true);
+  });
+
+  test('fechamento depois da resposta não afeta o resultado', async () => {
+    const storage = storageWith('redis://cache.local', socket => {
+      socket.emit('data', Buffer.from(':3\r\n'));
+      socket.emit('close');
+    });
+
+    assert.equal(await storage.increment('rate_y', { ttlMs: 1000 }), 3);
+    assert.equal(storage.socket.destroyed, false);
+  });
+});
@@ -0,0 +1,84 @@
+// test/response-store.test.js
+// 📮 RESPOSTAS DO PIXEL: prefixo próprio e sessões validadas (a bridge não alcança outras chaves)
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getStorage } = require('../netlify/lib/storage');
+const { saveResponse, readResponse, isValidSessionId, RESPONSE_PREFIX } = require('../netlify/lib/response-store');
+const bridge = require('../netlify/functions/storage-bridge');
+
+const SESSION = 'pbi_pixel_1700000000000_abc123';
+
+function get(params) {
+  return bridge.handler({ httpMethod: 'GET', headers: {}, queryStringParameters: params });
+}
+
+function post(body) {
+  return bridge.handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify(body) });
+}
+
+test('formato da sessão', () => {
+  assert.equal(isValidSessionId(SESSION), true);
+  assert.equal(isValidSessionId('curta'), false);
+  assert.equal(isValidSessionId('pbi_pixel_../../etc/passwd'), false);
+  assert.equal(isValidSessionId('pbi pixel com espaço'), false);
+  assert.equal(isValidSessionId('x'.repeat(129)), false);
+  assert.equal(isValidSessionId(undefined), false);
+  assert.equal(isValidSessionId(['pbi_pixel_1700000000000']), false);
+});
+
+test('resposta fica sob o prefixo resp_', async () => {
+  await saveResponse(SESSION, { answer: 'ok' });
+
+  const stored = await getStorage().get(RESPONSE_PREFIX + SESSION);
+  assert.equal(stored.answer, 'ok');
+  assert.equal(await getStorage().get(SESSION), null);
+
+  assert.equal((await readResponse(SESSION, { peek: true })).answer, 'ok');
+  assert.equal((await readResponse(SESSION)).answer, 'ok');
+  assert.equal(await readResponse(SESSION), null);
+});
+
+test('sessão inválida não chega ao storage', async () => {
+  await assert.rejects(saveResponse('job_1', {}), /Session ID inválido/);
+  await assert.rejects(readResponse('rate_1'), /Session ID inválido/);
+});
+
+test('bridge não lê chaves de jobs, contextos nem do rate limit', async () => {
+  const storage = getStorage();
+  const jobId = 'job_1700000000000_abcdef';
+  await storage.set(jobId, { status: 'done', answer: 'segredo' });
+  await storage.set('ctx_1700000000000_abcdef', { rows: [] });
+
+  // A bridge procura resp_<sessão>: o id do job vira outra chave
+  const job = JSON.parse((await get({ session: jobId })).body);
+  assert.equal(job.found, false);
+  assert.deepEqual(await storage.get(jobId), { status: 'done', answer: 'segredo' });
+
+  assert.equal((await get({ session: 'rate_1' })).statusCode, 400);
+  assert.equal((await get({ session: 'ctx:1' })).statusCode, 400);
+  assert.equal((await get({})).statusCode, 400);
+});
+
+test('bridge grava e entrega a resposta uma vez', async () => {
+  const stored = await post({ action: 'store', sessionId: SESSION, data: { answer: 'pronto' } });
+  assert.equal(stored.statusCode, 200);
+
+  const peeked = JSON.parse((await get({ session: SESSION, peek: 'true' })).body);
+  assert.equal(peeked.data.answer, 'pronto');
+
+  const first = JSON.parse((await get({ session: SESSION })).body);
+  const second = JSON.parse((await get({ session: SESSION })).body);
+  assert.equal(first.found, true);
+  assert.equal(second.found, false);
+});
+
+test('bridge recusa gravar em sessão inválida', async () => {
+  const response = await post({ action: 'store', sessionId: 'job_1', data: { status: 'done' } });
+  assert.equal(response.statusCode, 400);
+  assert.equal(await getStorage().get('job_1'), null);
+  assert.equal(await getStorage().get(RESPONSE_PREFIX + 'job_1'), null);
+});
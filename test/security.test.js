@@ -0,0 +1,141 @@
+// test/security.test.js
+// 🔐 ORIGEM OBRIGATÓRIA, ASSINATURA SOBRE TODOS OS PARÂMETROS E NONCE DE USO ÚNICO
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const security = require('../netlify/lib/security');
+
+const KEY = 'chave-de-teste';
+const POWERBI = 'https://app.powerbi.com';
+
+beforeEach(() => {
+  delete process.env.ALLOWED_ORIGINS;
+  process.env.REQUEST_SIGNING_KEY = KEY;
+});
+
+const newNonce = () => crypto.randomBytes(16).toString('hex');
+
+// GET assinado como o visual faz (buildRequestParams)
+function signedGet(params, { ts = String(Date.now()), nonce = newNonce(), headers = { origin: POWERBI } } = {}) {
+  const sig = security.signPayload(KEY, ts, nonce, security.canonicalQuery(params));
+  return { httpMethod: 'GET', headers, queryStringParameters: { ...params, ts, nonce, sig } };
+}
+
+// POST assinado como o visual faz (postJson)
+function signedPost(body, { ts = String(Date.now()), nonce = newNonce() } = {}) {
+  return {
+    httpMethod: 'POST',
+    headers: {
+      origin: POWERBI,
+      'x-signature-timestamp': ts,
+      'x-signature-nonce': nonce,
+      'x-signature': security.signPayload(KEY, ts, nonce, body)
+    },
+    body
+  };
+}
+
+test('"null" não está na lista padrão', () => {
+  assert.equal(security.DEFAULT_ALLOWED_ORIGINS.includes('null'), false);
+  assert.equal(security.isOriginAllowed('null'), false);
+});
+
+test('curingas de ALLOWED_ORIGINS cobrem um único rótulo', () => {
+  process.env.ALLOWED_ORIGINS = 'https://*.pbidedicated.windows.net';
+
+  assert.equal(security.isOriginAllowed('https://wabi.pbidedicated.windows.net'), true);
+  assert.equal(security.isOriginAllowed('https://evil.com/.pbidedicated.windows.net'), false);
+  assert.equal(security.isOriginAllowed(POWERBI), false);
+});
+
+test('origem "null" usa o Referer', () => {
+  const origin = security.getRequestOrigin({ headers: { origin: 'null', referer: `${POWERBI}/groups/me/reports/1` } });
+  assert.equal(origin, POWERBI);
+});
+
+test('requisição sem Origin nem Referer é recusada', async () => {
+  const rejection = await security.checkRequest(signedGet({ question: 'oi' }, { headers: {} }));
+  assert.equal(rejection.statusCode, 403);
+  assert.equal(rejection.code, 'ORIGIN_REQUIRED');
+
+  const opaque = await security.checkRequest(signedGet({ question: 'oi' }, { headers: { origin: 'null' } }));
+  assert.equal(opaque.code, 'ORIGIN_REQUIRED');
+});
+
+test('origem fora da lista é recusada', async () => {
+  const rejection = await security.checkRequest(signedGet({ question: 'oi' }, { headers: { origin: 'https://evil.com' } }));
+  assert.equal(rejection.statusCode, 403);
+  assert.equal(rejection.code, 'ORIGIN_NOT_ALLOWED');
+});
+
+test('GET assinado passa', async () => {
+  const event = signedGet({ question: 'Total & média?', contextId: 'ctx_1', requestId: 'r1', callback: 'cb' });
+  assert.equal(await security.checkRequest(event), null);
+});
+
+test('assinatura do GET cobre todos os parâmetros', async () => {
+  const event = signedGet({ question: 'oi', contextId: 'ctx_1' });
+
+  const swapped = { ...event, queryStringParameters: { ...event.queryStringParameters, contextId: 'ctx_2' } };
+  assert.equal((await security.checkRequest(swapped)).message, 'Assinatura inválida');
+
+  const added = { ...event, queryStringParameters: { ...event.queryStringParameters, context: '[]' } };
+  assert.equal((await security.checkRequest(added)).message, 'Assinatura inválida');
+});
+
+test('assinatura do POST cobre o corpo inteiro', async () => {
+  const body = JSON.stringify({ question: 'oi', context: { rows: [{ a: 1 }] } });
+  assert.equal(await security.checkRequest(signedPost(body), { payload: body }), null);
+
+  const tampered = signedPost(body);
+  const rejection = await security.checkRequest(tampered, { payload: body.replace('"a":1', '"a":2') });
+  assert.equal(rejection.statusCode, 401);
+});
+
+test('a mesma assinatura não vale duas vezes', async () => {
+  const event = signedGet({ question: 'oi' });
+
+  assert.equal(await security.checkRequest(event), null);
+  assert.equal((await security.checkRequest(event)).message, 'Assinatura já utilizada');
+});
+
+test('nonce de assinatura inválida não é consumido', async () => {
+  const nonce = newNonce();
+  const forged = signedGet({ question: 'oi' }, { nonce });
+  forged.queryStringParameters.sig = '00'.repeat(32);
+
+  assert.equal((await security.checkRequest(forged)).message, 'Assinatura inválida');
+  assert.equal(await security.checkRequest(signedGet({ question: 'oi' }, { nonce })), null);
+});
+
+test('assinatura ausente, expirada ou com nonce malformado', async () => {
+  const unsigned = { headers: { origin: POWERBI }, queryStringParameters: { question: 'oi' } };
+  assert.equal((await security.checkRequest(unsigned)).message, 'Requisição sem assinatura');
+
+  const old = signedGet({ question: 'oi' }, { ts: String(Date.now() - 10 * 60 * 1000) });
+  assert.equal((await security.checkRequest(old)).message, 'Assinatura expirada');
+
+  const badNonce = signedGet({ question: 'oi' }, { nonce: 'curto' });
+  assert.equal((await security.checkRequest(badNonce)).message, 'Nonce inválido');
+});
+
+test('sem REQUEST_SIGNING_KEY só a origem é conferida', async () => {
+  delete process.env.REQUEST_SIGNING_KEY;
+
+  const unsigned = { headers: { origin: POWERBI }, queryStringParameters: { question: 'oi' } };
+  assert.equal(await security.checkRequest(unsigned), null);
+  assert.equal((await security.checkRequest({ headers: {}, queryStringParameters: {} })).code, 'ORIGIN_REQUIRED');
+});
+
+test('CORS ecoa só origens permitidas e aceita o header do nonce', () => {
+  const allowed = security.getCorsHeaders({ headers: { origin: POWERBI } });
+  assert.equal(allowed['Access-Control-Allow-Origin'], POWERBI);
+  assert.match(allowed['Access-Control-Allow-Headers'], /X-Signature-Nonce/);
+
+  const blocked = security.getCorsHeaders({ headers: { origin: 'https://evil.com' } });
+  assert.equal(blocked['Access-Control-Allow-Origin'], undefined);
+});
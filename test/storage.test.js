@@ -0,0 +1,105 @@
+// test/storage.test.js
+// 💾 ADAPTERS DE STORAGE: mesma interface e mesmo comportamento em memória e em arquivo
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryStorage, FileStorage, createStorage } = require('../netlify/lib/storage');
+
+const directories = [];
+
+const adapters = {
+  memory: () => new MemoryStorage(),
+  file: () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pbi-storage-test-'));
+    directories.push(directory);
+    return new FileStorage({ directory });
+  }
+};
+
+afterEach(() => {
+  directories.splice(0).forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const [name, create] of Object.entries(adapters)) {
+  describe(`storage ${name}`, () => {
+    test('grava e lê sem consumir', async () => {
+      const storage = create();
+      await storage.set('chave', { a: 1 });
+
+      assert.deepEqual(await storage.get('chave'), { a: 1 });
+      assert.deepEqual(await storage.get('chave'), { a: 1 });
+    });
+
+    test('take lê uma vez só', async () => {
+      const storage = create();
+      await storage.set('chave', 'valor');
+
+      assert.equal(await storage.take('chave'), 'valor');
+      assert.equal(await storage.take('chave'), null);
+      assert.equal(await storage.get('chave'), null);
+    });
+
+    test('take concorrente entrega o valor a um único leitor', async () => {
+      const storage = create();
+      await storage.set('chave', 'valor');
+
+      const results = await Promise.all([storage.take('chave'), storage.take('chave'), storage.take('chave')]);
+      assert.deepEqual(results.filter(value => value !== null), ['valor']);
+    });
+
+    test('delete remove e ignora chave ausente', async () => {
+      const storage = create();
+      await storage.set('chave', 1);
+      await storage.delete('chave');
+      await storage.delete('outra');
+
+      assert.equal(await storage.get('chave'), null);
+    });
+
+    test('entrada expirada não é devolvida', async () => {
+      const storage = create();
+      await storage.set('chave', 'valor', { ttlMs: 20 });
+      await sleep(40);
+
+      assert.equal(await storage.get('chave'), null);
+      assert.equal(await storage.take('chave'), null);
+    });
+
+    test('increment conta a partir de 1 e reinicia depois do TTL', async () => {
+      const storage = create();
+
+      assert.equal(await storage.increment('contador', { ttlMs: 40 }), 1);
+      assert.equal(await storage.increment('contador', { ttlMs: 40 }), 2);
+      assert.equal(await storage.increment('contador', { ttlMs: 40 }), 3);
+
+      await sleep(60);
+      assert.equal(await storage.increment('contador', { ttlMs: 40 }), 1);
+    });
+
+    test('chaves diferentes não se misturam', async () => {
+      const storage = create();
+      await storage.set('job_1', 'job');
+      await storage.set('resp_1', 'resposta');
+
+      assert.equal(await storage.get('job_1'), 'job');
+      assert.equal(await storage.get('resp_1'), 'resposta');
+    });
+  });
+}
+
+test('increment em memória é atômico entre chamadas concorrentes', async () => {
+  const storage = new MemoryStorage();
+  const counts = await Promise.all(Array.from({ length: 10 }, () => storage.increment('contador')));
+
+  assert.deepEqual([...counts].sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test('backend desconhecido é recusado', () => {
+  assert.throws(() => createStorage('dynamo'), /STORAGE_BACKEND desconhecido/);
+});
@@ -0,0 +1,142 @@
+// test/transport-health.test.js
+// ⛔ CIRCUIT BREAKER COM RELÓGIO INJETADO: aberto → meio-aberto → fechado, backoff e p50/p95
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TransportHealth } = require('../src/transportHealth.ts');
+
+// Armazenamento com a mesma interface do VisualStorage
+function fakeStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    values,
+    get: async key => values.get(key),
+    set: (key, value) => values.set(key, value)
+  };
+}
+
+function createHealth(storage = fakeStorage()) {
+  const clock = { now: 1_000_000 };
+  const health = new TransportHealth(storage, () => clock.now);
+  return { health, clock, storage };
+}
+
+const SECOND = 1000;
+
+test('falha abre o circuito, o fim do backoff deixa em prova e o sucesso fecha', () => {
+  const { health, clock } = createHealth();
+
+  assert.equal(health.getState('JSONP'), 'closed');
+  health.begin('JSONP');
+  health.recordFailure('JSONP', 'CSP bloqueou');
+
+  assert.equal(health.getState('JSONP'), 'open');
+  assert.equal(health.isAvailable('JSONP'), false);
+  assert.deepEqual(health.getOpenCircuits(), ['JSONP']);
+
+  clock.now += 30 * SECOND;
+  assert.equal(health.getState('JSONP'), 'half-open');
+  assert.equal(health.isAvailable('JSONP'), true);
+
+  // Uma prova por vez
+  health.begin('JSONP');
+  assert.equal(health.isAvailable('JSONP'), false);
+
+  health.recordSuccess('JSONP', 800);
+  assert.equal(health.getState('JSONP'), 'closed');
+  assert.equal(health.isAvailable('JSONP'), true);
+});
+
+test('prova que falha reabre com o dobro do backoff', () => {
+  const { health, clock } = createHealth();
+
+  health.recordFailure('Iframe', 'x');
+  clock.now += 30 * SECOND;
+  health.begin('Iframe');
+  health.recordFailure('Iframe', 'x');
+
+  clock.now += 59 * SECOND;
+  assert.equal(health.getState('Iframe'), 'open');
+  clock.now += 1 * SECOND;
+  assert.equal(health.getState('Iframe'), 'half-open');
+});
+
+test('backoff exponencial para em 30 minutos', () => {
+  const { health, clock } = createHealth();
+  const backoffs = [];
+
+  // Cada prova falha assim que o circuito fica meio-aberto
+  for (let i = 0; i < 8; i++) {
+    health.recordFailure('SSE', 'x');
+    let waited = 0;
+    while (health.getState('SSE') === 'open') {
+      clock.now += SECOND;
+      waited += SECOND;
+    }
+    backoffs.push(waited / SECOND);
+  }
+
+  assert.deepEqual(backoffs, [30, 60, 120, 240, 480, 960, 1800, 1800]);
+});
+
+test('release libera a prova sem contar falha', () => {
+  const { health, clock } = createHealth();
+
+  health.recordFailure('Pixel', 'x');
+  clock.now += 30 * SECOND;
+  health.begin('Pixel');
+  health.release('Pixel');
+
+  assert.equal(health.isAvailable('Pixel'), true);
+  assert.match(health.describe('Pixel'), /0 ✓ 1 ✗/);
+});
+
+test('p50 e p95 pelo nearest-rank das últimas 20 latências', () => {
+  const { health } = createHealth();
+
+  // 1..25 s: só as 20 últimas (6..25 s) contam
+  for (let i = 1; i <= 25; i++) health.recordSuccess('Fetch', i * SECOND);
+
+  const description = health.describe('Fetch');
+  assert.match(description, /^Fetch: 🟢 fechado · 25 ✓ 0 ✗/);
+  assert.match(description, /p50 15\.0s/);
+  assert.match(description, /p95 24\.0s/);
+});
+
+test('circuito aberto mostra quando volta e o último erro', () => {
+  const { health, clock } = createHealth();
+
+  health.recordFailure('Job', 'HTTP 503');
+  clock.now += 10 * SECOND;
+
+  assert.match(health.describe('Job'), /⛔ aberto · 0 ✓ 1 ✗ · volta em 20\.0s · último erro: HTTP 503/);
+});
+
+test('ordem: quem funcionou, sem histórico, falhando', () => {
+  const { health } = createHealth();
+
+  health.recordFailure('Fetch', 'x');
+  health.recordSuccess('Pixel', 500);
+
+  assert.deepEqual(health.rank(['Fetch', 'JSONP', 'Pixel', 'SSE']), ['Pixel', 'JSONP', 'SSE', 'Fetch']);
+});
+
+test('estado persiste e volta na próxima sessão', async () => {
+  const first = createHealth();
+  first.health.recordFailure('JSONP', 'CSP');
+  first.health.recordSuccess('Fetch', 1200);
+
+  const second = createHealth(fakeStorage(Object.fromEntries(first.storage.values)));
+  await second.health.load();
+
+  assert.equal(second.health.getState('JSONP'), 'open');
+  assert.match(second.health.describe('Fetch'), /1 ✓ 0 ✗/);
+});
+
+test('estado corrompido é ignorado', async () => {
+  const { health } = createHealth(fakeStorage({ transportHealth: '{quebrado' }));
+
+  await health.load();
+  assert.equal(health.describe('JSONP'), 'JSONP: sem histórico');
+});